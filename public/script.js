@@ -20,6 +20,7 @@ const state = {
     selectedIndex: -1,
     suggestions: [],
     isGlobeReady: false,
+    weatherStream: null,
 };
 
 const STORAGE_KEYS = {
@@ -129,14 +130,10 @@ async function handleGlobeClick(lat, lng) {
     // Reverse geocode
     let cityName = null;
     try {
-        const response = await fetch(
-            `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lng}&format=json&accept-language=fr`,
-            { headers: { 'User-Agent': 'AtmoSphere/1.0' } }
-        );
+        const response = await fetch(`${API_BASE_URL}/api/reverse-geocode?lat=${lat}&lon=${lng}&lang=fr`);
         if (response.ok) {
             const data = await response.json();
-            const addr = data.address || {};
-            cityName = addr.city || addr.town || addr.village || addr.county || data.display_name.split(',')[0];
+            cityName = data.place.name;
         }
     } catch (error) {
         console.warn('[REVERSE GEOCODE]', error);
@@ -316,46 +313,15 @@ function handleCityInput(e) {
 async function fetchCitySuggestions(query) {
     try {
         showAutocompleteLoading();
+        // Le serveur filtre les lieux habités, trie par importance et déduplique
         const response = await fetch(
-            `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=12&accept-language=fr&addressdetails=1`,
-            { headers: { 'User-Agent': 'AtmoSphere/1.0' } }
+            `${API_BASE_URL}/api/geocode?q=${encodeURIComponent(query)}&limit=6&lang=fr`
         );
         if (!response.ok) throw new Error('Autocomplete API error');
         const data = await response.json();
 
-        // Filtrer : garder uniquement les vrais lieux habités dont le nom correspond
-        const validClasses = ['place', 'boundary'];
-        const validPlaceTypes = ['city', 'town', 'village', 'municipality', 'hamlet', 'suburb', 'borough'];
-        const queryLower = query.toLowerCase();
-        const filtered = data.filter(item => {
-            const addr = item.address || {};
-            const name = addr.city || addr.town || addr.village || addr.municipality || addr.hamlet || '';
-            // Le nom de la ville doit commencer par la requête tapée
-            if (name && !name.toLowerCase().startsWith(queryLower)) return false;
-            if (validClasses.includes(item.class) && validPlaceTypes.includes(item.type)) return true;
-            if (item.class === 'boundary' && item.type === 'administrative') {
-                return !!(addr.city || addr.town || addr.village || addr.municipality);
-            }
-            return false;
-        });
-
-        // Trier par importance (les grandes villes en premier)
-        filtered.sort((a, b) => (b.importance || 0) - (a.importance || 0));
-
-        // Dédupliquer par nom de ville + pays
-        const seen = new Set();
-        const unique = filtered.filter(item => {
-            const addr = item.address || {};
-            const city = addr.city || addr.town || addr.village || addr.municipality || addr.hamlet || '';
-            const country = addr.country_code || '';
-            const key = `${city.toLowerCase()}|${country}`;
-            if (seen.has(key)) return false;
-            seen.add(key);
-            return true;
-        }).slice(0, 6);
-
-        state.suggestions = unique;
-        displaySuggestions(unique);
+        state.suggestions = data.places;
+        displaySuggestions(data.places);
     } catch (error) {
         console.error('[AUTOCOMPLETE ERROR]', error);
         hideAutocomplete();
@@ -381,11 +347,8 @@ function displaySuggestions(data) {
         div.dataset.index = index;
 
         // Afficher : Ville, Région/État, Pays
-        const addr = item.address || {};
-        const city = addr.city || addr.town || addr.village || addr.municipality || addr.hamlet || item.display_name.split(',')[0];
-        const region = addr.state || addr.county || '';
-        const country = addr.country || '';
-        div.textContent = region ? `${city}, ${region}, ${country}` : `${city}, ${country}`;
+        const country = item.country || '';
+        div.textContent = item.region ? `${item.name}, ${item.region}, ${country}` : `${item.name}, ${country}`;
 
         div.addEventListener('click', () => selectSuggestion(item));
         autocompleteDropdown.appendChild(div);
@@ -395,15 +358,11 @@ function displaySuggestions(data) {
 }
 
 function selectSuggestion(item) {
-    const addr = item.address || {};
-    const cityName = addr.city || addr.town || addr.village || addr.municipality || addr.hamlet || item.display_name.split(',')[0];
-    cityInput.value = cityName;
+    cityInput.value = item.name;
     hideAutocomplete();
 
-    const lat = parseFloat(item.lat);
-    const lon = parseFloat(item.lon);
-    animateGlobeToLocation(lat, lon);
-    getWeatherData(lat, lon, cityName);
+    animateGlobeToLocation(item.lat, item.lon);
+    getWeatherData(item.lat, item.lon, item.name);
 }
 
 function handleKeyboardNavigation(e) {
@@ -465,24 +424,21 @@ async function searchByCity() {
 
     try {
         const response = await fetch(
-            `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(city)}&format=json&limit=1&accept-language=fr`,
-            { headers: { 'User-Agent': 'AtmoSphere/1.0' } }
+            `${API_BASE_URL}/api/geocode?q=${encodeURIComponent(city)}&limit=1&lang=fr`
         );
         if (!response.ok) throw new Error('Geocoding API error');
         const data = await response.json();
 
-        if (data.length === 0) {
+        if (data.places.length === 0) {
             hideLoading();
             showError('Ville non trouvée. Vérifiez l\'orthographe.');
             return;
         }
 
-        const lat = parseFloat(data[0].lat);
-        const lon = parseFloat(data[0].lon);
-        const cityName = data[0].display_name.split(',')[0];
+        const [place] = data.places;
 
-        animateGlobeToLocation(lat, lon);
-        await getWeatherData(lat, lon, cityName);
+        animateGlobeToLocation(place.lat, place.lon);
+        await getWeatherData(place.lat, place.lon, place.name);
     } catch (error) {
         hideLoading();
         showError('Erreur lors de la recherche. Réessayez.');
@@ -519,6 +475,7 @@ async function searchByCoords() {
 // ====================
 
 async function getWeatherData(lat, lon, cityName = null) {
+    closeWeatherStream();
     showLoading();
     hideError();
     hideResults();
@@ -528,7 +485,7 @@ async function getWeatherData(lat, lon, cityName = null) {
     try {
         console.log(`[API] Fetching weather for ${lat}, ${lon}`);
 
-        const response = await fetch(`${API_BASE_URL}/api/weather?lat=${lat}&lon=${lon}`);
+        const response = await fetch(`${API_BASE_URL}/api/weather?lat=${lat}&lon=${lon}&lang=fr`);
         const data = await response.json();
 
         if (!response.ok) {
@@ -544,6 +501,9 @@ async function getWeatherData(lat, lon, cityName = null) {
 
         // Auto-load forecast
         loadForecast(lat, lon);
+
+        // Live updates while this location is displayed
+        openWeatherStream(lat, lon, cityName);
     } catch (error) {
         showError(error.message);
         console.error('[API ERROR]', error);
@@ -552,6 +512,32 @@ async function getWeatherData(lat, lon, cityName = null) {
     }
 }
 
+function openWeatherStream(lat, lon, cityName) {
+    if (!window.EventSource) return;
+
+    const stream = new EventSource(`${API_BASE_URL}/api/weather/stream?lat=${lat}&lon=${lon}&lang=fr`);
+
+    stream.addEventListener('weather', event => {
+        const data = JSON.parse(event.data);
+        state.currentWeatherData = data;
+        displayResults(data, cityName);
+    });
+
+    // Server-side refresh error: the next refresh will retry, keep the last data displayed
+    stream.addEventListener('error', event => {
+        if (event.data) console.warn('[STREAM]', JSON.parse(event.data).message);
+    });
+
+    state.weatherStream = stream;
+}
+
+function closeWeatherStream() {
+    if (state.weatherStream) {
+        state.weatherStream.close();
+        state.weatherStream = null;
+    }
+}
+
 // ====================
 // DISPLAY RESULTS
 // ====================
@@ -579,7 +565,8 @@ function displayResults(data, cityName) {
     document.getElementById('precipitation').textContent = `${data.weather.precipitation} mm`;
 
     // Weather icon (jour/nuit selon l'heure locale)
-    const night = isNightTime(data.location.lat, data.location.lon);
+    // Jour/nuit calculé par l'API à partir de l'heure locale du lieu
+    const night = data.location.is_day === false;
     const weatherIcon = getWeatherIcon(data.weather.weather_code, night);
     document.getElementById('weatherIcon').innerHTML = weatherIcon;
 
@@ -597,7 +584,7 @@ function displayResults(data, cityName) {
     // UV risk badge
     const uvRisk = document.getElementById('uvRisk');
     uvRisk.textContent = data.uv.risk_level;
-    uvRisk.className = 'status-badge uv-' + data.uv.risk_level.toLowerCase().replace(/\s+/g, '-');
+    uvRisk.className = 'status-badge uv-' + data.uv.risk_code.replace(/_/g, '-');
 
     // Air quality
     document.getElementById('aqi').textContent = data.air_quality.aqi !== null ? data.air_quality.aqi : 'N/A';
@@ -606,14 +593,15 @@ function displayResults(data, cityName) {
 
     const airQuality = document.getElementById('airQuality');
     airQuality.textContent = data.air_quality.quality;
-    airQuality.className = 'status-badge air-' + data.air_quality.quality.toLowerCase().replace(/[^a-z]/g, '-').replace(/-+/g, '-');
+    airQuality.className = 'status-badge air-' + data.air_quality.quality_code.replace(/_/g, '-');
 
     // Recommendations
     const recList = document.getElementById('recommendationsList');
     recList.innerHTML = '';
     data.recommendations.forEach(rec => {
         const li = document.createElement('li');
-        li.textContent = rec;
+        li.textContent = rec.message;
+        li.className = `rec-${rec.severity}`;
         recList.appendChild(li);
     });
 
@@ -625,33 +613,6 @@ function displayResults(data, cityName) {
 // WEATHER HELPERS
 // ====================
 
-/**
- * Déterminer si c'est la nuit à une position donnée (approximation solaire)
- */
-function isNightTime(lat, lon) {
-    const now = new Date();
-    // Heure UTC décimale
-    const utcHours = now.getUTCHours() + now.getUTCMinutes() / 60;
-    // Heure locale approximative basée sur la longitude
-    const localHours = (utcHours + lon / 15 + 24) % 24;
-    // Jour de l'année
-    const start = new Date(now.getFullYear(), 0, 0);
-    const dayOfYear = Math.floor((now - start) / 86400000);
-    // Déclinaison solaire simplifiée
-    const declination = 23.45 * Math.sin((2 * Math.PI / 365) * (dayOfYear - 81));
-    const latRad = lat * Math.PI / 180;
-    const declRad = declination * Math.PI / 180;
-    // Angle horaire du lever/coucher
-    const cosHA = -Math.tan(latRad) * Math.tan(declRad);
-    // Cas polaires
-    if (cosHA < -1) return false; // soleil de minuit
-    if (cosHA > 1) return true;   // nuit polaire
-    const ha = Math.acos(cosHA) * 180 / Math.PI;
-    const sunrise = 12 - ha / 15;
-    const sunset = 12 + ha / 15;
-    return localHours < sunrise || localHours > sunset;
-}
-
 function getWeatherIcon(weatherCode, night) {
     // Icône lune pour la nuit
     const moonSvg = `<svg viewBox="0 0 64 64" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -796,7 +757,7 @@ async function loadForecast(lat, lon) {
 
         console.log(`[FORECAST] Fetching for ${lat}, ${lon}`);
 
-        const response = await fetch(`${API_BASE_URL}/api/forecast?lat=${lat}&lon=${lon}`);
+        const response = await fetch(`${API_BASE_URL}/api/forecast?lat=${lat}&lon=${lon}&lang=fr`);
         const data = await response.json();
 
         if (!response.ok) {
@@ -0,0 +1,63 @@
+/**
+ * Alert Controller
+ *
+ * Handles severe weather alert requests
+ */
+
+const alertService = require('../services/alertService');
+const { validateCoordinates } = require('../utils/validator');
+const { resolveLanguage } = require('../utils/i18n');
+const logger = require('../security/monitoring/logger');
+
+class AlertController {
+    /**
+     * Get the severe weather alerts for the next days
+     * GET /api/alerts?lat=43.5&lon=5.4
+     */
+    async getAlerts(req, res) {
+        try {
+            const { lat, lon } = req.query;
+            const lang = resolveLanguage(req);
+
+            const validation = validateCoordinates(lat, lon);
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation Error',
+                    message: validation.error,
+                });
+            }
+
+            const { lat: validLat, lon: validLon } = validation.coords;
+
+            logger.info(`[REQUEST] Weather alerts for coordinates: ${validLat}, ${validLon}`);
+
+            const { timezone, alerts } = await alertService.getAlerts(validLat, validLon, {
+                lang,
+            });
+
+            logger.info(`[SUCCESS] ${alerts.length} alerts sent for ${validLat}, ${validLon}`);
+
+            res.json({
+                location: {
+                    lat: validLat,
+                    lon: validLon,
+                    timezone,
+                },
+                alerts,
+                count: alerts.length,
+                lang,
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            logger.error('[ERROR] Alert Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
+        }
+    }
+}
+
+module.exports = new AlertController();
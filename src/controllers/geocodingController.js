@@ -0,0 +1,98 @@
+/**
+ * Geocoding Controller
+ *
+ * Handles place search and reverse geocoding requests
+ */
+
+const geocodingService = require('../services/geocodingService');
+const { validateCoordinates } = require('../utils/validator');
+const { resolveLanguage } = require('../utils/i18n');
+const logger = require('../security/monitoring/logger');
+
+class GeocodingController {
+    /**
+     * Search places by name
+     * GET /api/geocode?q=Lyon&limit=6
+     */
+    async search(req, res) {
+        try {
+            const query = req.query.q.trim();
+            const lang = resolveLanguage(req);
+            const limit = req.query.limit ? parseInt(req.query.limit, 10) : 6;
+
+            logger.info(`[REQUEST] Place search for "${query}"`);
+
+            const places = await geocodingService.search(query, { lang, limit });
+
+            logger.info(`[SUCCESS] ${places.length} places sent for "${query}"`);
+
+            res.json({
+                query,
+                places,
+                lang,
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            logger.error('[ERROR] Geocoding Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
+        }
+    }
+
+    /**
+     * Find the place at coordinates
+     * GET /api/reverse-geocode?lat=43.5&lon=5.4
+     */
+    async reverse(req, res) {
+        try {
+            const { lat, lon } = req.query;
+            const lang = resolveLanguage(req);
+
+            const validation = validateCoordinates(lat, lon);
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation Error',
+                    message: validation.error,
+                });
+            }
+
+            const { lat: validLat, lon: validLon } = validation.coords;
+
+            logger.info(`[REQUEST] Reverse geocoding for coordinates: ${validLat}, ${validLon}`);
+
+            const place = await geocodingService.reverse(validLat, validLon, { lang });
+
+            if (!place) {
+                return res.status(404).json({
+                    error: 'Not Found',
+                    message: 'No place found at these coordinates',
+                });
+            }
+
+            logger.info(`[SUCCESS] Reverse geocoding sent for ${validLat}, ${validLon}`);
+
+            res.json({
+                location: {
+                    lat: validLat,
+                    lon: validLon,
+                },
+                place,
+                lang,
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            logger.error('[ERROR] Reverse Geocoding Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
+        }
+    }
+}
+
+module.exports = new GeocodingController();
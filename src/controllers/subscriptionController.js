@@ -0,0 +1,174 @@
+/**
+ * Subscription Controller
+ *
+ * Handles webhook subscriptions to the weather alerts of a location
+ */
+
+const subscriptionManager = require('../services/subscriptionManager');
+const { ALERT_TYPES } = require('../services/alertService');
+const { validateCoordinates, sanitizeString } = require('../utils/validator');
+const { resolveLanguage } = require('../utils/i18n');
+const logger = require('../security/monitoring/logger');
+
+/**
+ * Reply 404 for an unknown subscription id
+ * @param {Object} res - Express response
+ */
+function notFound(res) {
+    return res.status(404).json({
+        error: 'Not Found',
+        message: 'No subscription found with this id',
+    });
+}
+
+class SubscriptionController {
+    /**
+     * Register a webhook for the alerts of a location
+     * POST /api/subscriptions { "lat": 43.5, "lon": 5.4, "callback_url": "https://...",
+     *   "conditions": { "types": ["storm"], "min_severity": "severe" } }
+     */
+    async create(req, res) {
+        try {
+            const { lat, lon, callback_url: callbackUrl, conditions = {}, label } = req.body;
+            const lang = resolveLanguage(req);
+
+            const validation = validateCoordinates(lat, lon);
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation Error',
+                    message: validation.error,
+                });
+            }
+
+            const subscription = await subscriptionManager.create({
+                ...validation.coords,
+                callbackUrl,
+                conditions: {
+                    types: conditions.types || ALERT_TYPES,
+                    min_severity: conditions.min_severity || 'moderate',
+                },
+                lang,
+                label: label ? sanitizeString(label) : null,
+            });
+
+            res.status(201).json({
+                subscription,
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            logger.error('[ERROR] Subscription Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
+        }
+    }
+
+    /**
+     * List the subscriptions
+     * GET /api/subscriptions
+     */
+    async list(req, res) {
+        try {
+            const subscriptions = await subscriptionManager.list();
+
+            res.json({
+                subscriptions,
+                count: subscriptions.length,
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            logger.error('[ERROR] Subscription Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
+        }
+    }
+
+    /**
+     * Get a subscription with its delivery log
+     * GET /api/subscriptions/:id
+     */
+    async get(req, res) {
+        try {
+            const subscription = await subscriptionManager.get(req.params.id);
+
+            if (!subscription) {
+                return notFound(res);
+            }
+
+            res.json({
+                subscription,
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            logger.error('[ERROR] Subscription Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
+        }
+    }
+
+    /**
+     * Stop or restart the notifications of a subscription
+     * POST /api/subscriptions/:id/pause, POST /api/subscriptions/:id/resume
+     * @param {boolean} paused - State to set
+     * @returns {Function} Express handler
+     */
+    setPaused(paused) {
+        return async (req, res) => {
+            try {
+                const subscription = await subscriptionManager.setPaused(req.params.id, paused);
+
+                if (!subscription) {
+                    return notFound(res);
+                }
+
+                logger.info(
+                    `Webhook subscription ${req.params.id} ${paused ? 'paused' : 'resumed'}`
+                );
+
+                res.json({
+                    subscription,
+                    timestamp: new Date().toISOString(),
+                });
+            } catch (error) {
+                logger.error('[ERROR] Subscription Controller:', { message: error.message });
+
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: error.message || 'An unexpected error occurred',
+                });
+            }
+        };
+    }
+
+    /**
+     * Delete a subscription
+     * DELETE /api/subscriptions/:id
+     */
+    async remove(req, res) {
+        try {
+            if (!(await subscriptionManager.remove(req.params.id))) {
+                return notFound(res);
+            }
+
+            res.status(204).end();
+        } catch (error) {
+            logger.error('[ERROR] Subscription Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
+        }
+    }
+}
+
+module.exports = new SubscriptionController();
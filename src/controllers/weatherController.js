@@ -4,21 +4,229 @@
  * Handles weather API requests and aggregates data from multiple services
  */
 
-const openMeteoService = require('../services/openMeteoService');
 const uvIndexService = require('../services/uvIndexService');
 const airQualityService = require('../services/airQualityService');
 const forecastService = require('../services/forecastService');
-const { validateCoordinates } = require('../utils/validator');
+const historyService = require('../services/historyService');
+const recommendationEngine = require('../services/recommendationEngine');
+const bestWindowService = require('../services/bestWindowService');
+const geocodingService = require('../services/geocodingService');
+const weatherStreamService = require('../services/weatherStreamService');
+const { validateCoordinates, sanitizeString } = require('../utils/validator');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { DEFAULT_UNIT_SYSTEM, getUnits, convertFields, convertForecast } = require('../utils/units');
+const { resolveLanguage, translate, DEFAULT_LANGUAGE } = require('../utils/i18n');
+const { getWeatherDescription } = require('../utils/weatherCodes');
+const { getMoonPhase, formatUtcOffset, getLocalTime } = require('../utils/astronomy');
 const logger = require('../security/monitoring/logger');
 
+// Upstream calls in flight per batch request (each location fans out to 3 APIs)
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '4');
+
+// Reconnection delay suggested to EventSource clients after a dropped stream
+const STREAM_RETRY_MS = 10000;
+
+/**
+ * Legacy string form of a recommendation ('[+]' prefix marks good news)
+ * @param {Object} recommendation - Recommendation object
+ * @returns {string} Recommendation message
+ */
+function toRecommendationText({ severity, message }) {
+    return severity === 'positive' ? `[+] ${message}` : message;
+}
+
+/**
+ * Translate the conditions label of every forecast entry
+ * @param {Object} forecast - Forecast ({ days } or { hours }) or history ({ days }) data
+ * @param {string} lang - Language code
+ * @returns {Object} Localized copy
+ */
+function localizeConditions(forecast, lang) {
+    const localized = { ...forecast };
+
+    for (const list of ['days', 'hours']) {
+        if (Array.isArray(forecast[list])) {
+            localized[list] = forecast[list].map(entry =>
+                'conditions' in entry
+                    ? { ...entry, conditions: getWeatherDescription(entry.weather_code, lang) }
+                    : entry
+            );
+        }
+    }
+
+    return localized;
+}
+
+/**
+ * Resolve the requested location from lat/lon or from a place name (q, or city + country)
+ * @param {Object} query - Request query
+ * @param {string} lang - Language code, for the place name
+ * @returns {Promise<Object>} { location: { lat, lon, name?, country?, country_code? } },
+ *   or { status, error, message } when the location cannot be resolved
+ */
+async function resolveLocation(query, lang) {
+    const { lat, lon, q, city, country } = query;
+
+    if (q || city) {
+        const place = await geocodingService.resolvePlace({ q, city, country }, { lang });
+
+        if (!place) {
+            return {
+                status: 404,
+                error: 'Not Found',
+                message: 'No place found matching this name',
+            };
+        }
+
+        return {
+            location: {
+                lat: place.lat,
+                lon: place.lon,
+                name: place.name,
+                country: place.country,
+                country_code: place.country_code,
+            },
+        };
+    }
+
+    const validation = validateCoordinates(lat, lon);
+
+    if (!validation.valid) {
+        return { status: 400, error: 'Validation Error', message: validation.error };
+    }
+
+    return { location: validation.coords };
+}
+
+/**
+ * Timezone, local time, sun and moon data for the location block
+ * @param {Object} local - `local` part of the current weather data
+ * @param {string} lang - Language code, for the moon phase name
+ * @returns {Object} { timezone, utc_offset, local_time, is_day, sunrise, sunset, moon_phase, ... }
+ */
+function getLocalContext(local, lang) {
+    const now = new Date();
+    const moonPhase = getMoonPhase(now);
+    // No timezone data when only providers without one (e.g. MET Norway) answered
+    const known = local.utc_offset_seconds !== null;
+
+    return {
+        timezone: local.timezone,
+        timezone_abbreviation: local.timezone_abbreviation,
+        utc_offset: known ? formatUtcOffset(local.utc_offset_seconds) : null,
+        utc_offset_seconds: local.utc_offset_seconds,
+        local_time: known ? getLocalTime(local.utc_offset_seconds, now) : null,
+        is_day: local.is_day,
+        sunrise: local.sunrise,
+        sunset: local.sunset,
+        daylight_duration: local.daylight_duration,
+        moon_phase: {
+            ...moonPhase,
+            name: translate(lang, 'moon_phases', moonPhase.code),
+        },
+    };
+}
+
+/**
+ * Air quality response options from the query string
+ * @param {Object} query - Request query (?aqi_scale=european&include=pollutants,pollen)
+ * @returns {Object} { aqiScale, include } for airQualityService.localize
+ */
+function getAirOptions(query) {
+    return {
+        aqiScale: query.aqi_scale,
+        include: query.include ? query.include.split(',').map(block => block.trim()) : [],
+    };
+}
+
+// Open-Meteo air quality forecasts stop after 7 days
+const AIR_FORECAST_MAX_DAYS = 7;
+
+/**
+ * Add the peak AQI of each day to a forecast
+ * @param {Object} forecast - Daily forecast ({ days })
+ * @param {Object|null} airForecast - Air quality forecast, null if unavailable
+ * @returns {Object} Copy with `aqi_max` (US scale, null past the air quality horizon) per day
+ */
+function withPeakAqi(forecast, airForecast) {
+    const peaks = new Map((airForecast?.days || []).map(day => [day.date, day.aqi_max]));
+
+    return {
+        ...forecast,
+        days: forecast.days.map(day => ({ ...day, aqi_max: peaks.get(day.date) ?? null })),
+    };
+}
+
 class WeatherController {
     /**
-     * Get 7-day weather forecast
-     * GET /api/forecast?lat=43.5&lon=5.4
+     * Get daily weather forecast (7 days by default)
+     * GET /api/forecast?lat=43.5&lon=5.4&days=10&fields=temp_max,sunrise
+     * GET /api/forecast?q=Marseille (or ?city=Marseille&country=FR)
      */
     async getForecast(req, res) {
+        try {
+            const { units = DEFAULT_UNIT_SYSTEM } = req.query;
+            const lang = resolveLanguage(req);
+            const days = req.query.days ? parseInt(req.query.days, 10) : 7;
+            const fields = req.query.fields
+                ? req.query.fields.split(',').map(field => field.trim())
+                : undefined;
+
+            const { location, status, error, message } = await resolveLocation(req.query, lang);
+
+            if (!location) {
+                return res.status(status).json({ error, message });
+            }
+
+            const { lat: validLat, lon: validLon } = location;
+
+            logger.info(`[REQUEST] ${days}-day forecast for coordinates: ${validLat}, ${validLon}`);
+
+            // Peak AQI comes from the air quality forecast, a failure there only blanks it
+            const withAqi = !fields || fields.includes('aqi_max');
+            const [weatherForecast, airForecast] = await Promise.all([
+                forecastService.getForecast(validLat, validLon, { days, fields }),
+                withAqi
+                    ? airQualityService
+                          .getAirQualityForecast(
+                              validLat,
+                              validLon,
+                              Math.min(days, AIR_FORECAST_MAX_DAYS)
+                          )
+                          .catch(() => null)
+                    : null,
+            ]);
+            const forecast = withAqi ? withPeakAqi(weatherForecast, airForecast) : weatherForecast;
+
+            const response = {
+                location,
+                forecast: localizeConditions(convertForecast(forecast, units), lang),
+                units: getUnits(units),
+                lang,
+                timestamp: new Date().toISOString(),
+            };
+
+            logger.info(`[SUCCESS] Forecast data sent for ${validLat}, ${validLon}`);
+
+            res.json(response);
+        } catch (error) {
+            logger.error('[ERROR] Forecast Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
+        }
+    }
+
+    /**
+     * Get the current UV index only
+     * GET /api/uv?lat=43.5&lon=5.4
+     */
+    async getUV(req, res) {
         try {
             const { lat, lon } = req.query;
+            const lang = resolveLanguage(req);
 
             const validation = validateCoordinates(lat, lon);
 
@@ -31,24 +239,26 @@ class WeatherController {
 
             const { lat: validLat, lon: validLon } = validation.coords;
 
-            logger.info(`[REQUEST] 7-day forecast for coordinates: ${validLat}, ${validLon}`);
+            logger.info(`[REQUEST] UV index for coordinates: ${validLat}, ${validLon}`);
 
-            const forecast = await forecastService.getForecast(validLat, validLon);
+            // The service degrades to null values with an `error` field instead of throwing
+            const uvIndex = await uvIndexService.getUVIndex(validLat, validLon);
 
             const response = {
                 location: {
                     lat: validLat,
                     lon: validLon,
                 },
-                forecast,
+                uv: uvIndexService.localize(uvIndex, lang),
+                lang,
                 timestamp: new Date().toISOString(),
             };
 
-            logger.info(`[SUCCESS] Forecast data sent for ${validLat}, ${validLon}`);
+            logger.info(`[SUCCESS] UV index sent for ${validLat}, ${validLon}`);
 
             res.json(response);
         } catch (error) {
-            logger.error('[ERROR] Forecast Controller:', { message: error.message });
+            logger.error('[ERROR] UV Controller:', { message: error.message });
 
             res.status(500).json({
                 error: 'Internal Server Error',
@@ -58,12 +268,13 @@ class WeatherController {
     }
 
     /**
-     * Get aggregated weather data
-     * GET /api/weather?lat=43.5&lon=5.4
+     * Get the current air quality only
+     * GET /api/air-quality?lat=43.5&lon=5.4&aqi_scale=european&include=pollen
      */
-    async getWeather(req, res) {
+    async getAirQuality(req, res) {
         try {
             const { lat, lon } = req.query;
+            const lang = resolveLanguage(req);
 
             const validation = validateCoordinates(lat, lon);
 
@@ -76,34 +287,73 @@ class WeatherController {
 
             const { lat: validLat, lon: validLon } = validation.coords;
 
-            logger.info(`[REQUEST] Weather data for coordinates: ${validLat}, ${validLon}`);
+            logger.info(`[REQUEST] Air quality for coordinates: ${validLat}, ${validLon}`);
 
-            // Fetch data from all services in parallel
-            const [weather, uvIndex, airQuality] = await Promise.all([
-                openMeteoService.getWeather(validLat, validLon),
-                uvIndexService.getUVIndex(validLat, validLon),
-                airQualityService.getAirQuality(validLat, validLon),
-            ]);
+            // The service degrades to null values with an `error` field instead of throwing
+            const airQuality = await airQualityService.getAirQuality(validLat, validLon);
+
+            const response = {
+                location: {
+                    lat: validLat,
+                    lon: validLon,
+                },
+                air_quality: airQualityService.localize(airQuality, lang, getAirOptions(req.query)),
+                lang,
+                timestamp: new Date().toISOString(),
+            };
+
+            logger.info(`[SUCCESS] Air quality sent for ${validLat}, ${validLon}`);
+
+            res.json(response);
+        } catch (error) {
+            logger.error('[ERROR] Air Quality Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
+        }
+    }
+
+    /**
+     * Get the hourly UV index forecast with daily maxima
+     * GET /api/uv/forecast?lat=43.5&lon=5.4
+     */
+    async getUVForecast(req, res) {
+        try {
+            const { lat, lon } = req.query;
+            const lang = resolveLanguage(req);
 
-            const recommendations = this.generateRecommendations(weather, uvIndex, airQuality);
+            const validation = validateCoordinates(lat, lon);
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation Error',
+                    message: validation.error,
+                });
+            }
+
+            const { lat: validLat, lon: validLon } = validation.coords;
+
+            logger.info(`[REQUEST] UV forecast for coordinates: ${validLat}, ${validLon}`);
+
+            const forecast = await uvIndexService.getUVForecast(validLat, validLon);
 
             const response = {
                 location: {
                     lat: validLat,
                     lon: validLon,
                 },
-                weather,
-                uv: uvIndex,
-                air_quality: airQuality,
-                recommendations,
+                forecast: uvIndexService.localizeForecast(forecast, lang),
+                lang,
                 timestamp: new Date().toISOString(),
             };
 
-            logger.info(`[SUCCESS] Weather data sent for ${validLat}, ${validLon}`);
+            logger.info(`[SUCCESS] UV forecast sent for ${validLat}, ${validLon}`);
 
             res.json(response);
         } catch (error) {
-            logger.error('[ERROR] Weather Controller:', { message: error.message });
+            logger.error('[ERROR] UV Forecast Controller:', { message: error.message });
 
             res.status(500).json({
                 error: 'Internal Server Error',
@@ -113,93 +363,564 @@ class WeatherController {
     }
 
     /**
-     * Generate smart recommendations based on all weather data
-     * @param {Object} weather - Weather data
-     * @param {Object} uv - UV index data
-     * @param {Object} airQuality - Air quality data
-     * @returns {Array<string>} Recommendations
+     * Get the hourly air quality forecast with daily peaks
+     * GET /api/air-quality/forecast?lat=43.5&lon=5.4&days=5&aqi_scale=european
      */
-    generateRecommendations(weather, uv, airQuality) {
-        const recommendations = [];
-
-        // UV-based recommendations
-        if (uv.uv_index !== null) {
-            if (uv.uv_index >= 8) {
-                recommendations.push(
-                    "Index UV très élevé : Évitez l'exposition au soleil entre 10h et 16h"
-                );
-            } else if (uv.uv_index >= 6) {
-                recommendations.push('Index UV élevé : Appliquez de la crème solaire SPF 30+');
-            } else if (uv.uv_index >= 3) {
-                recommendations.push('Index UV modéré : Protection solaire recommandée');
+    async getAirQualityForecast(req, res) {
+        try {
+            const { lat, lon, aqi_scale: aqiScale } = req.query;
+            const lang = resolveLanguage(req);
+            const days = req.query.days ? parseInt(req.query.days, 10) : 5;
+
+            const validation = validateCoordinates(lat, lon);
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation Error',
+                    message: validation.error,
+                });
             }
+
+            const { lat: validLat, lon: validLon } = validation.coords;
+
+            logger.info(
+                `[REQUEST] ${days}-day air quality forecast for coordinates: ${validLat}, ${validLon}`
+            );
+
+            const forecast = await airQualityService.getAirQualityForecast(
+                validLat,
+                validLon,
+                days
+            );
+
+            const response = {
+                location: {
+                    lat: validLat,
+                    lon: validLon,
+                },
+                forecast: airQualityService.localizeForecast(forecast, lang, { aqiScale }),
+                lang,
+                timestamp: new Date().toISOString(),
+            };
+
+            logger.info(`[SUCCESS] Air quality forecast sent for ${validLat}, ${validLon}`);
+
+            res.json(response);
+        } catch (error) {
+            logger.error('[ERROR] Air Quality Forecast Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
         }
+    }
+
+    /**
+     * Get hour-by-hour weather forecast
+     * GET /api/forecast/hourly?lat=43.5&lon=5.4&hours=48
+     */
+    async getHourlyForecast(req, res) {
+        try {
+            const { lat, lon, units = DEFAULT_UNIT_SYSTEM } = req.query;
+            const lang = resolveLanguage(req);
+            const hours = req.query.hours ? parseInt(req.query.hours, 10) : 48;
+
+            const validation = validateCoordinates(lat, lon);
 
-        // Precipitation recommendations
-        if (weather.precipitation > 5) {
-            recommendations.push(
-                'Fortes pluies prévues : Prenez un parapluie et conduisez prudemment'
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation Error',
+                    message: validation.error,
+                });
+            }
+
+            const { lat: validLat, lon: validLon } = validation.coords;
+
+            logger.info(
+                `[REQUEST] ${hours}h hourly forecast for coordinates: ${validLat}, ${validLon}`
             );
-        } else if (weather.precipitation > 0) {
-            recommendations.push('Pluie prévue : Prenez un parapluie');
+
+            const forecast = await forecastService.getHourlyForecast(validLat, validLon, hours);
+
+            const response = {
+                location: {
+                    lat: validLat,
+                    lon: validLon,
+                },
+                forecast: localizeConditions(convertForecast(forecast, units), lang),
+                units: getUnits(units),
+                lang,
+                timestamp: new Date().toISOString(),
+            };
+
+            logger.info(`[SUCCESS] Hourly forecast data sent for ${validLat}, ${validLon}`);
+
+            res.json(response);
+        } catch (error) {
+            logger.error('[ERROR] Hourly Forecast Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
         }
+    }
+
+    /**
+     * Get observed daily weather for a past date range
+     * GET /api/history?lat=43.5&lon=5.4&start=2025-06-01&end=2025-06-07
+     */
+    async getHistory(req, res) {
+        try {
+            const { lat, lon, start, end } = req.query;
+            const lang = resolveLanguage(req);
+
+            const validation = validateCoordinates(lat, lon);
 
-        // Temperature recommendations
-        if (weather.temperature < 0) {
-            recommendations.push('Gel : Habillez-vous très chaudement et attention au verglas');
-        } else if (weather.temperature < 5) {
-            recommendations.push('Température très froide : Habillez-vous chaudement');
-        } else if (weather.temperature < 15) {
-            recommendations.push('Température fraîche : Prévoyez une veste');
-        } else if (weather.temperature > 30) {
-            recommendations.push(
-                "Forte chaleur : Restez hydraté et évitez l'effort physique intense"
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation Error',
+                    message: validation.error,
+                });
+            }
+
+            const { lat: validLat, lon: validLon } = validation.coords;
+
+            logger.info(
+                `[REQUEST] History from ${start} to ${end} for coordinates: ${validLat}, ${validLon}`
             );
+
+            const history = await historyService.getHistory(validLat, validLon, start, end);
+
+            const response = {
+                location: {
+                    lat: validLat,
+                    lon: validLon,
+                },
+                history: localizeConditions(history, lang),
+                lang,
+                timestamp: new Date().toISOString(),
+            };
+
+            logger.info(`[SUCCESS] History data sent for ${validLat}, ${validLon}`);
+
+            res.json(response);
+        } catch (error) {
+            logger.error('[ERROR] History Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
         }
+    }
 
-        // Wind recommendations
-        if (weather.wind_speed > 50) {
-            recommendations.push("Vent très violent : Restez à l'intérieur si possible");
-        } else if (weather.wind_speed > 30) {
-            recommendations.push("Vent très fort : Soyez prudent à l'extérieur");
-        } else if (weather.wind_speed > 20) {
-            recommendations.push('Conditions venteuses : Attention aux objets légers');
+    /**
+     * Find the best time windows for an activity in the next 48 hours
+     * GET /api/best-window?lat=43.5&lon=5.4&activity=running&duration=2h
+     */
+    async getBestWindow(req, res) {
+        try {
+            const { lat, lon, activity } = req.query;
+            const duration = req.query.duration ? parseInt(req.query.duration, 10) : 2;
+            const lang = resolveLanguage(req);
+
+            const validation = validateCoordinates(lat, lon);
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation Error',
+                    message: validation.error,
+                });
+            }
+
+            const { lat: validLat, lon: validLon } = validation.coords;
+
+            logger.info(
+                `[REQUEST] Best ${duration}h ${activity} window for coordinates: ${validLat}, ${validLon}`
+            );
+
+            const { windows, ...freshness } = await bestWindowService.findBestWindows(
+                validLat,
+                validLon,
+                activity,
+                duration,
+                { lang }
+            );
+
+            const response = {
+                location: {
+                    lat: validLat,
+                    lon: validLon,
+                },
+                activity,
+                duration_hours: duration,
+                windows,
+                ...freshness,
+                lang,
+                timestamp: new Date().toISOString(),
+            };
+
+            logger.info(`[SUCCESS] Best window data sent for ${validLat}, ${validLon}`);
+
+            res.json(response);
+        } catch (error) {
+            logger.error('[ERROR] Best Window Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
         }
+    }
 
-        // Air quality recommendations
-        if (airQuality.aqi !== null) {
-            if (airQuality.aqi > 200) {
-                recommendations.push(
-                    "Qualité de l'air dangereuse : Restez à l'intérieur, portez un masque FFP2"
-                );
-            } else if (airQuality.aqi > 150) {
-                recommendations.push(
-                    "Qualité de l'air médiocre : Portez un masque et limitez les activités extérieures"
-                );
-            } else if (airQuality.aqi > 100) {
-                recommendations.push(
-                    "Qualité de l'air modérée : Les personnes sensibles devraient limiter leur exposition"
-                );
+    /**
+     * Get aggregated weather data
+     * GET /api/weather?lat=43.5&lon=5.4
+     * Add &recommendation_format=text for the legacy array of strings
+     * Add &profile=running|cycling|beach|gardening for activity advice and a suitability score
+     * Add &aqi_scale=european and &include=pollutants,pollen for more air quality details
+     * Use ?q=Marseille (or ?city=Marseille&country=FR) instead of lat/lon to look up by name
+     */
+    async getWeather(req, res) {
+        try {
+            const { units = DEFAULT_UNIT_SYSTEM, profile } = req.query;
+            const lang = resolveLanguage(req);
+            const airOptions = getAirOptions(req.query);
+
+            const { location, status, error, message } = await resolveLocation(req.query, lang);
+
+            if (!location) {
+                return res.status(status).json({ error, message });
             }
+
+            const { lat: validLat, lon: validLon } = location;
+
+            logger.info(`[REQUEST] Weather data for coordinates: ${validLat}, ${validLon}`);
+
+            const { activity, ...report } = await this.buildWeatherReport(location, {
+                units,
+                lang,
+                profile,
+                recommendationFormat: req.query.recommendation_format,
+                airOptions,
+            });
+
+            const response = {
+                ...report,
+                units: getUnits(units),
+                lang,
+                timestamp: new Date().toISOString(),
+            };
+
+            if (activity) {
+                response.activity = activity;
+            }
+
+            logger.info(`[SUCCESS] Weather data sent for ${validLat}, ${validLon}`);
+
+            res.json(response);
+        } catch (error) {
+            logger.error('[ERROR] Weather Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
+        }
+    }
+
+    /**
+     * Get aggregated weather data for many locations at once
+     * POST /api/weather/batch?units=metric&lang=fr
+     * Body: { "locations": [{ "lat": 48.85, "lon": 2.35, "label": "Paris" }, ...] }
+     * A failing location gets its own error entry instead of failing the whole batch
+     */
+    async getWeatherBatch(req, res) {
+        try {
+            const { units = DEFAULT_UNIT_SYSTEM, profile } = req.query;
+            const lang = resolveLanguage(req);
+            const airOptions = getAirOptions(req.query);
+            const { locations } = req.body;
+
+            logger.info(`[REQUEST] Weather batch for ${locations.length} locations`);
+
+            const items = locations.map(location => {
+                const { lat, lon, label } = location ?? {};
+                return {
+                    label: label === undefined ? null : sanitizeString(label),
+                    validation: validateCoordinates(lat, lon),
+                };
+            });
+
+            // Duplicate coordinates are fetched once; the services cache covers later batches
+            const uniqueCoords = new Map();
+            for (const { validation } of items) {
+                if (validation.valid) {
+                    uniqueCoords.set(
+                        `${validation.coords.lat}:${validation.coords.lon}`,
+                        validation.coords
+                    );
+                }
+            }
+
+            const coordKeys = [...uniqueCoords.keys()];
+            const reports = await mapWithConcurrency(coordKeys, BATCH_CONCURRENCY, async key => {
+                const { lat, lon } = uniqueCoords.get(key);
+                try {
+                    return await this.buildWeatherReport(
+                        { lat, lon },
+                        {
+                            units,
+                            lang,
+                            profile,
+                            recommendationFormat: req.query.recommendation_format,
+                            airOptions,
+                        }
+                    );
+                } catch (error) {
+                    logger.error('[ERROR] Weather batch item:', {
+                        lat,
+                        lon,
+                        message: error.message,
+                    });
+                    return { error };
+                }
+            });
+            const reportsByKey = new Map(coordKeys.map((key, index) => [key, reports[index]]));
+
+            const results = items.map(({ label, validation }) => {
+                if (!validation.valid) {
+                    return {
+                        label,
+                        status: 'error',
+                        error: 'Validation Error',
+                        message: validation.error,
+                    };
+                }
+
+                const { lat, lon } = validation.coords;
+                const report = reportsByKey.get(`${lat}:${lon}`);
+
+                if (report.error) {
+                    return {
+                        label,
+                        status: 'error',
+                        location: { lat, lon },
+                        error: 'Internal Server Error',
+                        message: report.error.message || 'An unexpected error occurred',
+                    };
+                }
+
+                return { label, status: 'ok', ...report };
+            });
+
+            const failed = results.filter(result => result.status === 'error').length;
+
+            logger.info(
+                `[SUCCESS] Weather batch sent: ${results.length - failed} ok, ${failed} failed`
+            );
+
+            res.json({
+                results,
+                count: results.length,
+                failed,
+                units: getUnits(units),
+                lang,
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            logger.error('[ERROR] Weather Batch Controller:', { message: error.message });
+
+            res.status(500).json({
+                error: 'Internal Server Error',
+                message: error.message || 'An unexpected error occurred',
+            });
         }
+    }
+
+    /**
+     * Stream aggregated weather data with Server-Sent Events
+     * GET /api/weather/stream?lat=43.5&lon=5.4 (same options as /api/weather)
+     * A `weather` event is sent on connection, then each time the cached data is refreshed
+     */
+    async streamWeather(req, res) {
+        try {
+            const { units = DEFAULT_UNIT_SYSTEM, profile } = req.query;
+            const lang = resolveLanguage(req);
+            const options = {
+                units,
+                lang,
+                profile,
+                recommendationFormat: req.query.recommendation_format,
+                airOptions: getAirOptions(req.query),
+            };
+
+            // Listening before geocoding: a client may leave while the place is resolved
+            let closed = false;
+            let unsubscribe = null;
+
+            res.on('close', () => {
+                closed = true;
+
+                if (unsubscribe) {
+                    unsubscribe();
+                    logger.info(
+                        `[SUCCESS] Weather stream closed for ${location.lat}, ${location.lon}`
+                    );
+                }
+            });
+
+            const { location, status, error, message } = await resolveLocation(req.query, lang);
+
+            if (closed) return;
+
+            if (!location) {
+                return res.status(status).json({ error, message });
+            }
+
+            logger.info(
+                `[REQUEST] Weather stream for coordinates: ${location.lat}, ${location.lon}`
+            );
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                Connection: 'keep-alive',
+                // Disable response buffering in nginx-like reverse proxies
+                'X-Accel-Buffering': 'no',
+            });
+            res.flushHeaders();
+            res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+            const send = (event, data) => {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+
+            unsubscribe = weatherStreamService.subscribe(location.lat, location.lon, update => {
+                if (update.type === 'heartbeat') {
+                    res.write(': heartbeat\n\n');
+                    return;
+                }
+
+                if (update.type === 'error') {
+                    send('error', {
+                        error: 'Internal Server Error',
+                        message: update.error.message || 'An unexpected error occurred',
+                    });
+                    return;
+                }
+
+                const { activity, ...report } = this.formatWeatherReport(
+                    location,
+                    update.data,
+                    options
+                );
 
-        // Ideal conditions
-        if (
-            weather.temperature >= 18 &&
-            weather.temperature <= 25 &&
-            (!uv.uv_index || uv.uv_index < 6) &&
-            (!airQuality.aqi || airQuality.aqi < 100) &&
-            weather.precipitation === 0 &&
-            weather.wind_speed < 20
-        ) {
-            recommendations.push('[+] Conditions météo idéales pour les activités extérieures');
+                const response = {
+                    ...report,
+                    units: getUnits(units),
+                    lang,
+                    timestamp: new Date().toISOString(),
+                };
+
+                if (activity) {
+                    response.activity = activity;
+                }
+
+                send('weather', response);
+            });
+        } catch (error) {
+            logger.error('[ERROR] Weather Stream Controller:', { message: error.message });
+
+            if (!res.headersSent) {
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: error.message || 'An unexpected error occurred',
+                });
+            }
         }
+    }
+
+    /**
+     * Fetch, convert and localize the aggregated weather data for one location
+     * @param {Object} location - Validated { lat, lon }, plus the place details if resolved by name
+     * @param {Object} options - { units, lang, profile, recommendationFormat, airOptions }
+     * @returns {Promise<Object>} { location, weather, uv, air_quality, recommendations, activity? }
+     */
+    async buildWeatherReport(location, options) {
+        const data = await weatherStreamService.fetchWeatherData(location.lat, location.lon);
+        return this.formatWeatherReport(location, data, options);
+    }
 
-        if (recommendations.length === 0) {
-            recommendations.push('[+] Conditions météorologiques acceptables');
+    /**
+     * Convert and localize aggregated weather data
+     * @param {Object} location - Validated { lat, lon }, plus the place details if resolved by name
+     * @param {Object} data - { weather, uvIndex, airQuality } in canonical metric units
+     * @param {Object} options - { units, lang, profile, recommendationFormat, airOptions }
+     * @returns {Object} { location, weather, uv, air_quality, recommendations, source,
+     *   activity? }
+     */
+    formatWeatherReport(
+        location,
+        { weather: { local, source, ...weather }, uvIndex, airQuality },
+        { units, lang, profile, recommendationFormat, airOptions = {} }
+    ) {
+        // Recommendations use metric thresholds, convert only afterwards
+        const recommendations = this.generateRecommendations(
+            weather,
+            uvIndex,
+            airQuality,
+            lang,
+            profile
+        );
+
+        const report = {
+            location: {
+                ...location,
+                ...getLocalContext(local, lang),
+            },
+            weather: {
+                ...convertFields(weather, units),
+                conditions: getWeatherDescription(weather.weather_code, lang),
+            },
+            uv: uvIndexService.localize(uvIndex, lang),
+            air_quality: airQualityService.localize(airQuality, lang, airOptions),
+            recommendations:
+                recommendationFormat === 'text'
+                    ? recommendations.map(toRecommendationText)
+                    : recommendations,
+            // Provider(s) of the current conditions, degraded when one of them errored
+            source,
+        };
+
+        if (profile) {
+            report.activity = recommendationEngine.score(
+                { weather, uv: uvIndex, air_quality: airQuality },
+                profile
+            );
         }
 
-        return recommendations;
+        return report;
+    }
+
+    /**
+     * Generate smart recommendations based on all weather data
+     * Thresholds and messages come from the rules file (see recommendationEngine)
+     * @param {Object} weather - Weather data, in canonical metric units
+     * @param {Object} uv - UV index data
+     * @param {Object} airQuality - Air quality data
+     * @param {string} lang - Language code (default: English)
+     * @param {string} profile - Optional activity profile (e.g. 'running')
+     * @returns {Array<Object>} Recommendations { code, category, severity, message }
+     */
+    generateRecommendations(weather, uv, airQuality, lang = DEFAULT_LANGUAGE, profile = null) {
+        return recommendationEngine.evaluate(
+            { weather, uv, air_quality: airQuality },
+            lang,
+            profile
+        );
     }
 }
 
@@ -0,0 +1,132 @@
+/**
+ * Deutscher Nachrichtenkatalog
+ */
+
+module.exports = {
+    weather_codes: {
+        0: 'Klarer Himmel',
+        1: 'Überwiegend klar',
+        2: 'Teilweise bewölkt',
+        3: 'Bedeckt',
+        45: 'Nebel',
+        48: 'Gefrierender Nebel',
+        51: 'Leichter Nieselregen',
+        53: 'Mäßiger Nieselregen',
+        55: 'Starker Nieselregen',
+        61: 'Leichter Regen',
+        63: 'Mäßiger Regen',
+        65: 'Starker Regen',
+        66: 'Leichter gefrierender Regen',
+        67: 'Starker gefrierender Regen',
+        71: 'Leichter Schneefall',
+        73: 'Mäßiger Schneefall',
+        75: 'Starker Schneefall',
+        77: 'Schneegriesel',
+        80: 'Leichte Regenschauer',
+        81: 'Mäßige Regenschauer',
+        82: 'Heftige Regenschauer',
+        85: 'Leichte Schneeschauer',
+        86: 'Starke Schneeschauer',
+        95: 'Gewitter',
+        96: 'Gewitter mit leichtem Hagel',
+        99: 'Gewitter mit starkem Hagel',
+        unknown: 'Unbekannt',
+    },
+    uv_risk: {
+        low: 'Niedrig',
+        moderate: 'Mäßig',
+        high: 'Hoch',
+        very_high: 'Sehr hoch',
+        extreme: 'Extrem',
+        unknown: 'Unbekannt',
+    },
+    air_quality: {
+        good: 'Gut',
+        moderate: 'Mäßig',
+        unhealthy_for_sensitive_groups: 'Ungesund für empfindliche Gruppen',
+        unhealthy: 'Ungesund',
+        very_unhealthy: 'Sehr ungesund',
+        hazardous: 'Gefährlich',
+        fair: 'Ausreichend',
+        poor: 'Schlecht',
+        very_poor: 'Sehr schlecht',
+        extremely_poor: 'Extrem schlecht',
+        unknown: 'Unbekannt',
+    },
+    pollen_levels: {
+        low: 'Niedrig',
+        moderate: 'Mäßig',
+        high: 'Hoch',
+        very_high: 'Sehr hoch',
+        unknown: 'Unbekannt',
+    },
+    alerts: {
+        heat_wave: 'Hitzewelle',
+        frost: 'Frost',
+        storm: 'Gewitter',
+        violent_wind: 'Orkanartiger Wind',
+        hazardous_air: 'Gefährliche Luftqualität',
+    },
+    alert_severities: {
+        moderate: 'Mäßig',
+        severe: 'Schwer',
+        extreme: 'Extrem',
+    },
+    moon_phases: {
+        new_moon: 'Neumond',
+        waxing_crescent: 'Zunehmende Sichel',
+        first_quarter: 'Erstes Viertel',
+        waxing_gibbous: 'Zunehmender Mond',
+        full_moon: 'Vollmond',
+        waning_gibbous: 'Abnehmender Mond',
+        last_quarter: 'Letztes Viertel',
+        waning_crescent: 'Abnehmende Sichel',
+    },
+    recommendations: {
+        uv_very_high: 'Sehr hoher UV-Index: Sonne zwischen 10 und 16 Uhr meiden',
+        uv_high: 'Hoher UV-Index: Sonnencreme mit LSF 30+ auftragen',
+        uv_moderate: 'Mäßiger UV-Index: Sonnenschutz empfohlen',
+        rain_heavy: 'Starkregen erwartet: Regenschirm mitnehmen und vorsichtig fahren',
+        rain: 'Regen erwartet: Regenschirm mitnehmen',
+        freezing: 'Frost: Sehr warm anziehen und auf Glatteis achten',
+        very_cold: 'Sehr kalt: Warm anziehen',
+        cool: 'Kühle Temperatur: Jacke mitnehmen',
+        heat: 'Hitze: Viel trinken und intensive körperliche Anstrengung vermeiden',
+        wind_violent: 'Sehr heftiger Wind: Nach Möglichkeit drinnen bleiben',
+        wind_very_strong: 'Sehr starker Wind: Draußen vorsichtig sein',
+        wind_windy: 'Windig: Auf leichte Gegenstände achten',
+        air_hazardous: 'Gefährliche Luftqualität: Drinnen bleiben, FFP2-Maske tragen',
+        air_poor: 'Schlechte Luftqualität: Maske tragen und Aktivitäten im Freien einschränken',
+        air_moderate: 'Mäßige Luftqualität: Empfindliche Personen sollten die Belastung begrenzen',
+        pollen_very_high:
+            'Sehr hoher Pollenflug: Allergiker sollten drinnen bleiben und die Fenster geschlossen halten',
+        pollen_high:
+            'Hoher Pollenflug: Allergiker sollten ihre Medikamente nehmen und Zeit im Freien begrenzen',
+        ideal_conditions: 'Ideale Wetterbedingungen für Aktivitäten im Freien',
+        acceptable_conditions: 'Akzeptable Wetterbedingungen',
+        running_heat:
+            'Zu heiß zum sicheren Laufen: früh morgens oder spät abends laufen und regelmäßig trinken',
+        running_warm: 'Warm zum Laufen: Tempo drosseln und ausreichend trinken',
+        running_cold: 'Kalter Lauf: Zwiebellook, Handschuhe und Mütze tragen',
+        running_air_poor: 'Luftqualität ungeeignet zum Laufen: lieber drinnen trainieren',
+        running_pollen: 'Hoher Pollenflug: bei Allergie drinnen oder nach einem Regen laufen',
+        running_rain: 'Regen: wasserdichte Jacke tragen und auf rutschigen Boden achten',
+        running_good: 'Gute Bedingungen zum Laufen',
+        cycling_wind_strong: 'Gefährliche Böen zum Radfahren: Fahrt verschieben',
+        cycling_wind: 'Starker Gegenwind wahrscheinlich: kürzere Strecke planen',
+        cycling_rain: 'Nasse Straßen: Geschwindigkeit reduzieren und Bremsen prüfen',
+        cycling_cold: 'Kalte Fahrt: Hände und Ohren schützen',
+        cycling_good: 'Gute Bedingungen zum Radfahren',
+        beach_uv_high: 'Starke Sonne: LSF 50, Hut und Schatten zwischen 12 und 16 Uhr',
+        beach_cool: 'Zu kühl für einen Strandtag',
+        beach_wind: 'Starker Wind am Strand: auf die Flaggen achten und Schirme sichern',
+        beach_rain: 'Regen am Strand erwartet',
+        beach_good: 'Gute Bedingungen für den Strand',
+        gardening_frost: 'Frostgefahr: Jungpflanzen schützen und nicht gießen',
+        gardening_heat: 'Hitze: nur früh morgens oder abends gießen',
+        gardening_rain: 'Der Regen übernimmt das Gießen: Aussaat verschieben',
+        gardening_wind: 'Wind: hohe Pflanzen anbinden und nicht sprühen',
+        gardening_pollen: 'Hoher Pollenflug: bei Allergie Maske und Brille tragen',
+        gardening_good: 'Gute Bedingungen zum Gärtnern',
+    },
+};
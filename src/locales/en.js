@@ -0,0 +1,132 @@
+/**
+ * English message catalog (reference language)
+ */
+
+module.exports = {
+    weather_codes: {
+        0: 'Clear sky',
+        1: 'Mainly clear',
+        2: 'Partly cloudy',
+        3: 'Overcast',
+        45: 'Foggy',
+        48: 'Depositing rime fog',
+        51: 'Light drizzle',
+        53: 'Moderate drizzle',
+        55: 'Dense drizzle',
+        61: 'Slight rain',
+        63: 'Moderate rain',
+        65: 'Heavy rain',
+        66: 'Light freezing rain',
+        67: 'Heavy freezing rain',
+        71: 'Slight snow',
+        73: 'Moderate snow',
+        75: 'Heavy snow',
+        77: 'Snow grains',
+        80: 'Slight rain showers',
+        81: 'Moderate rain showers',
+        82: 'Violent rain showers',
+        85: 'Slight snow showers',
+        86: 'Heavy snow showers',
+        95: 'Thunderstorm',
+        96: 'Thunderstorm with slight hail',
+        99: 'Thunderstorm with heavy hail',
+        unknown: 'Unknown',
+    },
+    uv_risk: {
+        low: 'Low',
+        moderate: 'Moderate',
+        high: 'High',
+        very_high: 'Very High',
+        extreme: 'Extreme',
+        unknown: 'Unknown',
+    },
+    air_quality: {
+        good: 'Good',
+        moderate: 'Moderate',
+        unhealthy_for_sensitive_groups: 'Unhealthy for Sensitive Groups',
+        unhealthy: 'Unhealthy',
+        very_unhealthy: 'Very Unhealthy',
+        hazardous: 'Hazardous',
+        fair: 'Fair',
+        poor: 'Poor',
+        very_poor: 'Very Poor',
+        extremely_poor: 'Extremely Poor',
+        unknown: 'Unknown',
+    },
+    pollen_levels: {
+        low: 'Low',
+        moderate: 'Moderate',
+        high: 'High',
+        very_high: 'Very High',
+        unknown: 'Unknown',
+    },
+    alerts: {
+        heat_wave: 'Heat wave',
+        frost: 'Frost',
+        storm: 'Thunderstorm',
+        violent_wind: 'Violent wind',
+        hazardous_air: 'Hazardous air quality',
+    },
+    alert_severities: {
+        moderate: 'Moderate',
+        severe: 'Severe',
+        extreme: 'Extreme',
+    },
+    moon_phases: {
+        new_moon: 'New Moon',
+        waxing_crescent: 'Waxing Crescent',
+        first_quarter: 'First Quarter',
+        waxing_gibbous: 'Waxing Gibbous',
+        full_moon: 'Full Moon',
+        waning_gibbous: 'Waning Gibbous',
+        last_quarter: 'Last Quarter',
+        waning_crescent: 'Waning Crescent',
+    },
+    recommendations: {
+        uv_very_high: 'Very high UV index: avoid sun exposure between 10am and 4pm',
+        uv_high: 'High UV index: apply SPF 30+ sunscreen',
+        uv_moderate: 'Moderate UV index: sun protection recommended',
+        rain_heavy: 'Heavy rain expected: take an umbrella and drive carefully',
+        rain: 'Rain expected: take an umbrella',
+        freezing: 'Freezing: dress very warmly and watch out for black ice',
+        very_cold: 'Very cold: dress warmly',
+        cool: 'Cool temperature: bring a jacket',
+        heat: 'Heat: stay hydrated and avoid intense physical effort',
+        wind_violent: 'Violent wind: stay indoors if possible',
+        wind_very_strong: 'Very strong wind: be careful outdoors',
+        wind_windy: 'Windy conditions: watch out for light objects',
+        air_hazardous: 'Hazardous air quality: stay indoors, wear an FFP2 mask',
+        air_poor: 'Poor air quality: wear a mask and limit outdoor activities',
+        air_moderate: 'Moderate air quality: sensitive people should limit their exposure',
+        pollen_very_high:
+            'Very high pollen count: allergy sufferers should stay indoors with windows closed',
+        pollen_high:
+            'High pollen count: allergy sufferers should take their treatment and limit time outdoors',
+        ideal_conditions: 'Ideal weather conditions for outdoor activities',
+        acceptable_conditions: 'Acceptable weather conditions',
+        running_heat:
+            'Too hot to run safely: run early morning or late evening and drink regularly',
+        running_warm: 'Warm for running: slow your pace and stay hydrated',
+        running_cold: 'Cold run: wear layers, gloves and a hat',
+        running_air_poor: 'Air quality unsuited to running: prefer an indoor workout',
+        running_pollen: 'High pollen count: run indoors or after rain if you have allergies',
+        running_rain: 'Rain: wear a waterproof jacket and watch for slippery ground',
+        running_good: 'Good conditions for running',
+        cycling_wind_strong: 'Dangerous gusts for cycling: postpone your ride',
+        cycling_wind: 'Strong headwinds likely: plan a shorter route',
+        cycling_rain: 'Wet roads: reduce your speed and check your brakes',
+        cycling_cold: 'Cold ride: cover your hands and ears',
+        cycling_good: 'Good conditions for cycling',
+        beach_uv_high: 'Strong sun: SPF 50, hat and shade between noon and 4pm',
+        beach_cool: 'Too cool for a beach day',
+        beach_wind: 'Strong wind on the beach: check the flags and secure umbrellas',
+        beach_rain: 'Rain expected at the beach',
+        beach_good: 'Good conditions for the beach',
+        gardening_frost: 'Frost risk: protect young plants and skip watering',
+        gardening_heat: 'Heat: water only early in the morning or in the evening',
+        gardening_rain: 'The rain is doing the watering: postpone sowing',
+        gardening_wind: 'Wind: stake tall plants and avoid spraying',
+        gardening_pollen: 'High pollen count: wear a mask and glasses if you have allergies',
+        gardening_good: 'Good conditions for gardening',
+    },
+};
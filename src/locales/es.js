@@ -0,0 +1,134 @@
+/**
+ * Catálogo de mensajes en español
+ */
+
+module.exports = {
+    weather_codes: {
+        0: 'Cielo despejado',
+        1: 'Mayormente despejado',
+        2: 'Parcialmente nublado',
+        3: 'Cubierto',
+        45: 'Niebla',
+        48: 'Niebla con escarcha',
+        51: 'Llovizna ligera',
+        53: 'Llovizna moderada',
+        55: 'Llovizna densa',
+        61: 'Lluvia ligera',
+        63: 'Lluvia moderada',
+        65: 'Lluvia intensa',
+        66: 'Lluvia helada ligera',
+        67: 'Lluvia helada intensa',
+        71: 'Nevada ligera',
+        73: 'Nevada moderada',
+        75: 'Nevada intensa',
+        77: 'Granos de nieve',
+        80: 'Chubascos ligeros',
+        81: 'Chubascos moderados',
+        82: 'Chubascos violentos',
+        85: 'Chubascos de nieve ligeros',
+        86: 'Chubascos de nieve intensos',
+        95: 'Tormenta',
+        96: 'Tormenta con granizo ligero',
+        99: 'Tormenta con granizo intenso',
+        unknown: 'Desconocido',
+    },
+    uv_risk: {
+        low: 'Bajo',
+        moderate: 'Moderado',
+        high: 'Alto',
+        very_high: 'Muy alto',
+        extreme: 'Extremo',
+        unknown: 'Desconocido',
+    },
+    air_quality: {
+        good: 'Buena',
+        moderate: 'Moderada',
+        unhealthy_for_sensitive_groups: 'Dañina para grupos sensibles',
+        unhealthy: 'Dañina',
+        very_unhealthy: 'Muy dañina',
+        hazardous: 'Peligrosa',
+        fair: 'Aceptable',
+        poor: 'Mala',
+        very_poor: 'Muy mala',
+        extremely_poor: 'Extremadamente mala',
+        unknown: 'Desconocida',
+    },
+    pollen_levels: {
+        low: 'Bajo',
+        moderate: 'Moderado',
+        high: 'Alto',
+        very_high: 'Muy alto',
+        unknown: 'Desconocido',
+    },
+    alerts: {
+        heat_wave: 'Ola de calor',
+        frost: 'Helada',
+        storm: 'Tormenta',
+        violent_wind: 'Viento violento',
+        hazardous_air: 'Calidad del aire peligrosa',
+    },
+    alert_severities: {
+        moderate: 'Moderada',
+        severe: 'Severa',
+        extreme: 'Extrema',
+    },
+    moon_phases: {
+        new_moon: 'Luna nueva',
+        waxing_crescent: 'Luna creciente',
+        first_quarter: 'Cuarto creciente',
+        waxing_gibbous: 'Gibosa creciente',
+        full_moon: 'Luna llena',
+        waning_gibbous: 'Gibosa menguante',
+        last_quarter: 'Cuarto menguante',
+        waning_crescent: 'Luna menguante',
+    },
+    recommendations: {
+        uv_very_high: 'Índice UV muy alto: evite la exposición al sol entre las 10h y las 16h',
+        uv_high: 'Índice UV alto: aplique protector solar FPS 30+',
+        uv_moderate: 'Índice UV moderado: se recomienda protección solar',
+        rain_heavy: 'Lluvias intensas previstas: lleve paraguas y conduzca con precaución',
+        rain: 'Lluvia prevista: lleve paraguas',
+        freezing: 'Helada: abríguese mucho y cuidado con el hielo en la calzada',
+        very_cold: 'Temperatura muy fría: abríguese bien',
+        cool: 'Temperatura fresca: lleve una chaqueta',
+        heat: 'Calor intenso: manténgase hidratado y evite el esfuerzo físico intenso',
+        wind_violent: 'Viento muy violento: permanezca en el interior si es posible',
+        wind_very_strong: 'Viento muy fuerte: tenga cuidado en el exterior',
+        wind_windy: 'Condiciones ventosas: cuidado con los objetos ligeros',
+        air_hazardous: 'Calidad del aire peligrosa: permanezca en el interior, use mascarilla FFP2',
+        air_poor: 'Calidad del aire mala: use mascarilla y limite las actividades al aire libre',
+        air_moderate:
+            'Calidad del aire moderada: las personas sensibles deberían limitar su exposición',
+        pollen_very_high:
+            'Nivel de polen muy alto: las personas alérgicas deberían quedarse en interior con las ventanas cerradas',
+        pollen_high:
+            'Nivel de polen alto: las personas alérgicas deberían tomar su tratamiento y limitar el tiempo al aire libre',
+        ideal_conditions: 'Condiciones ideales para actividades al aire libre',
+        acceptable_conditions: 'Condiciones meteorológicas aceptables',
+        running_heat:
+            'Demasiado calor para correr con seguridad: corra temprano o al anochecer y beba con regularidad',
+        running_warm: 'Calor para correr: baje el ritmo y manténgase hidratado',
+        running_cold: 'Carrera con frío: vístase por capas, con guantes y gorro',
+        running_air_poor: 'Calidad del aire no apta para correr: prefiera entrenar en interior',
+        running_pollen:
+            'Nivel de polen alto: corra en interior o después de la lluvia si tiene alergia',
+        running_rain: 'Lluvia: lleve chaqueta impermeable y cuidado con el suelo resbaladizo',
+        running_good: 'Buenas condiciones para correr',
+        cycling_wind_strong: 'Rachas peligrosas para ir en bicicleta: aplace su salida',
+        cycling_wind: 'Probable viento en contra: planifique una ruta más corta',
+        cycling_rain: 'Carreteras mojadas: reduzca la velocidad y revise los frenos',
+        cycling_cold: 'Salida con frío: cúbrase manos y orejas',
+        cycling_good: 'Buenas condiciones para ir en bicicleta',
+        beach_uv_high: 'Sol intenso: FPS 50, sombrero y sombra entre las 12h y las 16h',
+        beach_cool: 'Demasiado fresco para un día de playa',
+        beach_wind: 'Viento fuerte en la playa: vigile las banderas y sujete las sombrillas',
+        beach_rain: 'Lluvia prevista en la playa',
+        beach_good: 'Buenas condiciones para la playa',
+        gardening_frost: 'Riesgo de helada: proteja las plantas jóvenes y no riegue',
+        gardening_heat: 'Calor: riegue solo temprano por la mañana o por la tarde',
+        gardening_rain: 'La lluvia se encarga del riego: aplace la siembra',
+        gardening_wind: 'Viento: entutore las plantas altas y evite pulverizar',
+        gardening_pollen: 'Nivel de polen alto: use mascarilla y gafas si tiene alergia',
+        gardening_good: 'Buenas condiciones para la jardinería',
+    },
+};
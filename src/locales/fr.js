@@ -0,0 +1,136 @@
+/**
+ * Catalogue de messages français
+ */
+
+module.exports = {
+    weather_codes: {
+        0: 'Ciel dégagé',
+        1: 'Plutôt dégagé',
+        2: 'Partiellement nuageux',
+        3: 'Couvert',
+        45: 'Brouillard',
+        48: 'Brouillard givrant',
+        51: 'Bruine légère',
+        53: 'Bruine modérée',
+        55: 'Bruine dense',
+        61: 'Pluie faible',
+        63: 'Pluie modérée',
+        65: 'Forte pluie',
+        66: 'Pluie verglaçante faible',
+        67: 'Forte pluie verglaçante',
+        71: 'Neige faible',
+        73: 'Neige modérée',
+        75: 'Forte neige',
+        77: 'Neige en grains',
+        80: 'Averses faibles',
+        81: 'Averses modérées',
+        82: 'Averses violentes',
+        85: 'Averses de neige faibles',
+        86: 'Fortes averses de neige',
+        95: 'Orage',
+        96: 'Orage avec grêle faible',
+        99: 'Orage avec forte grêle',
+        unknown: 'Inconnu',
+    },
+    uv_risk: {
+        low: 'Faible',
+        moderate: 'Modéré',
+        high: 'Élevé',
+        very_high: 'Très élevé',
+        extreme: 'Extrême',
+        unknown: 'Inconnu',
+    },
+    air_quality: {
+        good: 'Bonne',
+        moderate: 'Moyenne',
+        unhealthy_for_sensitive_groups: 'Mauvaise pour les personnes sensibles',
+        unhealthy: 'Mauvaise',
+        very_unhealthy: 'Très mauvaise',
+        hazardous: 'Dangereuse',
+        fair: 'Correcte',
+        poor: 'Dégradée',
+        very_poor: 'Très dégradée',
+        extremely_poor: 'Extrêmement dégradée',
+        unknown: 'Inconnue',
+    },
+    pollen_levels: {
+        low: 'Faible',
+        moderate: 'Modéré',
+        high: 'Élevé',
+        very_high: 'Très élevé',
+        unknown: 'Inconnu',
+    },
+    alerts: {
+        heat_wave: 'Canicule',
+        frost: 'Gel',
+        storm: 'Orage',
+        violent_wind: 'Vent violent',
+        hazardous_air: "Pollution de l'air dangereuse",
+    },
+    alert_severities: {
+        moderate: 'Modérée',
+        severe: 'Sévère',
+        extreme: 'Extrême',
+    },
+    moon_phases: {
+        new_moon: 'Nouvelle lune',
+        waxing_crescent: 'Premier croissant',
+        first_quarter: 'Premier quartier',
+        waxing_gibbous: 'Gibbeuse croissante',
+        full_moon: 'Pleine lune',
+        waning_gibbous: 'Gibbeuse décroissante',
+        last_quarter: 'Dernier quartier',
+        waning_crescent: 'Dernier croissant',
+    },
+    recommendations: {
+        uv_very_high: "Index UV très élevé : Évitez l'exposition au soleil entre 10h et 16h",
+        uv_high: 'Index UV élevé : Appliquez de la crème solaire SPF 30+',
+        uv_moderate: 'Index UV modéré : Protection solaire recommandée',
+        rain_heavy: 'Fortes pluies prévues : Prenez un parapluie et conduisez prudemment',
+        rain: 'Pluie prévue : Prenez un parapluie',
+        freezing: 'Gel : Habillez-vous très chaudement et attention au verglas',
+        very_cold: 'Température très froide : Habillez-vous chaudement',
+        cool: 'Température fraîche : Prévoyez une veste',
+        heat: "Forte chaleur : Restez hydraté et évitez l'effort physique intense",
+        wind_violent: "Vent très violent : Restez à l'intérieur si possible",
+        wind_very_strong: "Vent très fort : Soyez prudent à l'extérieur",
+        wind_windy: 'Conditions venteuses : Attention aux objets légers',
+        air_hazardous: "Qualité de l'air dangereuse : Restez à l'intérieur, portez un masque FFP2",
+        air_poor:
+            "Qualité de l'air médiocre : Portez un masque et limitez les activités extérieures",
+        air_moderate:
+            "Qualité de l'air modérée : Les personnes sensibles devraient limiter leur exposition",
+        pollen_very_high:
+            "Pollens très abondants : Personnes allergiques, restez à l'intérieur fenêtres fermées",
+        pollen_high:
+            'Pollens abondants : Personnes allergiques, prenez votre traitement et limitez le temps dehors',
+        ideal_conditions: 'Conditions météo idéales pour les activités extérieures',
+        acceptable_conditions: 'Conditions météorologiques acceptables',
+        running_heat:
+            'Trop chaud pour courir sans risque : courez tôt le matin ou tard le soir et buvez régulièrement',
+        running_warm: "Chaud pour courir : ralentissez l'allure et hydratez-vous",
+        running_cold: 'Course par temps froid : superposez les couches, gants et bonnet',
+        running_air_poor:
+            "Qualité de l'air inadaptée à la course : privilégiez une séance en intérieur",
+        running_pollen:
+            'Pollens abondants : Courez en salle ou après la pluie si vous êtes allergique',
+        running_rain: 'Pluie : portez une veste imperméable et attention aux sols glissants',
+        running_good: 'Bonnes conditions pour courir',
+        cycling_wind_strong: 'Rafales dangereuses à vélo : reportez votre sortie',
+        cycling_wind: 'Vent de face probable : prévoyez un parcours plus court',
+        cycling_rain: 'Routes mouillées : réduisez votre vitesse et vérifiez vos freins',
+        cycling_cold: 'Sortie par temps froid : couvrez mains et oreilles',
+        cycling_good: 'Bonnes conditions pour faire du vélo',
+        beach_uv_high: 'Soleil intense : SPF 50, chapeau et ombre entre 12h et 16h',
+        beach_cool: 'Trop frais pour une journée à la plage',
+        beach_wind: 'Vent fort à la plage : surveillez les drapeaux et attachez les parasols',
+        beach_rain: 'Pluie prévue à la plage',
+        beach_good: 'Bonnes conditions pour la plage',
+        gardening_frost: "Risque de gel : protégez les jeunes plants et n'arrosez pas",
+        gardening_heat: 'Chaleur : arrosez uniquement tôt le matin ou le soir',
+        gardening_rain: "La pluie se charge de l'arrosage : reportez les semis",
+        gardening_wind: 'Vent : tuteurez les grandes plantes et évitez les pulvérisations',
+        gardening_pollen: 'Pollens abondants : Portez masque et lunettes si vous êtes allergique',
+        gardening_good: 'Bonnes conditions pour jardiner',
+    },
+};
@@ -1,9 +1,18 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const router = express.Router();
 const weatherController = require('../controllers/weatherController');
+const geocodingController = require('../controllers/geocodingController');
+const alertController = require('../controllers/alertController');
+const subscriptionController = require('../controllers/subscriptionController');
+const { DAILY_FIELDS } = require('../services/forecastService');
+const { UNIT_SYSTEMS } = require('../utils/units');
+const { SUPPORTED_LANGUAGES } = require('../utils/i18n');
+const recommendationEngine = require('../services/recommendationEngine');
+const { AQI_SCALES } = require('../services/airQualityService');
+const { ALERT_TYPES, SEVERITIES } = require('../services/alertService');
 
-const validateWeatherParams = [
+const coordinateValidators = [
     query('lat')
         .exists()
         .withMessage('lat is required')
@@ -14,26 +23,421 @@ const validateWeatherParams = [
         .withMessage('lon is required')
         .isFloat({ min: -180, max: 180 })
         .withMessage('lon must be between -180 and 180'),
-    (req, res, next) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({
-                error: 'Validation Error',
-                errors: errors.array(),
-            });
+];
+
+// Without a place name (q, or city + country), coordinates are required
+const hasPlaceName = (value, { req }) => Boolean(req.query.q || req.query.city);
+
+const locationValidators = [
+    query('lat')
+        .if((value, meta) => !hasPlaceName(value, meta))
+        .exists()
+        .withMessage('lat is required (or q, or city)')
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('lat must be between -90 and 90'),
+    query('lon')
+        .if((value, meta) => !hasPlaceName(value, meta))
+        .exists()
+        .withMessage('lon is required (or q, or city)')
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('lon must be between -180 and 180'),
+    query(['lat', 'lon'])
+        .if(hasPlaceName)
+        .not()
+        .exists()
+        .withMessage('use either lat/lon or a place name, not both'),
+    query('q')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('q must be between 1 and 100 characters')
+        .custom((value, { req }) => !req.query.city)
+        .withMessage('use either q or city, not both'),
+    query('city')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('city must be between 1 and 100 characters'),
+    query('country')
+        .optional()
+        .custom((value, { req }) => Boolean(req.query.city))
+        .withMessage('country requires city')
+        .isString()
+        .trim()
+        .isLength({ min: 2, max: 60 })
+        .withMessage('country must be a country name or ISO code'),
+];
+
+const unitsValidator = query('units')
+    .optional()
+    .isIn(Object.keys(UNIT_SYSTEMS))
+    .withMessage(`units must be one of: ${Object.keys(UNIT_SYSTEMS).join(', ')}`);
+
+const langValidator = query('lang')
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage(`lang must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+
+const AIR_INCLUDES = ['pollutants', 'pollen'];
+
+const aqiScaleValidator = query('aqi_scale')
+    .optional()
+    .isIn(AQI_SCALES)
+    .withMessage(`aqi_scale must be one of: ${AQI_SCALES.join(', ')}`);
+
+const airQualityValidators = [
+    aqiScaleValidator,
+    query('include')
+        .optional()
+        .isString()
+        .custom(value => {
+            const unknown = value
+                .split(',')
+                .map(block => block.trim())
+                .filter(block => !AIR_INCLUDES.includes(block));
+            if (unknown.length > 0) {
+                throw new Error(
+                    `Unknown include: ${unknown.join(', ')}. Allowed: ${AIR_INCLUDES.join(', ')}`
+                );
+            }
+            return true;
+        }),
+];
+
+// Profiles come from the hot-reloadable rules file, so check them at request time
+const profileValidator = field =>
+    query(field).custom(value => {
+        const profiles = recommendationEngine.getProfiles();
+        if (!profiles.includes(value)) {
+            throw new Error(`${field} must be one of: ${profiles.join(', ')}`);
         }
-        next();
-    },
+        return true;
+    });
+
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            errors: errors.array(),
+        });
+    }
+    next();
+};
+
+const validateWeatherParams = [
+    ...locationValidators,
+    unitsValidator,
+    langValidator,
+    query('recommendation_format')
+        .optional()
+        .isIn(['object', 'text'])
+        .withMessage('recommendation_format must be one of: object, text'),
+    profileValidator('profile').optional(),
+    ...airQualityValidators,
+    handleValidationErrors,
+];
+
+// One batch counts as a single request for rate limiting, so cap its size
+const BATCH_MAX_LOCATIONS = parseInt(process.env.BATCH_MAX_LOCATIONS || '25');
+
+const validateWeatherBatchParams = [
+    body('locations')
+        .isArray({ min: 1, max: BATCH_MAX_LOCATIONS })
+        .withMessage(`locations must be an array of 1 to ${BATCH_MAX_LOCATIONS} items`),
+    body('locations.*.label').optional().isString().withMessage('label must be a string'),
+    unitsValidator,
+    langValidator,
+    query('recommendation_format')
+        .optional()
+        .isIn(['object', 'text'])
+        .withMessage('recommendation_format must be one of: object, text'),
+    profileValidator('profile').optional(),
+    ...airQualityValidators,
+    handleValidationErrors,
+];
+
+// Daily weather variables, plus the peak AQI merged from the air quality forecast
+const FORECAST_FIELDS = [...Object.keys(DAILY_FIELDS), 'aqi_max'];
+
+const validateForecastParams = [
+    ...locationValidators,
+    unitsValidator,
+    langValidator,
+    query('days')
+        .optional()
+        .isInt({ min: 1, max: 16 })
+        .withMessage('days must be an integer between 1 and 16'),
+    query('fields')
+        .optional()
+        .isString()
+        .custom(value => {
+            const fields = value.split(',').map(field => field.trim());
+            const unknown = fields.filter(field => !FORECAST_FIELDS.includes(field));
+            if (unknown.length > 0) {
+                throw new Error(
+                    `Unknown fields: ${unknown.join(', ')}. Allowed: ${FORECAST_FIELDS.join(', ')}`
+                );
+            }
+            if (!fields.some(field => DAILY_FIELDS[field])) {
+                throw new Error('fields must include at least one daily weather field');
+            }
+            return true;
+        }),
+    handleValidationErrors,
+];
+
+const validateUVParams = [...coordinateValidators, langValidator, handleValidationErrors];
+
+const validateAirQualityParams = [
+    ...coordinateValidators,
+    langValidator,
+    ...airQualityValidators,
+    handleValidationErrors,
+];
+
+const validateAirQualityForecastParams = [
+    ...coordinateValidators,
+    langValidator,
+    aqiScaleValidator,
+    query('days')
+        .optional()
+        .isInt({ min: 1, max: 7 })
+        .withMessage('days must be an integer between 1 and 7'),
+    handleValidationErrors,
+];
+
+const validateHourlyForecastParams = [
+    ...coordinateValidators,
+    unitsValidator,
+    langValidator,
+    query('hours')
+        .optional()
+        .isInt({ min: 1, max: 168 })
+        .withMessage('hours must be an integer between 1 and 168'),
+    handleValidationErrors,
+];
+
+// Open-Meteo archive starts in 1940; cap ranges to one year to bound payload size
+const HISTORY_MIN_DATE = '1940-01-01';
+const HISTORY_MAX_RANGE_DAYS = 366;
+
+const validateHistoryParams = [
+    ...coordinateValidators,
+    langValidator,
+    query('start')
+        .exists()
+        .withMessage('start is required')
+        .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+        .withMessage('start must be a date formatted as YYYY-MM-DD')
+        .custom(value => value >= HISTORY_MIN_DATE)
+        .withMessage(`start must be on or after ${HISTORY_MIN_DATE}`),
+    query('end')
+        .exists()
+        .withMessage('end is required')
+        .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+        .withMessage('end must be a date formatted as YYYY-MM-DD')
+        .custom(value => value < new Date().toISOString().slice(0, 10))
+        .withMessage('end must be in the past')
+        .custom((value, { req }) => {
+            const rangeDays = (Date.parse(value) - Date.parse(req.query.start)) / 86400000 + 1;
+            if (rangeDays < 1) {
+                throw new Error('end must be on or after start');
+            }
+            if (rangeDays > HISTORY_MAX_RANGE_DAYS) {
+                throw new Error(`date range cannot exceed ${HISTORY_MAX_RANGE_DAYS} days`);
+            }
+            return true;
+        }),
+    handleValidationErrors,
+];
+
+const validateBestWindowParams = [
+    ...coordinateValidators,
+    langValidator,
+    query('activity').exists().withMessage('activity is required'),
+    profileValidator('activity'),
+    query('duration')
+        .optional()
+        .matches(/^\d{1,2}h?$/)
+        .withMessage('duration must be a number of hours, e.g. 2h')
+        .custom(value => parseInt(value, 10) >= 1 && parseInt(value, 10) <= 12)
+        .withMessage('duration must be between 1h and 12h'),
+    handleValidationErrors,
+];
+
+const validateGeocodeParams = [
+    query('q')
+        .exists()
+        .withMessage('q is required')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('q must be between 1 and 100 characters'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage('limit must be an integer between 1 and 10'),
+    langValidator,
+    handleValidationErrors,
 ];
 
-// GET /api/weather?lat=43.5&lon=5.4
+const validateReverseGeocodeParams = [
+    ...coordinateValidators,
+    langValidator,
+    handleValidationErrors,
+];
+
+const validateAlertParams = [...coordinateValidators, langValidator, handleValidationErrors];
+
+// Coordinates are checked by the controller, like in batch requests
+const validateSubscriptionParams = [
+    body('callback_url')
+        .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+        .withMessage('callback_url must be an http(s) URL'),
+    body('conditions').optional().isObject().withMessage('conditions must be an object'),
+    body('conditions.types')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('conditions.types must be a non-empty array')
+        .custom(types => {
+            const unknown = types.filter(type => !ALERT_TYPES.includes(type));
+            if (unknown.length > 0) {
+                throw new Error(
+                    `Unknown alert types: ${unknown.join(', ')}. Allowed: ${ALERT_TYPES.join(', ')}`
+                );
+            }
+            return true;
+        }),
+    body('conditions.min_severity')
+        .optional()
+        .isIn(SEVERITIES)
+        .withMessage(`conditions.min_severity must be one of: ${SEVERITIES.join(', ')}`),
+    body('label').optional().isString().withMessage('label must be a string'),
+    langValidator,
+    handleValidationErrors,
+];
+
+const validateSubscriptionId = [
+    param('id').isUUID().withMessage('id must be a subscription id'),
+    handleValidationErrors,
+];
+
+// GET /api/weather?lat=43.5&lon=5.4&units=imperial&profile=running
+// GET /api/weather?q=Marseille or ?city=Marseille&country=FR
 router.get('/weather', validateWeatherParams, weatherController.getWeather.bind(weatherController));
 
-// GET /api/forecast?lat=43.5&lon=5.4
+// GET /api/weather/stream?lat=43.5&lon=5.4 (Server-Sent Events, same options as /api/weather)
 router.get(
-    '/forecast',
+    '/weather/stream',
     validateWeatherParams,
+    weatherController.streamWeather.bind(weatherController)
+);
+
+// POST /api/weather/batch { "locations": [{ "lat": 48.85, "lon": 2.35, "label": "Paris" }] }
+router.post(
+    '/weather/batch',
+    validateWeatherBatchParams,
+    weatherController.getWeatherBatch.bind(weatherController)
+);
+
+// GET /api/forecast?lat=43.5&lon=5.4&days=10&fields=temp_max,temp_min,sunrise,sunset
+router.get(
+    '/forecast',
+    validateForecastParams,
     weatherController.getForecast.bind(weatherController)
 );
 
+// GET /api/forecast/hourly?lat=43.5&lon=5.4&hours=48
+router.get(
+    '/forecast/hourly',
+    validateHourlyForecastParams,
+    weatherController.getHourlyForecast.bind(weatherController)
+);
+
+// GET /api/uv?lat=43.5&lon=5.4
+router.get('/uv', validateUVParams, weatherController.getUV.bind(weatherController));
+
+// GET /api/air-quality?lat=43.5&lon=5.4&aqi_scale=european&include=pollutants,pollen
+router.get(
+    '/air-quality',
+    validateAirQualityParams,
+    weatherController.getAirQuality.bind(weatherController)
+);
+
+// GET /api/uv/forecast?lat=43.5&lon=5.4
+router.get(
+    '/uv/forecast',
+    validateUVParams,
+    weatherController.getUVForecast.bind(weatherController)
+);
+
+// GET /api/air-quality/forecast?lat=43.5&lon=5.4&days=5&aqi_scale=european
+router.get(
+    '/air-quality/forecast',
+    validateAirQualityForecastParams,
+    weatherController.getAirQualityForecast.bind(weatherController)
+);
+
+// GET /api/history?lat=43.5&lon=5.4&start=2025-06-01&end=2025-06-07
+router.get('/history', validateHistoryParams, weatherController.getHistory.bind(weatherController));
+
+// GET /api/best-window?lat=43.5&lon=5.4&activity=running&duration=2h
+router.get(
+    '/best-window',
+    validateBestWindowParams,
+    weatherController.getBestWindow.bind(weatherController)
+);
+
+// GET /api/geocode?q=Lyon&limit=6
+router.get('/geocode', validateGeocodeParams, geocodingController.search.bind(geocodingController));
+
+// GET /api/reverse-geocode?lat=45.76&lon=4.84
+router.get(
+    '/reverse-geocode',
+    validateReverseGeocodeParams,
+    geocodingController.reverse.bind(geocodingController)
+);
+
+// GET /api/alerts?lat=43.5&lon=5.4
+router.get('/alerts', validateAlertParams, alertController.getAlerts.bind(alertController));
+
+// POST /api/subscriptions { "lat": 43.5, "lon": 5.4, "callback_url": "https://example.com/hook" }
+router.post(
+    '/subscriptions',
+    validateSubscriptionParams,
+    subscriptionController.create.bind(subscriptionController)
+);
+
+// GET /api/subscriptions
+router.get('/subscriptions', subscriptionController.list.bind(subscriptionController));
+
+// GET /api/subscriptions/:id (with the delivery log)
+router.get(
+    '/subscriptions/:id',
+    validateSubscriptionId,
+    subscriptionController.get.bind(subscriptionController)
+);
+
+// POST /api/subscriptions/:id/pause and /resume
+router.post(
+    '/subscriptions/:id/pause',
+    validateSubscriptionId,
+    subscriptionController.setPaused(true)
+);
+router.post(
+    '/subscriptions/:id/resume',
+    validateSubscriptionId,
+    subscriptionController.setPaused(false)
+);
+
+// DELETE /api/subscriptions/:id
+router.delete(
+    '/subscriptions/:id',
+    validateSubscriptionId,
+    subscriptionController.remove.bind(subscriptionController)
+);
+
 module.exports = router;
@@ -8,12 +8,30 @@ const rateLimit = require('express-rate-limit');
 const logger = require('../monitoring/logger');
 const ipBanManager = require('./ipBan');
 
+// Flux SSE : une seule requête longue durée, reconnectée automatiquement par le navigateur
+const STREAM_ENDPOINTS = ['/api/weather/stream'];
+
+// Flux simultanés autorisés par IP (remplace le comptage des requêtes pour les flux)
+const STREAM_MAX_PER_IP = parseInt(process.env.STREAM_MAX_PER_IP || '5');
+const openStreams = new Map(); // IP -> nombre de flux ouverts
+
+/**
+ * Vérifier si la requête ouvre un flux SSE
+ * Fonctionne au niveau de l'app comme derrière un montage (baseUrl + path)
+ */
+function isStreamRequest(req) {
+    const fullPath = req.baseUrl + req.path;
+    return STREAM_ENDPOINTS.some(endpoint => fullPath.startsWith(endpoint));
+}
+
 /**
  * Rate limiter modéré pour les endpoints normaux
  */
 const moderateLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100,
+    // Les flux sont limités en connexions simultanées (streamConnectionLimiter)
+    skip: isStreamRequest,
     standardHeaders: true,
     legacyHeaders: false,
     handler: (req, res) => {
@@ -83,6 +101,11 @@ function patternAnalysisMiddleware(req, res, next) {
         return next(); // Skip pattern analysis for dashboard
     }
 
+    // Ignorer les flux SSE (les reconnexions ne sont pas un comportement de scan)
+    if (isStreamRequest(req)) {
+        return next();
+    }
+
     const now = Date.now();
     const pattern = requestPatterns.get(ip) || {
         requests: [],
@@ -132,6 +155,35 @@ function patternAnalysisMiddleware(req, res, next) {
     next();
 }
 
+/**
+ * Limiter le nombre de flux SSE ouverts simultanément par IP
+ * Un dépassement est refusé sans être compté comme activité suspecte
+ */
+function streamConnectionLimiter(req, res, next) {
+    const ip = req.ip || req.connection.remoteAddress;
+    const count = openStreams.get(ip) || 0;
+
+    if (count >= STREAM_MAX_PER_IP) {
+        return res.status(429).json({
+            error: 'Too Many Requests',
+            message: `No more than ${STREAM_MAX_PER_IP} simultaneous streams per client`,
+        });
+    }
+
+    openStreams.set(ip, count + 1);
+
+    res.on('close', () => {
+        const remaining = (openStreams.get(ip) || 1) - 1;
+        if (remaining > 0) {
+            openStreams.set(ip, remaining);
+        } else {
+            openStreams.delete(ip);
+        }
+    });
+
+    next();
+}
+
 // Nettoyer les patterns toutes les 5 minutes
 setInterval(() => {
     const now = Date.now();
@@ -147,4 +199,6 @@ module.exports = {
     moderateLimiter,
     strictLimiter,
     patternAnalysisMiddleware,
+    streamConnectionLimiter,
+    isStreamRequest,
 };
@@ -37,7 +37,6 @@ const helmetConfig = helmet({
                 'https://api.open-meteo.com',
                 'https://air-quality-api.open-meteo.com',
                 'https://currentuvindex.com',
-                'https://nominatim.openstreetmap.org',
                 'https://cdn.jsdelivr.net', // Chart.js source map
             ],
             frameSrc: ["'none'"],
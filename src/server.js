@@ -27,10 +27,17 @@ const {
     moderateLimiter,
     strictLimiter,
     patternAnalysisMiddleware,
+    streamConnectionLimiter,
+    isStreamRequest,
 } = require('./security/middleware/rateLimiting');
 const { dashboardAuth } = require('./security/middleware/dashboardAuth');
 const logger = require('./security/monitoring/logger');
 const { analytics } = require('./security/monitoring/analytics');
+const recommendationEngine = require('./services/recommendationEngine');
+const alertScheduler = require('./services/alertScheduler');
+const weatherStreamService = require('./services/weatherStreamService');
+const { getCircuitStates } = require('./utils/httpClient');
+const cache = require('./utils/cache');
 const rateLimit = require('express-rate-limit');
 
 const app = express();
@@ -52,7 +59,7 @@ app.use(customHeaders);
 app.use(
     cors({
         origin: process.env.CORS_ORIGIN || (NODE_ENV === 'production' ? false : true),
-        methods: ['GET', 'POST', 'OPTIONS'],
+        methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
         allowedHeaders: ['Content-Type', 'Authorization'],
         credentials: true,
         maxAge: 86400, // 24 hours
@@ -86,11 +93,15 @@ app.use((req, res, next) => {
         if (!isDashboard && !req.path.match(/\.(css|js|png|jpg|ico)$/)) {
             // Determine request type
             const blocked = res.statusCode === 403;
-            const suspicious = res.statusCode === 400 || res.statusCode === 429;
+            // A client over its simultaneous stream limit is refused, not suspicious
+            const suspicious =
+                res.statusCode === 400 || (res.statusCode === 429 && !isStreamRequest(req));
 
-            // Track request
+            // Track request (a stream lasts as long as the client watches, not a response time)
             analytics.recordRequest(req, blocked, suspicious);
-            analytics.recordResponseTime(duration);
+            if (!isStreamRequest(req)) {
+                analytics.recordResponseTime(duration);
+            }
         }
     });
 
@@ -135,7 +146,15 @@ app.use(express.static(path.join(__dirname, '../public')));
 // ====================
 // Apply moderate rate limiting to weather API routes
 app.use('/api/weather', moderateLimiter);
+app.use('/api/weather/stream', streamConnectionLimiter);
 app.use('/api/forecast', moderateLimiter);
+app.use('/api/uv', moderateLimiter);
+app.use('/api/air-quality', moderateLimiter);
+app.use('/api/history', moderateLimiter);
+app.use('/api/best-window', moderateLimiter);
+app.use('/api/geocode', moderateLimiter);
+app.use('/api/reverse-geocode', moderateLimiter);
+app.use('/api/alerts', moderateLimiter);
 
 // Dashboard rate limiter (generous but present)
 const dashboardLimiter = rateLimit({
@@ -149,6 +168,9 @@ const dashboardLimiter = rateLimit({
 // Apply rate limiting and authentication to security routes
 app.use('/api/security', dashboardLimiter, dashboardAuth);
 
+// Webhook subscriptions make the server call arbitrary URLs: same protection as the dashboard
+app.use('/api/subscriptions', dashboardLimiter, dashboardAuth);
+
 // Apply strict rate limiting to non-dashboard security endpoints (ban/unban actions)
 app.use('/api/security/ban', strictLimiter);
 app.use('/api/security/unban', strictLimiter);
@@ -170,6 +192,11 @@ app.get('/health', (req, res) => {
         uptime: process.uptime(),
         timestamp: new Date().toISOString(),
         environment: NODE_ENV,
+        streams: weatherStreamService.getStats(),
+        // Circuit breaker of each upstream API called so far (closed, open, half_open)
+        upstreams: getCircuitStates(),
+        // Upstream calls saved by sharing in-flight fetches between concurrent cache misses
+        cache: cache.getCoalescingStats(),
         security: {
             helmet: 'active',
             ipBanning: 'active',
@@ -227,11 +254,18 @@ if (require.main === module) {
         });
     });
 
+    // Hot-reload recommendation rules when the rules file changes
+    recommendationEngine.watch();
+
+    // Notify webhook subscribers of new weather alerts
+    alertScheduler.start();
+
     // ====================
     // GRACEFUL SHUTDOWN
     // ====================
     process.on('SIGTERM', () => {
         logger.info('SIGTERM signal received: closing HTTP server');
+        alertScheduler.stop();
         server.close(() => {
             logger.info('Server shut down successfully');
             process.exit(0);
@@ -240,6 +274,7 @@ if (require.main === module) {
 
     process.on('SIGINT', () => {
         logger.info('SIGINT signal received: closing HTTP server');
+        alertScheduler.stop();
         server.close(() => {
             logger.info('Server shut down successfully');
             process.exit(0);
@@ -1,89 +1,358 @@
 /**
  * Air Quality Service
  *
- * Fetches air quality data from Open-Meteo Air Quality API
- * Features: Caching, timeout handling, graceful error handling
+ * Fetches current and forecast air quality and pollen data from Open-Meteo Air Quality API
+ * Features: Caching, retries and circuit breaker, graceful error handling, US or European AQI
  */
 
-const axios = require('axios');
+const { createClient } = require('../utils/httpClient');
 const cache = require('../utils/cache');
 const logger = require('../security/monitoring/logger');
+const { translate, DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+const AQI_SCALES = ['us', 'european'];
+
+// Extra pollutants returned with ?include=pollutants (µg/m³)
+const POLLUTANTS = ['ozone', 'nitrogen_dioxide', 'sulphur_dioxide', 'carbon_monoxide'];
+
+/**
+ * Pollen species (Open-Meteo `<species>_pollen`, grains/m³, Europe only) with the lower
+ * bound of their moderate / high / very high levels, after the NAB pollen scales
+ */
+const POLLEN_SPECIES = {
+    alder: [15, 90, 1500],
+    birch: [15, 90, 1500],
+    olive: [15, 90, 1500],
+    grass: [5, 20, 200],
+    mugwort: [10, 50, 500],
+    ragweed: [10, 50, 500],
+};
+const POLLEN_LEVELS = ['low', 'moderate', 'high', 'very_high'];
+
+const CURRENT_VARIABLES = [
+    'pm10',
+    'pm2_5',
+    'us_aqi',
+    'european_aqi',
+    ...POLLUTANTS,
+    ...Object.keys(POLLEN_SPECIES).map(species => `${species}_pollen`),
+];
 
 class AirQualityService {
     constructor() {
         this.baseURL =
             process.env.AIR_QUALITY_URL || 'https://air-quality-api.open-meteo.com/v1/air-quality';
         this.timeout = parseInt(process.env.API_TIMEOUT || '5000');
+        this.http = createClient('open-meteo-air-quality');
     }
 
     /**
      * Get air quality data for coordinates
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude
-     * @returns {Promise<Object>} Air quality data
+     * @returns {Promise<Object>} Air quality data with every pollutant and pollen count,
+     *   `aqi` on the US scale (use localize to shape it for a response), `stale: true` and `age`
+     *   when served from an expired cache entry after an upstream error
      */
     async getAirQuality(lat, lon) {
         const cacheKey = cache.generateKey(lat, lon, 'air');
-        const cachedData = cache.get(cacheKey);
 
-        if (cachedData) {
-            logger.info(`[CACHE HIT] Air quality for ${lat}, ${lon}`);
-            return cachedData;
+        try {
+            return await cache.getOrFetch(cacheKey, () => this.fetchAirQuality(lat, lon), {
+                label: `Air quality for ${lat}, ${lon}`,
+            });
+        } catch (error) {
+            logger.error('[ERROR] Air Quality API:', { message: error.message });
+
+            // Graceful degradation - return null data instead of throwing
+            return {
+                pm10: null,
+                pm2_5: null,
+                aqi: null,
+                quality_code: 'unknown',
+                quality: this.getAirQualityLevel(null),
+                european_aqi: null,
+                ...Object.fromEntries(POLLUTANTS.map(name => [name, null])),
+                pollen: { level_code: 'unknown' },
+                error: 'Air quality data temporarily unavailable',
+            };
+        }
+    }
+
+    /**
+     * Fetch the current air quality from Open-Meteo (no cache)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} Air quality data, see getAirQuality
+     */
+    async fetchAirQuality(lat, lon) {
+        const response = await this.http.get(this.baseURL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+                current: CURRENT_VARIABLES.join(','),
+                timezone: 'auto',
+            },
+            timeout: this.timeout,
+        });
+
+        const data = response.data.current;
+
+        const pollen = {};
+        for (const species of Object.keys(POLLEN_SPECIES)) {
+            pollen[species] = data[`${species}_pollen`] ?? null;
         }
 
-        logger.info(`[CACHE MISS] Fetching air quality for ${lat}, ${lon}`);
+        return {
+            pm10: data.pm10,
+            pm2_5: data.pm2_5,
+            aqi: data.us_aqi,
+            quality_code: this.getAirQualityCode(data.us_aqi),
+            quality: this.getAirQualityLevel(data.us_aqi),
+            european_aqi: data.european_aqi ?? null,
+            ...Object.fromEntries(POLLUTANTS.map(name => [name, data[name] ?? null])),
+            pollen: {
+                ...pollen,
+                level_code: this.getPollenLevelCode(pollen),
+            },
+        };
+    }
+
+    /**
+     * Get the hourly air quality forecast for coordinates
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} days - Forecast horizon in days (1-7, default 5)
+     * @returns {Promise<Object>} { hours: [{ time, pm10, pm2_5, aqi, european_aqi }],
+     *   days: [{ date, aqi_max, european_aqi_max }] } in local time, `aqi` on the US scale
+     */
+    async getAirQualityForecast(lat, lon, days = 5) {
+        const cacheKey = cache.generateKey(lat, lon, 'air-forecast', days);
+
+        // Same 1 hour TTL as the weather forecast
+        return cache.getOrFetch(cacheKey, () => this.fetchAirQualityForecast(lat, lon, days), {
+            ttl: 3600,
+            label: `${days}-day air quality forecast for ${lat}, ${lon}`,
+        });
+    }
 
+    /**
+     * Fetch the hourly air quality forecast from Open-Meteo (no cache)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} days - Forecast horizon in days
+     * @returns {Promise<Object>} Air quality forecast, see getAirQualityForecast
+     */
+    async fetchAirQualityForecast(lat, lon, days) {
         try {
-            const response = await axios.get(this.baseURL, {
+            const response = await this.http.get(this.baseURL, {
                 params: {
                     latitude: lat,
                     longitude: lon,
-                    current: 'pm10,pm2_5,us_aqi',
+                    hourly: 'pm10,pm2_5,us_aqi,european_aqi',
                     timezone: 'auto',
+                    forecast_days: days,
                 },
                 timeout: this.timeout,
             });
 
-            const data = response.data.current;
+            const hourly = response.data.hourly;
+            const forecastData = { hours: [], days: [] };
+            const daysByDate = new Map();
 
-            const airData = {
-                pm10: data.pm10,
-                pm2_5: data.pm2_5,
-                aqi: data.us_aqi,
-                quality: this.getAirQualityLevel(data.us_aqi),
-            };
+            for (let i = 0; i < hourly.time.length; i++) {
+                const hour = {
+                    time: hourly.time[i],
+                    pm10: hourly.pm10[i],
+                    pm2_5: hourly.pm2_5[i],
+                    aqi: hourly.us_aqi[i],
+                    european_aqi: hourly.european_aqi[i],
+                };
+                forecastData.hours.push(hour);
+
+                const date = hour.time.slice(0, 10);
+                if (!daysByDate.has(date)) {
+                    daysByDate.set(date, { date, aqi_max: null, european_aqi_max: null });
+                    forecastData.days.push(daysByDate.get(date));
+                }
 
-            cache.set(cacheKey, airData);
+                const day = daysByDate.get(date);
+                if (hour.aqi !== null) day.aqi_max = Math.max(day.aqi_max ?? 0, hour.aqi);
+                if (hour.european_aqi !== null) {
+                    day.european_aqi_max = Math.max(day.european_aqi_max ?? 0, hour.european_aqi);
+                }
+            }
 
-            return airData;
+            return forecastData;
         } catch (error) {
-            logger.error('[ERROR] Air Quality API:', { message: error.message });
+            logger.error('[ERROR] Air Quality Forecast API:', { message: error.message });
 
-            // Graceful degradation - return null data instead of throwing
-            return {
-                pm10: null,
-                pm2_5: null,
-                aqi: null,
-                quality: 'Unknown',
-                error: 'Air quality data temporarily unavailable',
-            };
+            if (error.code === 'ECONNABORTED') {
+                throw new Error('Air quality service timeout - please try again');
+            }
+
+            if (error.code === 'ECIRCUITOPEN') {
+                throw new Error(
+                    'Air quality service temporarily unavailable - please try again later'
+                );
+            }
+
+            if (error.response) {
+                throw new Error(`Air quality service error: ${error.response.status}`);
+            }
+
+            throw new Error('Failed to fetch air quality forecast');
         }
     }
 
+    /**
+     * Convert AQI value to a stable quality code
+     * @param {number} aqi - US AQI value
+     * @returns {string} Air quality code (e.g. 'unhealthy_for_sensitive_groups')
+     */
+    getAirQualityCode(aqi) {
+        if (aqi === null || aqi === undefined) return 'unknown';
+        if (aqi <= 50) return 'good';
+        if (aqi <= 100) return 'moderate';
+        if (aqi <= 150) return 'unhealthy_for_sensitive_groups';
+        if (aqi <= 200) return 'unhealthy';
+        if (aqi <= 300) return 'very_unhealthy';
+        return 'hazardous';
+    }
+
+    /**
+     * Convert a European AQI value to a stable quality code
+     * @param {number} aqi - European AQI value
+     * @returns {string} Air quality code (e.g. 'very_poor')
+     */
+    getEuropeanAirQualityCode(aqi) {
+        if (aqi === null || aqi === undefined) return 'unknown';
+        if (aqi <= 20) return 'good';
+        if (aqi <= 40) return 'fair';
+        if (aqi <= 60) return 'moderate';
+        if (aqi <= 80) return 'poor';
+        if (aqi <= 100) return 'very_poor';
+        return 'extremely_poor';
+    }
+
     /**
      * Convert AQI value to quality level
      * @param {number} aqi - US AQI value
+     * @param {string} lang - Language code (default: English)
      * @returns {string} Air quality level
      */
-    getAirQualityLevel(aqi) {
-        if (aqi === null || aqi === undefined) return 'Unknown';
-        if (aqi <= 50) return 'Good';
-        if (aqi <= 100) return 'Moderate';
-        if (aqi <= 150) return 'Unhealthy for Sensitive Groups';
-        if (aqi <= 200) return 'Unhealthy';
-        if (aqi <= 300) return 'Very Unhealthy';
-        return 'Hazardous';
+    getAirQualityLevel(aqi, lang = DEFAULT_LANGUAGE) {
+        return translate(lang, 'air_quality', this.getAirQualityCode(aqi));
+    }
+
+    /**
+     * Highest pollen level over all species
+     * @param {Object} pollen - Species -> grains/m³ (null where not measured)
+     * @returns {string} Pollen level code ('low' to 'very_high', 'unknown' outside Europe)
+     */
+    getPollenLevelCode(pollen) {
+        let highest = -1;
+
+        for (const [species, thresholds] of Object.entries(POLLEN_SPECIES)) {
+            const count = pollen[species];
+            if (count !== null && count !== undefined) {
+                highest = Math.max(highest, thresholds.filter(bound => count >= bound).length);
+            }
+        }
+
+        return highest < 0 ? 'unknown' : POLLEN_LEVELS[highest];
+    }
+
+    /**
+     * Shape air quality data for a response (cached data stays in English on the US scale)
+     * @param {Object} airData - Air quality data from getAirQuality
+     * @param {string} lang - Language code
+     * @param {Object} options - Response options
+     * @param {string} options.aqiScale - 'us' (default) or 'european'
+     * @param {Array<string>} options.include - Optional blocks: 'pollutants', 'pollen'
+     * @returns {Object} Localized copy
+     */
+    localize(airData, lang, { aqiScale = 'us', include = [] } = {}) {
+        const { pm10, pm2_5, error } = airData;
+        const european = aqiScale === 'european';
+        const qualityCode = european
+            ? this.getEuropeanAirQualityCode(airData.european_aqi)
+            : airData.quality_code;
+
+        const localized = {
+            pm10,
+            pm2_5,
+            aqi: european ? airData.european_aqi : airData.aqi,
+            aqi_scale: aqiScale,
+            quality_code: qualityCode,
+            quality: translate(lang, 'air_quality', qualityCode),
+        };
+
+        if (include.includes('pollutants')) {
+            for (const name of POLLUTANTS) {
+                localized[name] = airData[name];
+            }
+        }
+
+        if (include.includes('pollen')) {
+            localized.pollen = {
+                ...airData.pollen,
+                level: translate(lang, 'pollen_levels', airData.pollen.level_code),
+            };
+        }
+
+        if (error) {
+            localized.error = error;
+        }
+
+        if (airData.stale) {
+            Object.assign(localized, { stale: true, age: airData.age });
+        }
+
+        return localized;
+    }
+
+    /**
+     * Shape an air quality forecast for a response, on the requested AQI scale
+     * @param {Object} forecast - Forecast from getAirQualityForecast
+     * @param {string} lang - Language code
+     * @param {Object} options - { aqiScale: 'us' (default) or 'european' }
+     * @returns {Object} { aqi_scale, hours: [{ time, pm10, pm2_5, aqi }],
+     *   days: [{ date, aqi_max, quality_code, quality }] }
+     */
+    localizeForecast(forecast, lang, { aqiScale = 'us' } = {}) {
+        const european = aqiScale === 'european';
+
+        const localized = {
+            aqi_scale: aqiScale,
+            hours: forecast.hours.map(({ time, pm10, pm2_5, aqi, european_aqi }) => ({
+                time,
+                pm10,
+                pm2_5,
+                aqi: european ? european_aqi : aqi,
+            })),
+            days: forecast.days.map(day => {
+                const aqiMax = european ? day.european_aqi_max : day.aqi_max;
+                const qualityCode = european
+                    ? this.getEuropeanAirQualityCode(aqiMax)
+                    : this.getAirQualityCode(aqiMax);
+
+                return {
+                    date: day.date,
+                    aqi_max: aqiMax,
+                    quality_code: qualityCode,
+                    quality: translate(lang, 'air_quality', qualityCode),
+                };
+            }),
+        };
+
+        if (forecast.stale) {
+            Object.assign(localized, { stale: true, age: forecast.age });
+        }
+
+        return localized;
     }
 }
 
 module.exports = new AirQualityService();
+module.exports.AQI_SCALES = AQI_SCALES;
@@ -0,0 +1,177 @@
+/**
+ * Alert Scheduler
+ *
+ * Polls the alerts of every active webhook subscription and notifies the subscribers
+ * Features: Only new or escalated alerts are sent, a failed delivery is retried at the next poll
+ */
+
+const alertService = require('./alertService');
+const subscriptionManager = require('./subscriptionManager');
+const webhookService = require('./webhookService');
+const logger = require('../security/monitoring/logger');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { SEVERITIES, nextDate } = alertService;
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '900000');
+
+// Subscriptions checked in parallel (alerts share the forecast cache per location)
+const POLL_CONCURRENCY = 4;
+
+/**
+ * Key of a newly notified alert: type and first day
+ * @param {Object} alert - Alert from alertService
+ * @returns {string} Alert key
+ */
+function alertKey(alert) {
+    return `${alert.type}:${alert.period.start}`;
+}
+
+/**
+ * Find the notified alert an alert continues
+ * Past days drop out of the alert period, so an ongoing alert starts later at every poll: it
+ * is the same alert while its period overlaps or follows the notified one
+ * @param {Object} alert - Alert from alertService
+ * @param {Object} notified - Alert key -> { severity, start, end }
+ * @returns {string|undefined} Key of the notified alert
+ */
+function findNotifiedKey(alert, notified) {
+    return Object.keys(notified).find(key => {
+        const { start, end } = notified[key];
+        return (
+            key.startsWith(`${alert.type}:`) &&
+            alert.period.start <= nextDate(end) &&
+            alert.period.end >= start
+        );
+    });
+}
+
+/**
+ * Whether an alert matches the conditions of a subscription
+ * @param {Object} alert - Alert from alertService
+ * @param {Object} conditions - { types, min_severity }
+ * @returns {boolean}
+ */
+function matchesConditions(alert, { types, min_severity }) {
+    return (
+        types.includes(alert.type) &&
+        SEVERITIES.indexOf(alert.severity) >= SEVERITIES.indexOf(min_severity)
+    );
+}
+
+class AlertScheduler {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start polling (no-op if already started)
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.runOnce(), POLL_INTERVAL_MS);
+        logger.info(`Alert scheduler started (every ${POLL_INTERVAL_MS / 1000}s)`);
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Check every active subscription once
+     * A poll still running when the next one is due is not overlapped
+     */
+    async runOnce() {
+        if (this.running) return;
+
+        this.running = true;
+
+        try {
+            const subscriptions = await subscriptionManager.getActive();
+            await mapWithConcurrency(subscriptions, POLL_CONCURRENCY, subscription =>
+                this.checkSubscription(subscription)
+            );
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Notify a subscriber of its new or escalated alerts
+     * @param {Object} subscription - Active subscription
+     */
+    async checkSubscription(subscription) {
+        try {
+            const { lat, lon } = subscription.location;
+            const { timezone, alerts } = await alertService.getAlerts(lat, lon, {
+                lang: subscription.lang,
+            });
+
+            const matching = alerts.filter(alert =>
+                matchesConditions(alert, subscription.conditions)
+            );
+
+            // Ended alerts are forgotten, so that a new occurrence is notified again
+            const notified = {};
+            const keys = new Map(); // alert -> key
+            const fresh = [];
+
+            for (const alert of matching) {
+                const key = findNotifiedKey(alert, subscription.notified) ?? alertKey(alert);
+                const previous = subscription.notified[key];
+                keys.set(alert, key);
+
+                if (previous) {
+                    notified[key] = { ...previous, end: alert.period.end };
+                }
+
+                if (
+                    !previous ||
+                    SEVERITIES.indexOf(alert.severity) > SEVERITIES.indexOf(previous.severity)
+                ) {
+                    fresh.push(alert);
+                }
+            }
+
+            if (fresh.length === 0) {
+                if (JSON.stringify(notified) !== JSON.stringify(subscription.notified)) {
+                    await subscriptionManager.setNotified(subscription.id, notified);
+                }
+                return;
+            }
+
+            const delivery = await webhookService.deliver(subscription, 'alerts.triggered', {
+                location: { ...subscription.location, timezone },
+                alerts: fresh,
+            });
+
+            if (delivery.status === 'delivered') {
+                for (const alert of fresh) {
+                    const key = keys.get(alert);
+                    notified[key] = {
+                        severity: alert.severity,
+                        start: notified[key]?.start ?? alert.period.start,
+                        end: alert.period.end,
+                    };
+                }
+            }
+
+            await subscriptionManager.recordDelivery(
+                subscription.id,
+                { ...delivery, alerts: fresh.map(alert => keys.get(alert)) },
+                notified
+            );
+        } catch (error) {
+            logger.error(`[ERROR] Alert check for subscription ${subscription.id}:`, {
+                message: error.message,
+            });
+        }
+    }
+}
+
+module.exports = new AlertScheduler();
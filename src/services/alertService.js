@@ -0,0 +1,229 @@
+/**
+ * Weather Alert Service
+ *
+ * Detects severe conditions (heat wave, frost, thunderstorm, violent wind, hazardous air)
+ * in the current conditions and the next days of forecast
+ * Features: Reuses the cached weather, forecast and air quality data, merges the alerts
+ * of consecutive days into a single period
+ */
+
+const weatherService = require('./weatherService');
+const forecastService = require('./forecastService');
+const airQualityService = require('./airQualityService');
+const { getLocalTime } = require('../utils/astronomy');
+const { translate, DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+const ALERT_FORECAST_DAYS = 7;
+
+// Daily forecast variables the alert rules read
+const ALERT_FORECAST_FIELDS = ['temp_max', 'temp_min', 'wind_speed_max', 'weather_code'];
+
+// Lowest to highest
+const SEVERITIES = ['moderate', 'severe', 'extreme'];
+
+/**
+ * Alert rules: `current` and `daily` name the value read in the current conditions and in each
+ * forecast day, `thresholds` the first value reaching each severity (metric units, US AQI)
+ * Recommendations already warn from 30°C feels-like, 50 km/h wind and AQI 200: alerts start
+ * where conditions become dangerous for everyone
+ */
+const ALERT_RULES = [
+    {
+        type: 'heat_wave',
+        current: 'temperature',
+        daily: 'temp_max',
+        op: 'gte',
+        thresholds: { moderate: 35, severe: 38, extreme: 41 },
+    },
+    {
+        type: 'frost',
+        current: 'temperature',
+        daily: 'temp_min',
+        op: 'lte',
+        thresholds: { moderate: 0, severe: -5, extreme: -10 },
+    },
+    {
+        // WMO codes 95 (thunderstorm), 96 (slight hail) and 99 (heavy hail)
+        type: 'storm',
+        current: 'weather_code',
+        daily: 'weather_code',
+        op: 'gte',
+        thresholds: { moderate: 95, severe: 96, extreme: 99 },
+    },
+    {
+        type: 'violent_wind',
+        current: 'wind_speed',
+        daily: 'wind_speed_max',
+        op: 'gte',
+        thresholds: { moderate: 50, severe: 75, extreme: 100 },
+    },
+    {
+        type: 'hazardous_air',
+        current: 'aqi',
+        daily: 'aqi_max',
+        op: 'gt',
+        thresholds: { moderate: 150, severe: 200, extreme: 300 },
+    },
+];
+
+const COMPARATORS = {
+    gt: (value, threshold) => value > threshold,
+    gte: (value, threshold) => value >= threshold,
+    lte: (value, threshold) => value <= threshold,
+};
+
+/**
+ * Next calendar date ('2026-01-25' -> '2026-01-26')
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {string} Following date
+ */
+function nextDate(date) {
+    return new Date(Date.parse(`${date}T00:00Z`) + 86400000).toISOString().slice(0, 10);
+}
+
+class AlertService {
+    /**
+     * Get the alerts in effect now and over the next days
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Object} options - { lang } language of the titles (default: English)
+     * @returns {Promise<Object>} { timezone, alerts } with local onset/expiry times
+     */
+    async getAlerts(lat, lon, { lang = DEFAULT_LANGUAGE } = {}) {
+        const [weather, forecast, airQuality, airForecast] = await Promise.all([
+            weatherService.getWeather(lat, lon),
+            forecastService.getForecast(lat, lon, {
+                days: ALERT_FORECAST_DAYS,
+                fields: ALERT_FORECAST_FIELDS,
+            }),
+            airQualityService.getAirQuality(lat, lon),
+            // The air quality forecast is optional: without it only the current AQI is checked
+            airQualityService
+                .getAirQualityForecast(lat, lon, ALERT_FORECAST_DAYS)
+                .catch(() => null),
+        ]);
+
+        const peakAqi = new Map((airForecast?.days || []).map(day => [day.date, day.aqi_max]));
+
+        const alerts = this.evaluate({
+            // The current weather may lack timezone data (fallback providers), never the forecast
+            now: getLocalTime(forecast.utc_offset_seconds),
+            current: { ...weather, aqi: airQuality.aqi },
+            days: forecast.days.map(day => ({ ...day, aqi_max: peakAqi.get(day.date) ?? null })),
+        });
+
+        return {
+            timezone: forecast.timezone,
+            alerts: alerts.map(alert => this.localize(alert, lang)),
+        };
+    }
+
+    /**
+     * Evaluate the alert rules and merge the alerts of consecutive days
+     * @param {Object} data - Conditions to check
+     * @param {string} data.now - Current local time (YYYY-MM-DDTHH:mm)
+     * @param {Object} data.current - Current conditions (temperature, wind_speed, weather_code, aqi)
+     * @param {Array<Object>} data.days - Forecast days (date, temp_max, temp_min, ...)
+     * @returns {Array<Object>} Alerts { type, severity, onset, expiry, period, peak }, by onset
+     */
+    evaluate({ now, current, days }) {
+        const today = now.slice(0, 10);
+        const alerts = [];
+
+        for (const rule of ALERT_RULES) {
+            const hits = [
+                { date: today, onset: now, ...this.check(rule, current[rule.current]) },
+                ...days.map(day => ({
+                    date: day.date,
+                    onset: `${day.date}T00:00`,
+                    ...this.check(rule, day[rule.daily]),
+                })),
+            ]
+                .filter(hit => hit.severity && hit.date >= today)
+                .sort((a, b) => a.date.localeCompare(b.date));
+
+            let alert = null;
+
+            for (const hit of hits) {
+                // Same day as the current conditions, or the day after the alert period
+                if (
+                    alert &&
+                    (hit.date === alert.period.end || hit.date === nextDate(alert.period.end))
+                ) {
+                    if (hit.date !== alert.period.end) {
+                        alert.period.end = hit.date;
+                        alert.period.days += 1;
+                    }
+                    alert.onset = hit.onset < alert.onset ? hit.onset : alert.onset;
+                    if (SEVERITIES.indexOf(hit.severity) > SEVERITIES.indexOf(alert.severity)) {
+                        alert.severity = hit.severity;
+                    }
+                    if (COMPARATORS[rule.op](hit.value, alert.peak)) {
+                        alert.peak = hit.value;
+                    }
+                    continue;
+                }
+
+                alert = {
+                    type: rule.type,
+                    severity: hit.severity,
+                    onset: hit.onset,
+                    period: { start: hit.date, end: hit.date, days: 1 },
+                    peak: hit.value,
+                };
+                alerts.push(alert);
+            }
+        }
+
+        return alerts
+            .map(alert => ({ ...alert, expiry: `${nextDate(alert.period.end)}T00:00` }))
+            .sort(
+                (a, b) =>
+                    a.onset.localeCompare(b.onset) ||
+                    SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity)
+            );
+    }
+
+    /**
+     * Severity reached by a value for a rule
+     * @param {Object} rule - Alert rule (see ALERT_RULES)
+     * @param {number|null} value - Measured or forecast value
+     * @returns {Object} { severity, value }, severity null below every threshold
+     */
+    check(rule, value) {
+        if (value === null || value === undefined) {
+            return { severity: null, value };
+        }
+
+        const severity = [...SEVERITIES]
+            .reverse()
+            .find(level => COMPARATORS[rule.op](value, rule.thresholds[level]));
+
+        return { severity: severity || null, value };
+    }
+
+    /**
+     * Add the translated title and severity label of an alert
+     * @param {Object} alert - Alert from evaluate
+     * @param {string} lang - Language code
+     * @returns {Object} Localized copy
+     */
+    localize(alert, lang) {
+        return {
+            type: alert.type,
+            title: translate(lang, 'alerts', alert.type),
+            severity: alert.severity,
+            severity_label: translate(lang, 'alert_severities', alert.severity),
+            onset: alert.onset,
+            expiry: alert.expiry,
+            period: alert.period,
+            peak: alert.peak,
+        };
+    }
+}
+
+module.exports = new AlertService();
+module.exports.ALERT_RULES = ALERT_RULES;
+module.exports.ALERT_TYPES = ALERT_RULES.map(rule => rule.type);
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.nextDate = nextDate;
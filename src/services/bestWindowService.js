@@ -0,0 +1,145 @@
+/**
+ * Best Window Service
+ *
+ * Finds the best time windows for an outdoor activity in the next 48 hours
+ * Features: Reuses the hourly weather and air quality forecasts (and their cache) and the
+ * activity profiles of the recommendation engine to score every daylight hour
+ */
+
+const forecastService = require('./forecastService');
+const airQualityService = require('./airQualityService');
+const recommendationEngine = require('./recommendationEngine');
+const { DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+const SCAN_HOURS = 48;
+
+// Air quality forecast days covering the scanned hours (today and the next two days)
+const AIR_FORECAST_DAYS = 3;
+
+/**
+ * Add one hour to a local ISO time ('2026-01-25T10:00' -> '2026-01-25T11:00')
+ * @param {string} time - Local time as returned by Open-Meteo
+ * @returns {string} Local time one hour later
+ */
+function nextHour(time) {
+    return new Date(Date.parse(`${time}Z`) + 3600000).toISOString().slice(0, 16);
+}
+
+class BestWindowService {
+    /**
+     * Find the top-ranked, non-overlapping windows for an activity
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {string} activity - Activity profile (e.g. 'running')
+     * @param {number} duration - Window length in hours
+     * @param {Object} options - { lang, limit }
+     * @returns {Promise<Object>} { windows } with windows { start, end, score, explanation }, best
+     *   first (`stale: true` and `age` when a forecast was served from an expired cache entry)
+     */
+    async findBestWindows(
+        lat,
+        lon,
+        activity,
+        duration,
+        { lang = DEFAULT_LANGUAGE, limit = 3 } = {}
+    ) {
+        const [forecast, airForecast] = await Promise.all([
+            forecastService.getHourlyForecast(lat, lon, SCAN_HOURS),
+            // The AQI is optional: without its forecast the air quality factor is left out
+            airQualityService.getAirQualityForecast(lat, lon, AIR_FORECAST_DAYS).catch(() => null),
+        ]);
+
+        const aqiByHour = new Map((airForecast?.hours || []).map(hour => [hour.time, hour.aqi]));
+
+        const scoredHours = forecast.hours.map(hour => {
+            const data = {
+                weather: hour,
+                uv: { uv_index: hour.uv_index },
+                air_quality: { aqi: aqiByHour.get(hour.time) ?? null },
+            };
+
+            return {
+                ...hour,
+                score: recommendationEngine.score(data, activity).score,
+                recommendations: recommendationEngine.evaluate(data, lang, activity),
+            };
+        });
+
+        const candidates = [];
+
+        for (let start = 0; start + duration <= scoredHours.length; start++) {
+            const windowHours = scoredHours.slice(start, start + duration);
+
+            // Outdoor activities are planned in daylight only
+            if (windowHours.some(hour => !hour.is_day)) {
+                continue;
+            }
+
+            candidates.push({
+                startIndex: start,
+                start: windowHours[0].time,
+                end: nextHour(windowHours[windowHours.length - 1].time),
+                score: Math.round(
+                    windowHours.reduce((sum, hour) => sum + hour.score, 0) / duration
+                ),
+                explanation: this.explain(windowHours),
+            });
+        }
+
+        // Best first, earliest first on ties; then greedily drop overlapping windows
+        candidates.sort((a, b) => b.score - a.score || a.startIndex - b.startIndex);
+
+        const windows = [];
+        for (const candidate of candidates) {
+            const overlaps = windows.some(
+                window => Math.abs(window.startIndex - candidate.startIndex) < duration
+            );
+
+            if (!overlaps) {
+                windows.push(candidate);
+            }
+            if (windows.length === limit) {
+                break;
+            }
+        }
+
+        const result = {
+            windows: windows.map(({ start, end, score, explanation }) => ({
+                start,
+                end,
+                score,
+                explanation,
+            })),
+        };
+
+        const stale = [forecast, airForecast].filter(data => data?.stale);
+        if (stale.length > 0) {
+            Object.assign(result, { stale: true, age: Math.max(...stale.map(data => data.age)) });
+        }
+
+        return result;
+    }
+
+    /**
+     * Explain a window with the distinct recommendations of its hours
+     * @param {Array<Object>} windowHours - Scored hours
+     * @returns {Array<Object>} Recommendations { code, category, severity, message }
+     */
+    explain(windowHours) {
+        const byCode = new Map();
+
+        for (const hour of windowHours) {
+            for (const recommendation of hour.recommendations) {
+                byCode.set(recommendation.code, recommendation);
+            }
+        }
+
+        // A positive summary only makes sense when nothing in the window needs attention
+        const recommendations = Array.from(byCode.values());
+        const warnings = recommendations.filter(rec => rec.severity !== 'positive');
+
+        return warnings.length > 0 ? warnings : recommendations;
+    }
+}
+
+module.exports = new BestWindowService();
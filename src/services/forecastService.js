@@ -1,46 +1,108 @@
 /**
  * Weather Forecast Service
  *
- * Fetches 7-day weather forecast from Open-Meteo API
- * Features: Caching, timeout handling, daily min/max temperatures
+ * Fetches daily (1-16 days) and hour-by-hour weather forecasts from Open-Meteo API
+ * Features: Caching, timeout handling, retries and circuit breaker, selectable daily variables
  */
 
-const axios = require('axios');
+const { createClient } = require('../utils/httpClient');
 const cache = require('../utils/cache');
 const logger = require('../security/monitoring/logger');
 const { getWeatherDescription } = require('../utils/weatherCodes');
+const {
+    getComfortMetrics,
+    feelsLike,
+    heatIndex,
+    windChill,
+    dewPoint,
+} = require('../utils/comfort');
+
+/**
+ * Selectable daily fields: response key -> Open-Meteo daily variable
+ * Declaration order is the order fields appear in each day entry
+ */
+const DAILY_FIELDS = {
+    temp_max: 'temperature_2m_max',
+    temp_min: 'temperature_2m_min',
+    humidity_mean: 'relative_humidity_2m_mean',
+    precipitation: 'precipitation_sum',
+    precipitation_hours: 'precipitation_hours',
+    precipitation_probability_max: 'precipitation_probability_max',
+    wind_speed_max: 'wind_speed_10m_max',
+    wind_gusts_max: 'wind_gusts_10m_max',
+    weather_code: 'weather_code',
+    sunrise: 'sunrise',
+    sunset: 'sunset',
+    daylight_duration: 'daylight_duration',
+    uv_index_max: 'uv_index_max',
+};
+
+const DEFAULT_DAILY_FIELDS = [
+    'temp_max',
+    'temp_min',
+    'humidity_mean',
+    'precipitation',
+    'wind_speed_max',
+    'weather_code',
+    'uv_index_max',
+];
+
+// Comfort metrics need these daily fields to be estimated
+const COMFORT_INPUT_FIELDS = ['temp_max', 'temp_min', 'humidity_mean', 'wind_speed_max'];
+
+// Longer TTL for forecasts - 1 hour
+const FORECAST_CACHE_TTL = 3600;
 
 class ForecastService {
     constructor() {
         this.baseURL = process.env.OPEN_METEO_URL || 'https://api.open-meteo.com/v1/forecast';
         this.timeout = parseInt(process.env.API_TIMEOUT || '5000');
+        this.http = createClient('open-meteo');
     }
 
     /**
-     * Get 7-day weather forecast for coordinates
+     * Get daily weather forecast for coordinates
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude
-     * @returns {Promise<Object>} Forecast data with daily min/max temps, conditions
+     * @param {Object} options - Forecast options
+     * @param {number} options.days - Forecast horizon in days (1-16, default 7)
+     * @param {Array<string>} options.fields - Daily fields to return (keys of DAILY_FIELDS)
+     * @returns {Promise<Object>} Forecast data with the timezone, the requested daily values,
+     *   conditions (`stale: true` and `age` when served from an expired cache entry after an upstream error)
      */
-    async getForecast(lat, lon) {
-        const cacheKey = cache.generateKey(lat, lon, 'forecast');
-        const cachedData = cache.get(cacheKey);
+    async getForecast(lat, lon, { days = 7, fields = DEFAULT_DAILY_FIELDS } = {}) {
+        // Canonical order so that equivalent field lists share a cache entry
+        const selectedFields = Object.keys(DAILY_FIELDS).filter(field => fields.includes(field));
 
-        if (cachedData) {
-            logger.info(`[CACHE HIT] Forecast data for ${lat}, ${lon}`);
-            return cachedData;
-        }
+        const cacheKey = cache.generateKey(lat, lon, 'forecast', days, selectedFields.join(','));
 
-        logger.info(`[CACHE MISS] Fetching forecast for ${lat}, ${lon}`);
+        return cache.getOrFetch(
+            cacheKey,
+            () => this.fetchForecast(lat, lon, days, selectedFields),
+            {
+                ttl: FORECAST_CACHE_TTL,
+                label: `${days}-day forecast for ${lat}, ${lon}`,
+            }
+        );
+    }
 
+    /**
+     * Fetch the daily forecast from Open-Meteo (no cache)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} days - Forecast horizon in days
+     * @param {Array<string>} selectedFields - Daily fields in DAILY_FIELDS order
+     * @returns {Promise<Object>} Forecast data, see getForecast
+     */
+    async fetchForecast(lat, lon, days, selectedFields) {
         try {
-            const response = await axios.get(this.baseURL, {
+            const response = await this.http.get(this.baseURL, {
                 params: {
                     latitude: lat,
                     longitude: lon,
-                    daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum,weather_code,wind_speed_10m_max',
+                    daily: selectedFields.map(field => DAILY_FIELDS[field]).join(','),
                     timezone: 'auto',
-                    forecast_days: 7,
+                    forecast_days: days,
                 },
                 timeout: this.timeout,
             });
@@ -48,39 +110,147 @@ class ForecastService {
             const daily = response.data.daily;
 
             const forecastData = {
+                timezone: response.data.timezone,
+                utc_offset_seconds: response.data.utc_offset_seconds,
                 days: [],
             };
 
             for (let i = 0; i < daily.time.length; i++) {
-                forecastData.days.push({
-                    date: daily.time[i],
-                    temp_max: daily.temperature_2m_max[i],
-                    temp_min: daily.temperature_2m_min[i],
-                    precipitation: daily.precipitation_sum[i],
-                    wind_speed_max: daily.wind_speed_10m_max[i],
-                    weather_code: daily.weather_code[i],
-                    conditions: getWeatherDescription(daily.weather_code[i]),
-                });
-            }
+                const day = { date: daily.time[i] };
+
+                for (const field of selectedFields) {
+                    day[field] = daily[DAILY_FIELDS[field]][i];
+                }
 
-            // Store in cache (longer TTL for forecast - 1 hour)
-            cache.set(cacheKey, forecastData, 3600);
+                if (selectedFields.includes('weather_code')) {
+                    day.conditions = getWeatherDescription(day.weather_code);
+                }
+
+                if (COMFORT_INPUT_FIELDS.every(field => selectedFields.includes(field))) {
+                    Object.assign(day, this.getDailyComfortMetrics(day));
+                }
+
+                forecastData.days.push(day);
+            }
 
             return forecastData;
         } catch (error) {
-            logger.error('[ERROR] Forecast API:', { message: error.message });
+            this.handleError(error);
+        }
+    }
 
-            if (error.code === 'ECONNABORTED') {
-                throw new Error('Forecast service timeout - please try again');
-            }
+    /**
+     * Get hour-by-hour weather forecast for coordinates
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} hours - Number of hours to forecast, starting from the current hour
+     * @returns {Promise<Object>} Forecast data with hourly temperature, rain, wind, UV, daylight
+     *   (`stale: true` and `age` when served from an expired cache entry after an upstream error)
+     */
+    async getHourlyForecast(lat, lon, hours = 48) {
+        const cacheKey = cache.generateKey(lat, lon, 'forecast-hourly', hours);
+
+        // Same TTL as the daily forecast
+        return cache.getOrFetch(cacheKey, () => this.fetchHourlyForecast(lat, lon, hours), {
+            ttl: FORECAST_CACHE_TTL,
+            label: `Hourly forecast for ${lat}, ${lon}`,
+        });
+    }
+
+    /**
+     * Fetch the hour-by-hour forecast from Open-Meteo (no cache)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} hours - Number of hours to forecast
+     * @returns {Promise<Object>} Forecast data, see getHourlyForecast
+     */
+    async fetchHourlyForecast(lat, lon, hours) {
+        try {
+            const response = await this.http.get(this.baseURL, {
+                params: {
+                    latitude: lat,
+                    longitude: lon,
+                    hourly: 'temperature_2m,precipitation_probability,precipitation,weather_code,wind_speed_10m,relative_humidity_2m,uv_index,is_day',
+                    timezone: 'auto',
+                    forecast_hours: hours,
+                },
+                timeout: this.timeout,
+            });
+
+            const hourly = response.data.hourly;
+
+            const forecastData = {
+                hours: [],
+            };
 
-            if (error.response) {
-                throw new Error(`Forecast service error: ${error.response.status}`);
+            for (let i = 0; i < hourly.time.length; i++) {
+                forecastData.hours.push({
+                    time: hourly.time[i],
+                    temperature: hourly.temperature_2m[i],
+                    precipitation_probability: hourly.precipitation_probability[i],
+                    precipitation: hourly.precipitation[i],
+                    humidity: hourly.relative_humidity_2m[i],
+                    wind_speed: hourly.wind_speed_10m[i],
+                    uv_index: hourly.uv_index[i],
+                    is_day: hourly.is_day[i] === 1,
+                    weather_code: hourly.weather_code[i],
+                    conditions: getWeatherDescription(hourly.weather_code[i]),
+                    ...getComfortMetrics(
+                        hourly.temperature_2m[i],
+                        hourly.relative_humidity_2m[i],
+                        hourly.wind_speed_10m[i]
+                    ),
+                });
             }
 
-            throw new Error('Failed to fetch forecast data');
+            return forecastData;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Estimate comfort metrics from daily aggregates
+     * Heat is judged at the daily max, cold at the daily min with the strongest wind
+     * @param {Object} day - Day entry with temp_max, temp_min, humidity_mean, wind_speed_max
+     * @returns {Object} { feels_like_max, feels_like_min, heat_index_max, wind_chill_min, dew_point }
+     */
+    getDailyComfortMetrics({ temp_max, temp_min, humidity_mean, wind_speed_max }) {
+        const bothPresent = temp_max !== null && temp_min !== null;
+
+        return {
+            feels_like_max: feelsLike(temp_max, humidity_mean, wind_speed_max),
+            feels_like_min: feelsLike(temp_min, humidity_mean, wind_speed_max),
+            heat_index_max: heatIndex(temp_max, humidity_mean),
+            wind_chill_min: windChill(temp_min, wind_speed_max),
+            dew_point: bothPresent ? dewPoint((temp_max + temp_min) / 2, humidity_mean) : null,
+        };
+    }
+
+    /**
+     * Log an upstream error and rethrow it with a client-friendly message
+     * @param {Error} error - Axios error
+     * @throws {Error} Always
+     */
+    handleError(error) {
+        logger.error('[ERROR] Forecast API:', { message: error.message });
+
+        if (error.code === 'ECONNABORTED') {
+            throw new Error('Forecast service timeout - please try again');
+        }
+
+        if (error.code === 'ECIRCUITOPEN') {
+            throw new Error('Forecast service temporarily unavailable - please try again later');
+        }
+
+        if (error.response) {
+            throw new Error(`Forecast service error: ${error.response.status}`);
         }
+
+        throw new Error('Failed to fetch forecast data');
     }
 }
 
 module.exports = new ForecastService();
+module.exports.DAILY_FIELDS = DAILY_FIELDS;
+module.exports.DEFAULT_DAILY_FIELDS = DEFAULT_DAILY_FIELDS;
@@ -0,0 +1,244 @@
+/**
+ * Geocoding Service
+ *
+ * Place search and reverse geocoding through Nominatim (OpenStreetMap)
+ * Features: Caching, timeout handling, filtering down to inhabited places
+ */
+
+const axios = require('axios');
+const cache = require('../utils/cache');
+const logger = require('../security/monitoring/logger');
+const { DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+// Place names and boundaries rarely change, keep them for a day
+const GEOCODING_CACHE_TTL = 24 * 3600;
+
+// Nominatim usage policy requires an identifying User-Agent
+const USER_AGENT = 'AtmoSphere/1.0';
+
+// Only inhabited places are useful as weather locations
+const PLACE_CLASSES = ['place', 'boundary'];
+const PLACE_TYPES = ['city', 'town', 'village', 'municipality', 'hamlet', 'suburb', 'borough'];
+
+// Nominatim returns more candidates than we keep, most are filtered out
+const UPSTREAM_SEARCH_LIMIT = 12;
+
+/**
+ * Most specific settlement name of a Nominatim address
+ * @param {Object} address - Nominatim address details
+ * @returns {string} Name, or '' if the result is not a settlement
+ */
+function getSettlementName(address = {}) {
+    return (
+        address.city ||
+        address.town ||
+        address.village ||
+        address.municipality ||
+        address.hamlet ||
+        ''
+    );
+}
+
+class GeocodingService {
+    constructor() {
+        this.baseURL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+        this.timeout = parseInt(process.env.API_TIMEOUT || '5000');
+    }
+
+    /**
+     * Search places by name
+     * @param {string} query - Place name, optionally followed by region/country ("Lyon, France")
+     * @param {Object} options - Search options
+     * @param {string} options.lang - Language of the place names (default: English)
+     * @param {number} options.limit - Maximum number of places (default 6)
+     * @param {string} options.countryCode - Optional ISO 3166-1 alpha-2 code restricting results
+     * @returns {Promise<Array<Object>>} Places (see toPlace), biggest first
+     */
+    async search(query, { lang = DEFAULT_LANGUAGE, limit = 6, countryCode = null } = {}) {
+        const normalizedQuery = query.trim().toLowerCase();
+        const cacheKey = `geocode:${lang}:${limit}:${countryCode || '*'}:${normalizedQuery}`;
+
+        return cache.getOrFetch(
+            cacheKey,
+            () => this.fetchPlaces(query, normalizedQuery, { lang, limit, countryCode }),
+            { ttl: GEOCODING_CACHE_TTL, label: `Geocoding results for "${normalizedQuery}"` }
+        );
+    }
+
+    /**
+     * Search places on Nominatim (no cache)
+     * @param {string} query - Place name as typed
+     * @param {string} normalizedQuery - Lowercase trimmed query
+     * @param {Object} options - { lang, limit, countryCode }, see search
+     * @returns {Promise<Array<Object>>} Places, see search
+     */
+    async fetchPlaces(query, normalizedQuery, { lang, limit, countryCode }) {
+        try {
+            const response = await axios.get(`${this.baseURL}/search`, {
+                params: {
+                    q: query,
+                    format: 'json',
+                    addressdetails: 1,
+                    limit: UPSTREAM_SEARCH_LIMIT,
+                    'accept-language': lang,
+                    ...(countryCode && { countrycodes: countryCode }),
+                },
+                headers: { 'User-Agent': USER_AGENT },
+                timeout: this.timeout,
+            });
+
+            const places = this.filterPlaces(response.data, normalizedQuery)
+                .slice(0, limit)
+                .map(result => this.toPlace(result));
+
+            return places;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Resolve a place name to its best match
+     * @param {Object} place - { q } free-form name, or { city, country } with a country name or code
+     * @param {Object} options - { lang } language of the place name (default: English)
+     * @returns {Promise<Object|null>} Place (see toPlace), or null if nothing matches
+     */
+    async resolvePlace({ q, city, country }, { lang = DEFAULT_LANGUAGE } = {}) {
+        const isCountryCode = /^[a-z]{2}$/i.test(country || '');
+        const query = q || (country && !isCountryCode ? `${city}, ${country}` : city);
+
+        const [place] = await this.search(query, {
+            lang,
+            limit: 1,
+            countryCode: isCountryCode ? country.toLowerCase() : null,
+        });
+
+        return place || null;
+    }
+
+    /**
+     * Find the place at coordinates
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Object} options - { lang } language of the place name (default: English)
+     * @returns {Promise<Object|null>} Place, or null when there is nothing there (e.g. open sea)
+     */
+    async reverse(lat, lon, { lang = DEFAULT_LANGUAGE } = {}) {
+        const cacheKey = cache.generateKey(lat, lon, 'reverse-geocode', lang);
+
+        // "Nothing there" (null) is cached too
+        return cache.getOrFetch(cacheKey, () => this.fetchPlaceAt(lat, lon, lang), {
+            ttl: GEOCODING_CACHE_TTL,
+            label: `Reverse geocoding for ${lat}, ${lon}`,
+        });
+    }
+
+    /**
+     * Find the place at coordinates on Nominatim (no cache)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {string} lang - Language of the place name
+     * @returns {Promise<Object|null>} Place, see reverse
+     */
+    async fetchPlaceAt(lat, lon, lang) {
+        try {
+            const response = await axios.get(`${this.baseURL}/reverse`, {
+                params: {
+                    lat,
+                    lon,
+                    format: 'json',
+                    'accept-language': lang,
+                },
+                headers: { 'User-Agent': USER_AGENT },
+                timeout: this.timeout,
+            });
+
+            // Nominatim answers 200 with { error: 'Unable to geocode' } when nothing is found
+            const place = response.data.error ? null : this.toPlace(response.data);
+
+            return place;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Keep inhabited places whose name matches the query, biggest first, one per name and country
+     * @param {Array<Object>} results - Raw Nominatim search results
+     * @param {string} normalizedQuery - Lowercase query
+     * @returns {Array<Object>} Filtered Nominatim results
+     */
+    filterPlaces(results, normalizedQuery) {
+        // "Lyon, France" must match the place named "Lyon"
+        const namePrefix = normalizedQuery.split(',')[0].trim();
+
+        const places = results.filter(result => {
+            const name = getSettlementName(result.address);
+
+            if (name && !name.toLowerCase().startsWith(namePrefix)) {
+                return false;
+            }
+            if (PLACE_CLASSES.includes(result.class) && PLACE_TYPES.includes(result.type)) {
+                return true;
+            }
+            if (result.class === 'boundary' && result.type === 'administrative') {
+                const { city, town, village, municipality } = result.address || {};
+                return Boolean(city || town || village || municipality);
+            }
+            return false;
+        });
+
+        places.sort((a, b) => (b.importance || 0) - (a.importance || 0));
+
+        const seen = new Set();
+        return places.filter(result => {
+            const name = getSettlementName(result.address).toLowerCase();
+            const key = `${name}|${result.address?.country_code || ''}`;
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Normalize a Nominatim result
+     * @param {Object} result - Nominatim search or reverse result
+     * @returns {Object} { name, region, country, country_code, lat, lon, display_name }
+     */
+    toPlace(result) {
+        const address = result.address || {};
+
+        return {
+            name: getSettlementName(address) || address.county || result.display_name.split(',')[0],
+            region: address.state || address.county || null,
+            country: address.country || null,
+            country_code: address.country_code || null,
+            lat: parseFloat(result.lat),
+            lon: parseFloat(result.lon),
+            display_name: result.display_name,
+        };
+    }
+
+    /**
+     * Log an upstream error and rethrow it with a client-friendly message
+     * @param {Error} error - Axios error
+     * @throws {Error} Always
+     */
+    handleError(error) {
+        logger.error('[ERROR] Geocoding API:', { message: error.message });
+
+        if (error.code === 'ECONNABORTED') {
+            throw new Error('Geocoding service timeout - please try again');
+        }
+
+        if (error.response) {
+            throw new Error(`Geocoding service error: ${error.response.status}`);
+        }
+
+        throw new Error('Failed to fetch geocoding data');
+    }
+}
+
+module.exports = new GeocodingService();
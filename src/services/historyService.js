@@ -0,0 +1,118 @@
+/**
+ * Weather History Service
+ *
+ * Fetches observed daily weather for past date ranges from Open-Meteo Archive API
+ * Features: Long-lived caching (past observations don't change, except recent days the archive
+ * has not filled in yet), timeout handling
+ */
+
+const { createClient } = require('../utils/httpClient');
+const cache = require('../utils/cache');
+const logger = require('../security/monitoring/logger');
+const { getWeatherDescription } = require('../utils/weatherCodes');
+
+// History is immutable, keep it for 7 days
+const HISTORY_CACHE_TTL = 7 * 24 * 3600;
+
+// The archive lags a few days behind: recent days come back with null values until filled in
+const INCOMPLETE_HISTORY_CACHE_TTL = 3600;
+
+/**
+ * Whether the archive has not filled in every value of the range yet
+ * @param {Object} historyData - History data from fetchHistory
+ * @returns {boolean}
+ */
+function isIncomplete(historyData) {
+    return historyData.days.some(day => Object.values(day).some(value => value === null));
+}
+
+class HistoryService {
+    constructor() {
+        this.baseURL =
+            process.env.OPEN_METEO_ARCHIVE_URL || 'https://archive-api.open-meteo.com/v1/archive';
+        this.timeout = parseInt(process.env.API_TIMEOUT || '5000');
+        this.http = createClient('open-meteo-archive');
+    }
+
+    /**
+     * Get observed daily weather for a past date range
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {string} start - First day (YYYY-MM-DD)
+     * @param {string} end - Last day, inclusive (YYYY-MM-DD)
+     * @returns {Promise<Object>} History data with daily min/max/mean temps, conditions
+     */
+    async getHistory(lat, lon, start, end) {
+        const cacheKey = cache.generateKey(lat, lon, 'history', start, end);
+
+        return cache.getOrFetch(cacheKey, () => this.fetchHistory(lat, lon, start, end), {
+            ttl: data => (isIncomplete(data) ? INCOMPLETE_HISTORY_CACHE_TTL : HISTORY_CACHE_TTL),
+            label: `History data for ${lat}, ${lon} (${start} to ${end})`,
+        });
+    }
+
+    /**
+     * Fetch observed daily weather from the Open-Meteo archive (no cache)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {string} start - First day (YYYY-MM-DD)
+     * @param {string} end - Last day, inclusive (YYYY-MM-DD)
+     * @returns {Promise<Object>} History data, see getHistory
+     */
+    async fetchHistory(lat, lon, start, end) {
+        try {
+            const response = await this.http.get(this.baseURL, {
+                params: {
+                    latitude: lat,
+                    longitude: lon,
+                    start_date: start,
+                    end_date: end,
+                    daily: 'temperature_2m_max,temperature_2m_min,temperature_2m_mean,precipitation_sum,weather_code,wind_speed_10m_max',
+                    timezone: 'auto',
+                },
+                timeout: this.timeout,
+            });
+
+            const daily = response.data.daily;
+
+            const historyData = {
+                start,
+                end,
+                days: [],
+            };
+
+            for (let i = 0; i < daily.time.length; i++) {
+                historyData.days.push({
+                    date: daily.time[i],
+                    temp_max: daily.temperature_2m_max[i],
+                    temp_min: daily.temperature_2m_min[i],
+                    temp_mean: daily.temperature_2m_mean[i],
+                    precipitation: daily.precipitation_sum[i],
+                    wind_speed_max: daily.wind_speed_10m_max[i],
+                    weather_code: daily.weather_code[i],
+                    conditions: getWeatherDescription(daily.weather_code[i]),
+                });
+            }
+
+            return historyData;
+        } catch (error) {
+            logger.error('[ERROR] Open Meteo Archive API:', { message: error.message });
+
+            if (error.code === 'ECONNABORTED') {
+                throw new Error('History service timeout - please try again');
+            }
+
+            if (error.code === 'ECIRCUITOPEN') {
+                throw new Error('History service temporarily unavailable - please try again later');
+            }
+
+            if (error.response) {
+                throw new Error(`History service error: ${error.response.status}`);
+            }
+
+            throw new Error('Failed to fetch history data');
+        }
+    }
+}
+
+module.exports = new HistoryService();
@@ -2,50 +2,45 @@
  * Open Meteo Weather Service
  *
  * Fetches current weather data from Open-Meteo API
- * Features: Caching, timeout handling, environment configuration
+ * Features: Timeout handling, retries and circuit breaker, comfort metrics
+ * Uncached: the Open-Meteo provider feeds the aggregated weather, which has its own cache entry
  */
 
-const axios = require('axios');
-const cache = require('../utils/cache');
+const { createClient } = require('../utils/httpClient');
 const logger = require('../security/monitoring/logger');
 const { getWeatherDescription } = require('../utils/weatherCodes');
+const { getComfortMetrics } = require('../utils/comfort');
 
 class OpenMeteoService {
     constructor() {
         this.baseURL = process.env.OPEN_METEO_URL || 'https://api.open-meteo.com/v1/forecast';
         this.timeout = parseInt(process.env.API_TIMEOUT || '5000');
+        this.http = createClient('open-meteo');
     }
 
     /**
-     * Get current weather data for coordinates
+     * Fetch current weather data from Open-Meteo
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude
-     * @returns {Promise<Object>} Weather data
+     * @returns {Promise<Object>} Weather data, with timezone and today's sun times under `local`
      */
-    async getWeather(lat, lon) {
-        const cacheKey = cache.generateKey(lat, lon, 'weather');
-        const cachedData = cache.get(cacheKey);
-
-        if (cachedData) {
-            logger.info(`[CACHE HIT] Weather data for ${lat}, ${lon}`);
-            return cachedData;
-        }
-
-        logger.info(`[CACHE MISS] Fetching weather data for ${lat}, ${lon}`);
-
+    async fetchWeather(lat, lon) {
         try {
-            const response = await axios.get(this.baseURL, {
+            const response = await this.http.get(this.baseURL, {
                 params: {
                     latitude: lat,
                     longitude: lon,
                     current:
-                        'temperature_2m,relative_humidity_2m,precipitation,weather_code,wind_speed_10m',
+                        'temperature_2m,relative_humidity_2m,precipitation,weather_code,wind_speed_10m,is_day',
+                    daily: 'sunrise,sunset,daylight_duration',
                     timezone: 'auto',
+                    forecast_days: 1,
                 },
                 timeout: this.timeout,
             });
 
             const data = response.data.current;
+            const daily = response.data.daily || {};
 
             const weatherData = {
                 temperature: data.temperature_2m,
@@ -54,10 +49,23 @@ class OpenMeteoService {
                 weather_code: data.weather_code,
                 wind_speed: data.wind_speed_10m,
                 conditions: getWeatherDescription(data.weather_code),
+                ...getComfortMetrics(
+                    data.temperature_2m,
+                    data.relative_humidity_2m,
+                    data.wind_speed_10m
+                ),
+                // Not weather: moved to the location block by the controller
+                local: {
+                    timezone: response.data.timezone ?? null,
+                    timezone_abbreviation: response.data.timezone_abbreviation ?? null,
+                    utc_offset_seconds: response.data.utc_offset_seconds ?? 0,
+                    is_day: data.is_day === undefined ? null : data.is_day === 1,
+                    sunrise: daily.sunrise?.[0] ?? null,
+                    sunset: daily.sunset?.[0] ?? null,
+                    daylight_duration: daily.daylight_duration?.[0] ?? null,
+                },
             };
 
-            cache.set(cacheKey, weatherData);
-
             return weatherData;
         } catch (error) {
             logger.error('[ERROR] Open Meteo API:', { message: error.message });
@@ -66,6 +74,10 @@ class OpenMeteoService {
                 throw new Error('Weather service timeout - please try again');
             }
 
+            if (error.code === 'ECIRCUITOPEN') {
+                throw new Error('Weather service temporarily unavailable - please try again later');
+            }
+
             if (error.response) {
                 throw new Error(`Weather service error: ${error.response.status}`);
             }
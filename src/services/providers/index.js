@@ -0,0 +1,22 @@
+/**
+ * Weather Provider Registry
+ *
+ * Adapters of the current conditions providers, by name
+ * Every adapter exposes `name` and `getCurrent(lat, lon)`, resolving to the normalized shape
+ * { temperature, humidity, precipitation, weather_code, wind_speed, local } (°C, %, mm,
+ * WMO code, km/h; `local` null when the provider has no timezone data) and rejecting on failure
+ */
+
+const openMeteoProvider = require('./openMeteoProvider');
+const metNorwayProvider = require('./metNorwayProvider');
+const openWeatherMapProvider = require('./openWeatherMapProvider');
+const nwsProvider = require('./nwsProvider');
+
+const PROVIDERS = {
+    [openMeteoProvider.name]: openMeteoProvider,
+    [metNorwayProvider.name]: metNorwayProvider,
+    [openWeatherMapProvider.name]: openWeatherMapProvider,
+    [nwsProvider.name]: nwsProvider,
+};
+
+module.exports = { PROVIDERS };
@@ -0,0 +1,99 @@
+/**
+ * MET Norway Provider Adapter
+ *
+ * Current conditions from the MET Norway Locationforecast API (first forecast step)
+ * Configuration: MET_NORWAY_URL, MET_NORWAY_USER_AGENT
+ */
+
+const { createClient } = require('../../utils/httpClient');
+
+// MET Norway terms of service require an identifying User-Agent with a contact (URL or email)
+const DEFAULT_USER_AGENT = 'AtmoSphere/1.0 (+https://github.com/Johan-Agouni/atmosphere-api)';
+
+// Symbol codes (without the _day/_night/_polartwilight suffix) -> closest WMO code
+const SYMBOL_CODES = {
+    clearsky: 0,
+    fair: 1,
+    partlycloudy: 2,
+    cloudy: 3,
+    fog: 45,
+    lightrain: 61,
+    rain: 63,
+    heavyrain: 65,
+    lightrainshowers: 80,
+    rainshowers: 81,
+    heavyrainshowers: 82,
+    lightsleet: 66,
+    sleet: 67,
+    heavysleet: 67,
+    lightsleetshowers: 66,
+    sleetshowers: 67,
+    heavysleetshowers: 67,
+    lightsnow: 71,
+    snow: 73,
+    heavysnow: 75,
+    lightsnowshowers: 85,
+    snowshowers: 85,
+    heavysnowshowers: 86,
+};
+
+/**
+ * WMO code of a MET Norway symbol code
+ * @param {string} symbol - Symbol code (e.g. 'lightrainshowers_day')
+ * @returns {number|null} WMO code, null if unknown
+ */
+function toWeatherCode(symbol) {
+    if (!symbol) return null;
+
+    const base = symbol.split('_')[0];
+
+    // Every '...andthunder' symbol is a thunderstorm
+    if (base.endsWith('andthunder')) return 95;
+
+    return SYMBOL_CODES[base] ?? null;
+}
+
+class MetNorwayProvider {
+    constructor() {
+        this.name = 'met-norway';
+        this.baseURL =
+            process.env.MET_NORWAY_URL ||
+            'https://api.met.no/weatherapi/locationforecast/2.0/compact';
+        this.userAgent = process.env.MET_NORWAY_USER_AGENT || DEFAULT_USER_AGENT;
+        this.timeout = parseInt(process.env.API_TIMEOUT || '5000');
+        this.http = createClient('met-norway');
+    }
+
+    /**
+     * Get the current conditions in the normalized provider shape
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} { temperature, humidity, precipitation, weather_code, wind_speed,
+     *   local: null }
+     */
+    async getCurrent(lat, lon) {
+        const response = await this.http.get(this.baseURL, {
+            // More than 4 decimals is refused by the API
+            params: { lat: Number(lat.toFixed(4)), lon: Number(lon.toFixed(4)) },
+            headers: { 'User-Agent': this.userAgent },
+            timeout: this.timeout,
+        });
+
+        const step = response.data.properties.timeseries[0].data;
+        const details = step.instant.details;
+        const nextHour = step.next_1_hours || {};
+
+        return {
+            temperature: details.air_temperature,
+            humidity: details.relative_humidity,
+            precipitation: nextHour.details?.precipitation_amount ?? null,
+            weather_code: toWeatherCode(nextHour.summary?.symbol_code),
+            // m/s -> km/h
+            wind_speed: Math.round(details.wind_speed * 3.6 * 10) / 10,
+            local: null,
+        };
+    }
+}
+
+module.exports = new MetNorwayProvider();
+module.exports.toWeatherCode = toWeatherCode;
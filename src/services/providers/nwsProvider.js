@@ -0,0 +1,137 @@
+/**
+ * NWS Provider Adapter
+ *
+ * Current conditions from the latest observation of the nearest station of an NWS-style API
+ * (api.weather.gov, United States only)
+ * Configuration: NWS_URL, NWS_USER_AGENT
+ */
+
+const { createClient } = require('../../utils/httpClient');
+const cache = require('../../utils/cache');
+
+// api.weather.gov requires an identifying User-Agent with a contact (URL or email)
+const DEFAULT_USER_AGENT = 'AtmoSphere/1.0 (+https://github.com/Johan-Agouni/atmosphere-api)';
+
+// The station of a point does not change: looked up once a day
+const STATION_CACHE_TTL = 86400;
+
+// Icon codes -> closest WMO code
+// Reference: https://api.weather.gov/icons
+const ICON_CODES = {
+    skc: 0,
+    few: 1,
+    sct: 2,
+    bkn: 2,
+    ovc: 3,
+    wind_skc: 0,
+    wind_few: 1,
+    wind_sct: 2,
+    wind_bkn: 2,
+    wind_ovc: 3,
+    fog: 45,
+    rain: 63,
+    rain_showers: 80,
+    rain_showers_hi: 80,
+    fzra: 67,
+    rain_fzra: 67,
+    snow_fzra: 67,
+    sleet: 67,
+    rain_sleet: 67,
+    snow_sleet: 67,
+    snow: 73,
+    rain_snow: 71,
+    blizzard: 75,
+    tsra: 95,
+    tsra_sct: 95,
+    tsra_hi: 95,
+};
+
+/**
+ * WMO code of an NWS observation icon
+ * @param {string} icon - Icon URL (e.g. '.../icons/land/day/tsra,40?size=medium')
+ * @returns {number|null} Closest WMO code, null if unknown
+ */
+function toWeatherCode(icon) {
+    if (!icon) return null;
+
+    const code = icon.split('?')[0].split('/').pop().split(',')[0];
+    return ICON_CODES[code] ?? null;
+}
+
+class NWSProvider {
+    constructor() {
+        this.name = 'nws';
+        this.baseURL = process.env.NWS_URL || 'https://api.weather.gov';
+        this.userAgent = process.env.NWS_USER_AGENT || DEFAULT_USER_AGENT;
+        this.timeout = parseInt(process.env.API_TIMEOUT || '5000');
+        this.http = createClient('nws');
+    }
+
+    /**
+     * Get the current conditions in the normalized provider shape
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} { temperature, humidity, precipitation, weather_code, wind_speed,
+     *   local: null }, values the station did not report are null
+     */
+    async getCurrent(lat, lon) {
+        const station = await this.getStation(lat, lon);
+        const observation = await this.request(`/stations/${station}/observations/latest`);
+        const data = observation.properties;
+        const humidity = data.relativeHumidity?.value ?? null;
+
+        return {
+            temperature: data.temperature?.value ?? null,
+            humidity: humidity === null ? null : Math.round(humidity),
+            precipitation: data.precipitationLastHour?.value ?? null,
+            weather_code: toWeatherCode(data.icon),
+            // Already in km/h
+            wind_speed: data.windSpeed?.value ?? null,
+            local: null,
+        };
+    }
+
+    /**
+     * Nearest observation station of a point
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<string>} Station identifier (e.g. 'KNYC')
+     */
+    async getStation(lat, lon) {
+        const cacheKey = cache.generateKey(lat, lon, 'nws-station');
+        const cachedStation = cache.get(cacheKey);
+
+        if (cachedStation) return cachedStation;
+
+        const point = await this.request(`/points/${lat.toFixed(4)},${lon.toFixed(4)}`);
+        const { gridId, gridX, gridY } = point.properties;
+        const stations = await this.request(`/gridpoints/${gridId}/${gridX},${gridY}/stations`);
+
+        if (!stations.features?.length) {
+            throw new Error('No NWS observation station for this location');
+        }
+
+        const station = stations.features[0].properties.stationIdentifier;
+        cache.set(cacheKey, station, STATION_CACHE_TTL);
+
+        return station;
+    }
+
+    /**
+     * GET a path of the API
+     * Links returned by the API are absolute: paths are rebuilt on the configured base URL instead
+     * @param {string} path - Path (e.g. '/points/39.7456,-97.0892')
+     * @returns {Promise<Object>} Response body
+     */
+    async request(path) {
+        const response = await this.http.get(`${this.baseURL}${path}`, {
+            headers: { 'User-Agent': this.userAgent, Accept: 'application/geo+json' },
+            timeout: this.timeout,
+        });
+
+        return response.data;
+    }
+}
+
+module.exports = new NWSProvider();
+module.exports.toWeatherCode = toWeatherCode;
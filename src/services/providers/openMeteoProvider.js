@@ -0,0 +1,36 @@
+/**
+ * Open-Meteo Provider Adapter
+ *
+ * Current conditions from Open-Meteo (reference provider, the only one with timezone and sun times)
+ * Configuration: OPEN_METEO_URL (see openMeteoService)
+ */
+
+const openMeteoService = require('../openMeteoService');
+
+class OpenMeteoProvider {
+    constructor() {
+        this.name = 'open-meteo';
+    }
+
+    /**
+     * Get the current conditions in the normalized provider shape
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} { temperature, humidity, precipitation, weather_code, wind_speed,
+     *   local } in °C, %, mm, WMO code and km/h
+     */
+    async getCurrent(lat, lon) {
+        const weather = await openMeteoService.fetchWeather(lat, lon);
+
+        return {
+            temperature: weather.temperature,
+            humidity: weather.humidity,
+            precipitation: weather.precipitation,
+            weather_code: weather.weather_code,
+            wind_speed: weather.wind_speed,
+            local: weather.local,
+        };
+    }
+}
+
+module.exports = new OpenMeteoProvider();
@@ -0,0 +1,122 @@
+/**
+ * OpenWeatherMap Provider Adapter
+ *
+ * Current conditions from an OpenWeatherMap-style "current weather" API
+ * Configuration: OPENWEATHERMAP_URL, OPENWEATHERMAP_API_KEY
+ */
+
+const { createClient } = require('../../utils/httpClient');
+
+// Condition ids -> closest WMO code
+// Reference: https://openweathermap.org/weather-conditions
+const CONDITION_CODES = {
+    300: 51,
+    301: 51,
+    302: 53,
+    310: 53,
+    311: 53,
+    312: 55,
+    313: 55,
+    314: 55,
+    321: 55,
+    500: 61,
+    501: 63,
+    502: 65,
+    503: 65,
+    504: 65,
+    511: 66,
+    520: 80,
+    521: 81,
+    522: 82,
+    531: 82,
+    600: 71,
+    601: 73,
+    602: 75,
+    611: 67,
+    612: 67,
+    613: 67,
+    615: 67,
+    616: 67,
+    620: 85,
+    621: 85,
+    622: 86,
+    741: 45,
+    800: 0,
+    801: 1,
+    802: 2,
+    803: 3,
+    804: 3,
+};
+
+/**
+ * WMO code of an OpenWeatherMap condition id
+ * @param {number} id - Condition id (e.g. 501)
+ * @returns {number|null} Closest WMO code, null if unknown
+ */
+function toWeatherCode(id) {
+    // Every 2xx id is a thunderstorm
+    if (id >= 200 && id < 300) return 95;
+
+    return CONDITION_CODES[id] ?? null;
+}
+
+/**
+ * Local time of a Unix timestamp, in the Open-Meteo format (YYYY-MM-DDTHH:mm)
+ * @param {number} unix - Unix time in seconds
+ * @param {number} offsetSeconds - UTC offset of the location
+ * @returns {string|null}
+ */
+function toLocalTime(unix, offsetSeconds) {
+    if (!unix) return null;
+    return new Date((unix + offsetSeconds) * 1000).toISOString().slice(0, 16);
+}
+
+class OpenWeatherMapProvider {
+    constructor() {
+        this.name = 'openweathermap';
+        this.baseURL =
+            process.env.OPENWEATHERMAP_URL || 'https://api.openweathermap.org/data/2.5/weather';
+        this.apiKey = process.env.OPENWEATHERMAP_API_KEY || '';
+        this.timeout = parseInt(process.env.API_TIMEOUT || '5000');
+        this.http = createClient('openweathermap');
+    }
+
+    /**
+     * Get the current conditions in the normalized provider shape
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} { temperature, humidity, precipitation, weather_code, wind_speed,
+     *   local } with the UTC offset and sun times, no timezone name
+     */
+    async getCurrent(lat, lon) {
+        const response = await this.http.get(this.baseURL, {
+            params: { lat, lon, units: 'metric', appid: this.apiKey },
+            timeout: this.timeout,
+        });
+
+        const data = response.data;
+        const offset = data.timezone ?? 0;
+        const now = data.dt ?? Math.floor(Date.now() / 1000);
+
+        return {
+            temperature: data.main.temp,
+            humidity: data.main.humidity,
+            precipitation: (data.rain?.['1h'] ?? 0) + (data.snow?.['1h'] ?? 0),
+            weather_code: toWeatherCode(data.weather?.[0]?.id),
+            // m/s -> km/h
+            wind_speed: Math.round(data.wind.speed * 3.6 * 10) / 10,
+            local: {
+                timezone: null,
+                timezone_abbreviation: null,
+                utc_offset_seconds: offset,
+                is_day: data.sys?.sunrise ? now >= data.sys.sunrise && now < data.sys.sunset : null,
+                sunrise: toLocalTime(data.sys?.sunrise, offset),
+                sunset: toLocalTime(data.sys?.sunset, offset),
+                daylight_duration: data.sys?.sunrise ? data.sys.sunset - data.sys.sunrise : null,
+            },
+        };
+    }
+}
+
+module.exports = new OpenWeatherMapProvider();
+module.exports.toWeatherCode = toWeatherCode;
@@ -0,0 +1,310 @@
+/**
+ * Recommendation Rules Engine
+ *
+ * Evaluates declarative rules over the aggregated { weather, uv, air_quality } data.
+ * Rules are loaded from a JSON file at startup and reloaded when the file changes,
+ * so thresholds and messages can be tuned without a deploy.
+ *
+ * Rule format:
+ * {
+ *   "code": "uv_high",                 // Stable machine-readable code
+ *   "group": "uv",                     // Optional: only the first matching rule of a group fires
+ *   "category": "uv",                  // uv | wind | air | temperature | precipitation | comfort
+ *   "severity": "warning",             // positive | info | warning | danger
+ *   "when": { "path": "uv.uv_index", "op": "gte", "value": 6 },
+ *   "otherwise": true,                 // Alternative to "when": fires only if no other rule did
+ *   "message": { "en": "...", "fr": "..." }  // Optional, defaults to the i18n catalogs
+ * }
+ *
+ * Conditions: { path, op, value } with op in eq, ne, gt, gte, lt, lte, missing, present,
+ * combined with { all: [...] } and { any: [...] }. Numeric comparisons against a missing
+ * (null/undefined) value are always false.
+ *
+ * Activity profiles ("profiles" key) replace the generic rules with their own "rules" and
+ * score suitability from 0 to 100 with "factors":
+ * { "name": "wind", "path": "weather.wind_speed", "max": 15, "tolerance": 30, "weight": 35 }
+ * A value outside [min, max] loses up to "weight" points, the full weight once it is
+ * "tolerance" away from the range. Missing values are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../security/monitoring/logger');
+const { translate, DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../rules/recommendations.json');
+
+const isMissing = value => value === null || value === undefined;
+
+// Resolve a dotted path such as 'weather.temperature'
+const getValue = (data, dottedPath) =>
+    dottedPath.split('.').reduce((value, key) => value?.[key], data);
+
+const OPERATORS = {
+    eq: (actual, expected) => actual === expected,
+    ne: (actual, expected) => actual !== expected,
+    gt: (actual, expected) => !isMissing(actual) && actual > expected,
+    gte: (actual, expected) => !isMissing(actual) && actual >= expected,
+    lt: (actual, expected) => !isMissing(actual) && actual < expected,
+    lte: (actual, expected) => !isMissing(actual) && actual <= expected,
+    missing: actual => isMissing(actual),
+    present: actual => !isMissing(actual),
+};
+
+// Client contract: the mobile app filters recommendations on these values
+const CATEGORIES = ['uv', 'wind', 'air', 'temperature', 'precipitation', 'comfort'];
+const SEVERITIES = ['positive', 'info', 'warning', 'danger'];
+
+class RecommendationEngine {
+    constructor() {
+        this.rulesFile = process.env.RECOMMENDATION_RULES_FILE
+            ? path.resolve(process.env.RECOMMENDATION_RULES_FILE)
+            : DEFAULT_RULES_FILE;
+        this.rules = [];
+        this.profiles = {};
+        this.watching = false;
+
+        this.loadRules();
+    }
+
+    /**
+     * Load (or reload) rules from the rules file
+     * An invalid file keeps the current rules, or the default rules on first load
+     * @returns {boolean} true if the file was loaded
+     */
+    loadRules() {
+        try {
+            const { rules, profiles = {} } = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+            this.validateRules(rules);
+            this.validateProfiles(profiles);
+            this.rules = rules;
+            this.profiles = profiles;
+
+            logger.info(`Loaded ${rules.length} recommendation rules from ${this.rulesFile}`, {
+                profiles: Object.keys(profiles),
+            });
+            return true;
+        } catch (error) {
+            logger.error('Failed to load recommendation rules', {
+                file: this.rulesFile,
+                error: error.message,
+            });
+
+            if (this.rules.length === 0 && this.rulesFile !== DEFAULT_RULES_FILE) {
+                const defaults = JSON.parse(fs.readFileSync(DEFAULT_RULES_FILE, 'utf8'));
+                this.rules = defaults.rules;
+                this.profiles = defaults.profiles || {};
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Validate a rule set
+     * @param {Array<Object>} rules - Rules to validate
+     * @throws {Error} On the first invalid rule
+     */
+    validateRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('"rules" must be an array');
+        }
+
+        for (const rule of rules) {
+            if (!rule.code) {
+                throw new Error('Every rule needs a "code"');
+            }
+            if (!CATEGORIES.includes(rule.category)) {
+                throw new Error(`Rule ${rule.code}: unknown category "${rule.category}"`);
+            }
+            if (!SEVERITIES.includes(rule.severity)) {
+                throw new Error(`Rule ${rule.code}: unknown severity "${rule.severity}"`);
+            }
+            if (!rule.otherwise) {
+                if (!rule.when) {
+                    throw new Error(`Rule ${rule.code}: needs "when" or "otherwise"`);
+                }
+                this.validateCondition(rule.when, rule.code);
+            }
+        }
+    }
+
+    /**
+     * Validate activity profiles
+     * @param {Object} profiles - Profile name -> { factors, rules }
+     * @throws {Error} On the first invalid profile
+     */
+    validateProfiles(profiles) {
+        for (const [name, profile] of Object.entries(profiles)) {
+            if (!Array.isArray(profile.factors)) {
+                throw new Error(`Profile ${name}: "factors" must be an array`);
+            }
+
+            for (const factor of profile.factors) {
+                if (
+                    typeof factor.path !== 'string' ||
+                    !(factor.tolerance > 0) ||
+                    !(factor.weight > 0)
+                ) {
+                    throw new Error(`Profile ${name}: invalid factor ${JSON.stringify(factor)}`);
+                }
+            }
+
+            this.validateRules(profile.rules);
+        }
+    }
+
+    /**
+     * Validate a (possibly nested) condition
+     * @param {Object} condition - Condition
+     * @param {string} code - Rule code, for error messages
+     */
+    validateCondition(condition, code) {
+        const nested = condition.all || condition.any;
+
+        if (nested) {
+            nested.forEach(child => this.validateCondition(child, code));
+            return;
+        }
+
+        if (typeof condition.path !== 'string' || !OPERATORS[condition.op]) {
+            throw new Error(`Rule ${code}: invalid condition ${JSON.stringify(condition)}`);
+        }
+    }
+
+    /**
+     * Reload rules whenever the rules file changes
+     */
+    watch() {
+        if (this.watching) return;
+
+        fs.watchFile(this.rulesFile, { interval: 2000 }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs) {
+                logger.info('Recommendation rules file changed, reloading');
+                this.loadRules();
+            }
+        });
+        this.watching = true;
+    }
+
+    /**
+     * Stop watching the rules file
+     */
+    unwatch() {
+        fs.unwatchFile(this.rulesFile);
+        this.watching = false;
+    }
+
+    /**
+     * Evaluate a condition against the data
+     * @param {Object} condition - Condition
+     * @param {Object} data - { weather, uv, air_quality }
+     * @returns {boolean}
+     */
+    matches(condition, data) {
+        if (condition.all) {
+            return condition.all.every(child => this.matches(child, data));
+        }
+        if (condition.any) {
+            return condition.any.some(child => this.matches(child, data));
+        }
+
+        return OPERATORS[condition.op](getValue(data, condition.path), condition.value);
+    }
+
+    /**
+     * Get the names of the configured activity profiles
+     * @returns {Array<string>} Profile names
+     */
+    getProfiles() {
+        return Object.keys(this.profiles);
+    }
+
+    /**
+     * Evaluate all rules, in file order
+     * @param {Object} data - { weather, uv, air_quality } in canonical metric units
+     * @param {string} lang - Language code (default: English)
+     * @param {string} profile - Optional activity profile whose rules replace the generic ones
+     * @returns {Array<Object>} Recommendations { code, category, severity, message }
+     */
+    evaluate(data, lang = DEFAULT_LANGUAGE, profile = null) {
+        const rules = profile ? this.profiles[profile].rules : this.rules;
+        const firedGroups = new Set();
+        const fired = rules.filter(rule => {
+            if (rule.otherwise || (rule.group && firedGroups.has(rule.group))) {
+                return false;
+            }
+            if (!this.matches(rule.when, data)) {
+                return false;
+            }
+            if (rule.group) {
+                firedGroups.add(rule.group);
+            }
+            return true;
+        });
+
+        if (fired.length === 0) {
+            fired.push(...rules.filter(rule => rule.otherwise));
+        }
+
+        return fired.map(rule => ({
+            code: rule.code,
+            category: rule.category,
+            severity: rule.severity,
+            message: this.getMessage(rule, lang),
+        }));
+    }
+
+    /**
+     * Score how suitable conditions are for an activity profile
+     * @param {Object} data - { weather, uv, air_quality } in canonical metric units
+     * @param {string} profile - Activity profile
+     * @returns {Object} { profile, score: 0-100, factors: [{ name, value, penalty }] }
+     */
+    score(data, profile) {
+        const factors = this.profiles[profile].factors.map(factor => {
+            const value = getValue(data, factor.path);
+
+            if (isMissing(value)) {
+                return { name: factor.name, value: null, penalty: 0 };
+            }
+
+            const distance = Math.max(
+                (factor.min ?? -Infinity) - value,
+                value - (factor.max ?? Infinity),
+                0
+            );
+            const penalty = factor.weight * Math.min(distance / factor.tolerance, 1);
+
+            return { name: factor.name, value, penalty: Math.round(penalty) };
+        });
+
+        const totalPenalty = factors.reduce((sum, factor) => sum + factor.penalty, 0);
+
+        return {
+            profile,
+            score: Math.max(0, 100 - totalPenalty),
+            factors,
+        };
+    }
+
+    /**
+     * Resolve a rule message: inline message first, then the i18n catalogs
+     * @param {Object} rule - Rule
+     * @param {string} lang - Language code
+     * @returns {string} Message
+     */
+    getMessage(rule, lang) {
+        if (typeof rule.message === 'string') {
+            return rule.message;
+        }
+
+        return (
+            rule.message?.[lang] ||
+            rule.message?.[DEFAULT_LANGUAGE] ||
+            translate(lang, 'recommendations', rule.code) ||
+            rule.code
+        );
+    }
+}
+
+module.exports = new RecommendationEngine();
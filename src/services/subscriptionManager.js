@@ -0,0 +1,228 @@
+/**
+ * Subscription Manager
+ *
+ * Webhook subscriptions to the weather alerts of a location
+ * Storage: in memory + JSON file for persistence (same approach as the IP ban manager)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../security/monitoring/logger');
+
+// Deliveries kept per subscription for the delivery log
+const DELIVERY_LOG_SIZE = 20;
+
+class SubscriptionManager {
+    constructor() {
+        this.subscriptions = new Map(); // id -> subscription
+        this.dataFile =
+            process.env.SUBSCRIPTIONS_FILE || path.join(__dirname, '../data/subscriptions.json');
+
+        // Writes are chained so that concurrent updates never interleave in the file
+        this.pendingSave = Promise.resolve();
+
+        // Load the subscriptions at startup
+        this.ready = this.loadSubscriptions();
+    }
+
+    /**
+     * Load the subscriptions from the file
+     */
+    async loadSubscriptions() {
+        try {
+            const data = await fs.readFile(this.dataFile, 'utf8');
+
+            for (const subscription of JSON.parse(data)) {
+                this.subscriptions.set(subscription.id, subscription);
+            }
+
+            logger.info(`Loaded ${this.subscriptions.size} webhook subscriptions from storage`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to load webhook subscriptions', { error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Save the subscriptions to the file
+     */
+    saveSubscriptions() {
+        this.pendingSave = this.pendingSave.then(async () => {
+            try {
+                await fs.mkdir(path.dirname(this.dataFile), { recursive: true });
+                await fs.writeFile(
+                    this.dataFile,
+                    JSON.stringify([...this.subscriptions.values()], null, 2)
+                );
+            } catch (error) {
+                logger.error('Failed to save webhook subscriptions', { error: error.message });
+            }
+        });
+
+        return this.pendingSave;
+    }
+
+    /**
+     * Register a subscription
+     * @param {Object} options - Subscription settings
+     * @param {number} options.lat - Latitude
+     * @param {number} options.lon - Longitude
+     * @param {string} options.callbackUrl - URL receiving the signed POST requests
+     * @param {Object} options.conditions - { types, min_severity } alerts to notify
+     * @param {string} options.lang - Language of the alert titles
+     * @param {string|null} options.label - Optional client label
+     * @returns {Promise<Object>} Public subscription, with the signing secret (only returned here)
+     */
+    async create({ lat, lon, callbackUrl, conditions, lang, label = null }) {
+        await this.ready;
+
+        const now = new Date().toISOString();
+        const subscription = {
+            id: crypto.randomUUID(),
+            label,
+            location: { lat, lon },
+            callback_url: callbackUrl,
+            conditions,
+            lang,
+            secret: crypto.randomBytes(32).toString('hex'),
+            paused: false,
+            created_at: now,
+            updated_at: now,
+            notified: {}, // alert key -> { severity, start, end } already delivered
+            deliveries: [],
+        };
+
+        this.subscriptions.set(subscription.id, subscription);
+        await this.saveSubscriptions();
+
+        logger.info(`Webhook subscription ${subscription.id} created`, { callbackUrl });
+
+        return { ...this.toPublic(subscription), secret: subscription.secret };
+    }
+
+    /**
+     * List the subscriptions
+     * @returns {Promise<Array<Object>>} Public subscriptions, oldest first
+     */
+    async list() {
+        await this.ready;
+        return [...this.subscriptions.values()].map(subscription => this.toPublic(subscription));
+    }
+
+    /**
+     * Get a subscription with its delivery log
+     * @param {string} id - Subscription id
+     * @returns {Promise<Object|null>} Public subscription, null if unknown
+     */
+    async get(id) {
+        await this.ready;
+        const subscription = this.subscriptions.get(id);
+        return subscription
+            ? { ...this.toPublic(subscription), deliveries: subscription.deliveries }
+            : null;
+    }
+
+    /**
+     * Subscriptions the scheduler has to check
+     * @returns {Promise<Array<Object>>} Active subscriptions (internal records, with secret)
+     */
+    async getActive() {
+        await this.ready;
+        return [...this.subscriptions.values()].filter(subscription => !subscription.paused);
+    }
+
+    /**
+     * Pause or resume a subscription
+     * @param {string} id - Subscription id
+     * @param {boolean} paused - true to stop notifications, false to resume them
+     * @returns {Promise<Object|null>} Public subscription, null if unknown
+     */
+    async setPaused(id, paused) {
+        await this.ready;
+        const subscription = this.subscriptions.get(id);
+
+        if (!subscription) return null;
+
+        subscription.paused = paused;
+        subscription.updated_at = new Date().toISOString();
+        await this.saveSubscriptions();
+
+        return this.toPublic(subscription);
+    }
+
+    /**
+     * Delete a subscription
+     * @param {string} id - Subscription id
+     * @returns {Promise<boolean>} false if unknown
+     */
+    async remove(id) {
+        await this.ready;
+
+        if (!this.subscriptions.delete(id)) return false;
+
+        await this.saveSubscriptions();
+        logger.info(`Webhook subscription ${id} deleted`);
+
+        return true;
+    }
+
+    /**
+     * Record the outcome of a delivery and the alerts now known by the subscriber
+     * @param {string} id - Subscription id
+     * @param {Object} delivery - Delivery log entry from webhookService.deliver
+     * @param {Object} notified - Alert key -> { severity, start, end } delivered so far
+     */
+    async recordDelivery(id, delivery, notified) {
+        const subscription = this.subscriptions.get(id);
+
+        // Deleted while the delivery was in progress
+        if (!subscription) return;
+
+        subscription.deliveries = [delivery, ...subscription.deliveries].slice(
+            0,
+            DELIVERY_LOG_SIZE
+        );
+        subscription.notified = notified;
+        await this.saveSubscriptions();
+    }
+
+    /**
+     * Replace the alerts known by the subscriber (e.g. once an alert has ended)
+     * @param {string} id - Subscription id
+     * @param {Object} notified - Alert key -> { severity, start, end }
+     */
+    async setNotified(id, notified) {
+        const subscription = this.subscriptions.get(id);
+
+        if (!subscription) return;
+
+        subscription.notified = notified;
+        await this.saveSubscriptions();
+    }
+
+    /**
+     * Public view of a subscription: no secret, no internal state
+     * @param {Object} subscription - Stored subscription
+     * @returns {Object} Subscription as returned by the API
+     */
+    toPublic(subscription) {
+        const lastDelivery = subscription.deliveries[0] || null;
+
+        return {
+            id: subscription.id,
+            label: subscription.label,
+            location: subscription.location,
+            callback_url: subscription.callback_url,
+            conditions: subscription.conditions,
+            lang: subscription.lang,
+            paused: subscription.paused,
+            created_at: subscription.created_at,
+            updated_at: subscription.updated_at,
+            last_delivery: lastDelivery,
+        };
+    }
+}
+
+module.exports = new SubscriptionManager();
@@ -1,39 +1,100 @@
 /**
  * UV Index Service
  *
- * Fetches UV index data from CurrentUVIndex API
- * Features: Caching, timeout handling, graceful error handling
+ * Fetches current and forecast UV index data from CurrentUVIndex API
+ * Features: Caching, timeout handling, retries and circuit breaker, graceful error handling
  */
 
-const axios = require('axios');
+const { createClient } = require('../utils/httpClient');
 const cache = require('../utils/cache');
 const logger = require('../security/monitoring/logger');
+const { translate, DEFAULT_LANGUAGE } = require('../utils/i18n');
 
 class UVIndexService {
     constructor() {
         this.baseURL = process.env.UV_INDEX_URL || 'https://currentuvindex.com/api/v1/uvi';
         this.timeout = parseInt(process.env.API_TIMEOUT || '5000');
+        this.http = createClient('currentuvindex');
     }
 
     /**
      * Get UV index data for coordinates
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude
-     * @returns {Promise<Object>} UV index data
+     * @returns {Promise<Object>} UV index data (`stale: true` and `age` when served from an expired
+     *   cache entry after an upstream error)
      */
     async getUVIndex(lat, lon) {
         const cacheKey = cache.generateKey(lat, lon, 'uv');
-        const cachedData = cache.get(cacheKey);
 
-        if (cachedData) {
-            logger.info(`[CACHE HIT] UV index for ${lat}, ${lon}`);
-            return cachedData;
+        try {
+            return await cache.getOrFetch(cacheKey, () => this.fetchUVIndex(lat, lon), {
+                label: `UV index for ${lat}, ${lon}`,
+            });
+        } catch (error) {
+            logger.error('[ERROR] UV Index API:', { message: error.message });
+
+            // Graceful degradation - return null data instead of throwing
+            return {
+                uv_index: null,
+                risk_code: 'unknown',
+                risk_level: this.getUVRiskLevel(null),
+                error: 'UV data temporarily unavailable',
+            };
         }
+    }
+
+    /**
+     * Fetch the current UV index from CurrentUVIndex (no cache)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} UV index data
+     */
+    async fetchUVIndex(lat, lon) {
+        const response = await this.http.get(this.baseURL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+            },
+            timeout: this.timeout,
+        });
+
+        const uv = response.data.now.uvi;
+
+        return {
+            uv_index: uv,
+            risk_code: this.getUVRiskCode(uv),
+            risk_level: this.getUVRiskLevel(uv),
+        };
+    }
 
-        logger.info(`[CACHE MISS] Fetching UV index for ${lat}, ${lon}`);
+    /**
+     * Get the hourly UV index forecast for coordinates
+     * Times are UTC: the daily maximum around solar noon still falls on the local date
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} { hours: [{ time, uv_index }],
+     *   days: [{ date, uv_index_max, risk_code }] }
+     */
+    async getUVForecast(lat, lon) {
+        const cacheKey = cache.generateKey(lat, lon, 'uv-forecast');
 
+        // Same 1 hour TTL as the weather forecast
+        return cache.getOrFetch(cacheKey, () => this.fetchUVForecast(lat, lon), {
+            ttl: 3600,
+            label: `UV forecast for ${lat}, ${lon}`,
+        });
+    }
+
+    /**
+     * Fetch the hourly UV index forecast from CurrentUVIndex (no cache)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} UV forecast, see getUVForecast
+     */
+    async fetchUVForecast(lat, lon) {
         try {
-            const response = await axios.get(this.baseURL, {
+            const response = await this.http.get(this.baseURL, {
                 params: {
                     latitude: lat,
                     longitude: lon,
@@ -41,39 +102,88 @@ class UVIndexService {
                 timeout: this.timeout,
             });
 
-            const uv = response.data.now.uvi;
+            const hours = (response.data.forecast || []).map(({ time, uvi }) => ({
+                time,
+                uv_index: uvi,
+            }));
 
-            const uvData = {
-                uv_index: uv,
-                risk_level: this.getUVRiskLevel(uv),
-            };
+            const dailyMax = new Map();
+            for (const { time, uv_index } of hours) {
+                const date = time.slice(0, 10);
+                dailyMax.set(date, Math.max(dailyMax.get(date) ?? 0, uv_index));
+            }
 
-            cache.set(cacheKey, uvData);
+            const forecastData = {
+                hours,
+                days: [...dailyMax].map(([date, uv_index_max]) => ({
+                    date,
+                    uv_index_max,
+                    risk_code: this.getUVRiskCode(uv_index_max),
+                })),
+            };
 
-            return uvData;
+            return forecastData;
         } catch (error) {
-            logger.error('[ERROR] UV Index API:', { message: error.message });
+            logger.error('[ERROR] UV Forecast API:', { message: error.message });
 
-            // Graceful degradation - return null data instead of throwing
-            return {
-                uv_index: null,
-                risk_level: 'Unknown',
-                error: 'UV data temporarily unavailable',
-            };
+            if (error.code === 'ECONNABORTED') {
+                throw new Error('UV service timeout - please try again');
+            }
+
+            if (error.code === 'ECIRCUITOPEN') {
+                throw new Error('UV service temporarily unavailable - please try again later');
+            }
+
+            if (error.response) {
+                throw new Error(`UV service error: ${error.response.status}`);
+            }
+
+            throw new Error('Failed to fetch UV forecast');
         }
     }
 
+    /**
+     * Convert UV index value to a stable risk code
+     * @param {number} uv - UV index value
+     * @returns {string} Risk code (e.g. 'very_high')
+     */
+    getUVRiskCode(uv) {
+        if (uv === null || uv === undefined) return 'unknown';
+        if (uv <= 2) return 'low';
+        if (uv <= 5) return 'moderate';
+        if (uv <= 7) return 'high';
+        if (uv <= 10) return 'very_high';
+        return 'extreme';
+    }
+
     /**
      * Convert UV index value to risk level
      * @param {number} uv - UV index value
+     * @param {string} lang - Language code (default: English)
      * @returns {string} Risk level
      */
-    getUVRiskLevel(uv) {
-        if (uv <= 2) return 'Low';
-        if (uv <= 5) return 'Moderate';
-        if (uv <= 7) return 'High';
-        if (uv <= 10) return 'Very High';
-        return 'Extreme';
+    getUVRiskLevel(uv, lang = DEFAULT_LANGUAGE) {
+        return translate(lang, 'uv_risk', this.getUVRiskCode(uv));
+    }
+
+    /**
+     * Translate the labels of UV data (cached data stays in English)
+     * @param {Object} uvData - UV data from getUVIndex
+     * @param {string} lang - Language code
+     * @returns {Object} Localized copy
+     */
+    localize(uvData, lang) {
+        return { ...uvData, risk_level: translate(lang, 'uv_risk', uvData.risk_code) };
+    }
+
+    /**
+     * Translate the risk labels of a UV forecast
+     * @param {Object} forecast - UV forecast from getUVForecast
+     * @param {string} lang - Language code
+     * @returns {Object} Localized copy
+     */
+    localizeForecast(forecast, lang) {
+        return { ...forecast, days: forecast.days.map(day => this.localize(day, lang)) };
     }
 }
 
@@ -0,0 +1,316 @@
+/**
+ * Weather Service
+ *
+ * Current conditions aggregated from the configured providers (see ./providers)
+ * Features: Caching, configurable strategy (primary with fallbacks, median, weighted average),
+ * failed providers left out of the combination and reported in the `source` block
+ */
+
+const cache = require('../utils/cache');
+const logger = require('../security/monitoring/logger');
+const { getWeatherDescription } = require('../utils/weatherCodes');
+const { getComfortMetrics } = require('../utils/comfort');
+const { PROVIDERS } = require('./providers');
+
+// MET Norway needs no API key: a fallback available out of the box when Open-Meteo is down
+const DEFAULT_PROVIDERS = 'open-meteo,met-norway';
+
+// Degraded data is kept shortly so that the recovered providers are used again soon
+const DEGRADED_CACHE_TTL = Math.min(60, cache.CACHE_TTL);
+
+/**
+ * primary: first provider answering, in configured order (the others are fallbacks)
+ * median: median of every provider answering
+ * weighted: weighted average of every provider answering (WEATHER_PROVIDER_WEIGHTS, default 1)
+ */
+const STRATEGIES = ['primary', 'median', 'weighted'];
+
+// Measured values combined across providers; the weather code is categorical and comes from
+// the first provider in configured order
+const NUMERIC_FIELDS = ['temperature', 'humidity', 'precipitation', 'wind_speed'];
+
+// Location data when no provider answering has timezone data
+const UNKNOWN_LOCAL = {
+    timezone: null,
+    timezone_abbreviation: null,
+    utc_offset_seconds: null,
+    is_day: null,
+    sunrise: null,
+    sunset: null,
+    daylight_duration: null,
+};
+
+/**
+ * Parse a comma-separated list ('open-meteo, met-norway')
+ * @param {string} value - Raw setting
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+    return value
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse provider weights ('open-meteo:2,met-norway:1')
+ * Entries without a non-negative numeric weight are ignored with a warning
+ * @param {string} value - Raw setting
+ * @returns {Object} Provider name -> weight
+ */
+function parseWeights(value) {
+    const weights = {};
+
+    for (const entry of parseList(value)) {
+        const [name, weight = ''] = entry.split(':').map(part => part.trim());
+        const parsed = weight === '' ? NaN : Number(weight);
+
+        if (!name || !Number.isFinite(parsed) || parsed < 0) {
+            logger.warn(`Invalid weather provider weight "${entry}" ignored`);
+            continue;
+        }
+
+        weights[name] = parsed;
+    }
+
+    return weights;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - At least one value
+ * @returns {number}
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Weighted average
+ * @param {Array<Object>} entries - { value, weight }, at least one with a positive weight
+ * @returns {number}
+ */
+function weightedAverage(entries) {
+    const total = entries.reduce((sum, { weight }) => sum + weight, 0);
+    return entries.reduce((sum, { value, weight }) => sum + value * weight, 0) / total;
+}
+
+class WeatherService {
+    constructor() {
+        this.configure();
+    }
+
+    /**
+     * Select the providers and the aggregation strategy
+     * Unknown providers and strategies are ignored with a warning
+     * @param {Object} options - Defaults to WEATHER_PROVIDERS, WEATHER_STRATEGY and
+     *   WEATHER_PROVIDER_WEIGHTS
+     * @param {Array<string>} options.providers - Provider names, by priority (fallback chain)
+     * @param {string} options.strategy - One of STRATEGIES
+     * @param {Object} options.weights - Provider name -> weight (weighted strategy)
+     */
+    configure({
+        providers = parseList(process.env.WEATHER_PROVIDERS || DEFAULT_PROVIDERS),
+        strategy = process.env.WEATHER_STRATEGY || 'primary',
+        weights = parseWeights(process.env.WEATHER_PROVIDER_WEIGHTS || ''),
+    } = {}) {
+        const unknown = providers.filter(name => !PROVIDERS[name]);
+        if (unknown.length > 0) {
+            logger.warn(`Unknown weather providers ignored: ${unknown.join(', ')}`);
+        }
+
+        const names = providers.filter(name => PROVIDERS[name]);
+        this.providers = (names.length > 0 ? names : ['open-meteo']).map(name => PROVIDERS[name]);
+
+        if (!STRATEGIES.includes(strategy)) {
+            logger.warn(`Unknown weather strategy "${strategy}", using "primary"`);
+        }
+        this.strategy = STRATEGIES.includes(strategy) ? strategy : 'primary';
+        this.weights = weights;
+    }
+
+    /**
+     * Get the current weather for coordinates
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} Weather data in the Open-Meteo service shape (conditions, comfort
+     *   metrics, `local` timezone and sun times), plus `source`
+     *   { strategy, providers, failed, degraded }: providers used and providers that errored.
+     *   When every provider fails, the last result is served for the cache grace period with
+     *   `source.stale: true` and `source.age` in seconds
+     * @throws {Error} Error of the first provider when none answers and nothing is cached
+     */
+    async getWeather(lat, lon) {
+        const cacheKey = cache.generateKey(lat, lon, 'weather', 'aggregate');
+
+        const { stale, age, ...weatherData } = await cache.getOrFetch(
+            cacheKey,
+            () => this.fetchWeather(lat, lon),
+            {
+                ttl: data => (data.source.degraded ? DEGRADED_CACHE_TTL : cache.CACHE_TTL),
+                label: `Aggregated weather for ${lat}, ${lon}`,
+            }
+        );
+
+        if (stale) {
+            weatherData.source = { ...weatherData.source, degraded: true, stale, age };
+        }
+
+        return weatherData;
+    }
+
+    /**
+     * Query the providers and combine their readings (no cache)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} Combined weather data, see getWeather
+     * @throws {Error} Error of the first provider when none answers
+     */
+    async fetchWeather(lat, lon) {
+        const { readings, failed } =
+            this.strategy === 'primary'
+                ? await this.fetchFirst(lat, lon)
+                : await this.fetchAll(lat, lon);
+
+        const weatherData = this.combine(readings, failed);
+
+        if (weatherData.source.degraded) {
+            logger.warn(`[DEGRADED] Weather for ${lat}, ${lon} without ${failed.join(', ')}`);
+        }
+
+        return weatherData;
+    }
+
+    /**
+     * Walk the fallback chain until a provider answers
+     * @returns {Promise<Object>} { readings: [first reading], failed: providers tried before }
+     */
+    async fetchFirst(lat, lon) {
+        const failed = [];
+        let firstError = null;
+
+        for (const provider of this.providers) {
+            try {
+                const reading = await provider.getCurrent(lat, lon);
+                return { readings: [{ provider: provider.name, ...reading }], failed };
+            } catch (error) {
+                firstError = firstError || error;
+                failed.push(provider.name);
+                this.logFailure(provider, error);
+            }
+        }
+
+        throw firstError;
+    }
+
+    /**
+     * Ask every provider in parallel
+     * @returns {Promise<Object>} { readings, failed } in configured order
+     */
+    async fetchAll(lat, lon) {
+        const results = await Promise.allSettled(
+            this.providers.map(provider => provider.getCurrent(lat, lon))
+        );
+
+        const readings = [];
+        const failed = [];
+
+        results.forEach((result, index) => {
+            const provider = this.providers[index];
+
+            if (result.status === 'fulfilled') {
+                readings.push({ provider: provider.name, ...result.value });
+            } else {
+                failed.push(provider.name);
+                this.logFailure(provider, result.reason);
+            }
+        });
+
+        // Same error as a single provider: the first one of the configured order
+        if (readings.length === 0) {
+            throw results[0].reason;
+        }
+
+        return { readings, failed };
+    }
+
+    /**
+     * Combine provider readings with the configured strategy
+     * @param {Array<Object>} readings - Normalized readings, in configured order
+     * @param {Array<string>} failed - Providers that errored
+     * @returns {Object} Weather data
+     */
+    combine(readings, failed = []) {
+        const values = {};
+
+        for (const field of NUMERIC_FIELDS) {
+            const available = readings.filter(
+                reading => reading[field] !== null && reading[field] !== undefined
+            );
+            values[field] = available.length > 0 ? this.aggregate(field, available) : null;
+        }
+
+        const weatherCode =
+            readings.find(reading => reading.weather_code !== null)?.weather_code ?? null;
+
+        return {
+            ...values,
+            weather_code: weatherCode,
+            conditions: getWeatherDescription(weatherCode),
+            ...getComfortMetrics(values.temperature, values.humidity, values.wind_speed),
+            local: readings.find(reading => reading.local)?.local ?? UNKNOWN_LOCAL,
+            source: {
+                strategy: this.strategy,
+                providers: readings.map(reading => reading.provider),
+                failed,
+                degraded: failed.length > 0,
+            },
+        };
+    }
+
+    /**
+     * Aggregate the values of a field
+     * @param {string} field - One of NUMERIC_FIELDS
+     * @param {Array<Object>} readings - Readings with a value for the field
+     * @returns {number} Combined value (1 decimal, humidity as an integer)
+     */
+    aggregate(field, readings) {
+        if (this.strategy === 'primary') {
+            return readings[0][field];
+        }
+
+        let value;
+
+        if (this.strategy === 'median') {
+            value = median(readings.map(reading => reading[field]));
+        } else {
+            const entries = readings.map(reading => ({
+                value: reading[field],
+                weight: this.weights[reading.provider] ?? 1,
+            }));
+            const weighted = entries.filter(entry => entry.weight > 0);
+
+            // Every answering provider weighted 0: fall back to a plain average
+            value = weightedAverage(
+                weighted.length > 0 ? weighted : entries.map(entry => ({ ...entry, weight: 1 }))
+            );
+        }
+
+        return field === 'humidity' ? Math.round(value) : Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Log a provider left out of the combination
+     */
+    logFailure(provider, error) {
+        logger.warn(`[PROVIDER] ${provider.name} failed, left out of the aggregation`, {
+            message: error.message,
+        });
+    }
+}
+
+module.exports = new WeatherService();
+module.exports.STRATEGIES = STRATEGIES;
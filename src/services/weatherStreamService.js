@@ -0,0 +1,148 @@
+/**
+ * Weather Stream Service
+ *
+ * Live weather updates for Server-Sent Events clients
+ * Features: One refresh loop per location shared by all its clients, updates pushed only when
+ * the cached data has been refreshed, heartbeats in between
+ */
+
+const weatherService = require('./weatherService');
+const uvIndexService = require('./uvIndexService');
+const airQualityService = require('./airQualityService');
+const cache = require('../utils/cache');
+const logger = require('../security/monitoring/logger');
+
+// Well under the cache TTL so that a refreshed entry is pushed soon after it expires; the
+// checks in between are cache hits and double as heartbeats for proxies closing idle streams
+const REFRESH_INTERVAL_MS = parseInt(process.env.STREAM_REFRESH_INTERVAL_MS || '30000');
+
+// Flags of data served from an expired cache entry, left out of the signature: the age grows at
+// every check while the data itself does not change
+const STALE_FLAGS = ['stale', 'age'];
+
+/**
+ * Signature of the data of a location, to detect refreshed data
+ * @param {Object} data - Data from fetchWeatherData
+ * @returns {string}
+ */
+function getSignature(data) {
+    return JSON.stringify(data, (key, value) => (STALE_FLAGS.includes(key) ? undefined : value));
+}
+
+class WeatherStreamService {
+    constructor() {
+        this.channels = new Map(); // location key -> { lat, lon, listeners, last, timer }
+        this.refreshInterval = REFRESH_INTERVAL_MS;
+    }
+
+    /**
+     * Fetch the aggregated weather data of a location (cached by each service)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} { weather, uvIndex, airQuality } in canonical metric units
+     */
+    async fetchWeatherData(lat, lon) {
+        const [weather, uvIndex, airQuality] = await Promise.all([
+            weatherService.getWeather(lat, lon),
+            uvIndexService.getUVIndex(lat, lon),
+            airQualityService.getAirQuality(lat, lon),
+        ]);
+
+        return { weather, uvIndex, airQuality };
+    }
+
+    /**
+     * Watch the weather of a location
+     * A client joining a running loop gets the latest data right away
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Function} listener - Called with { type: 'update', data }, { type: 'heartbeat' }
+     *   or { type: 'error', error }
+     * @returns {Function} Unsubscribe function, stops the loop after the last client
+     */
+    subscribe(lat, lon, listener) {
+        const key = cache.generateKey(lat, lon, 'stream');
+        let channel = this.channels.get(key);
+
+        if (!channel) {
+            channel = { lat, lon, listeners: new Set(), last: null, timer: null };
+            this.channels.set(key, channel);
+
+            channel.listeners.add(listener);
+            channel.timer = setInterval(() => this.refresh(channel), this.refreshInterval);
+            this.refresh(channel);
+
+            logger.info(`[STREAM] Refresh loop started for ${lat}, ${lon}`);
+        } else {
+            channel.listeners.add(listener);
+
+            if (channel.last) {
+                listener({ type: 'update', data: channel.last.data });
+            }
+        }
+
+        return () => {
+            channel.listeners.delete(listener);
+
+            if (channel.listeners.size === 0 && this.channels.get(key) === channel) {
+                clearInterval(channel.timer);
+                this.channels.delete(key);
+                logger.info(`[STREAM] Refresh loop stopped for ${lat}, ${lon}`);
+            }
+        };
+    }
+
+    /**
+     * Fetch the data of a location and notify its clients
+     * @param {Object} channel - Location channel
+     */
+    async refresh(channel) {
+        // A slow upstream must not stack refreshes
+        if (channel.refreshing) return;
+
+        channel.refreshing = true;
+
+        try {
+            const data = await this.fetchWeatherData(channel.lat, channel.lon);
+            const signature = getSignature(data);
+
+            if (signature === channel.last?.signature) {
+                this.broadcast(channel, { type: 'heartbeat' });
+            } else {
+                channel.last = { data, signature };
+                this.broadcast(channel, { type: 'update', data });
+            }
+        } catch (error) {
+            logger.error('[ERROR] Weather stream refresh:', { message: error.message });
+            this.broadcast(channel, { type: 'error', error });
+        } finally {
+            channel.refreshing = false;
+        }
+    }
+
+    /**
+     * Send an event to every client of a location
+     * @param {Object} channel - Location channel
+     * @param {Object} event - Event for the listeners
+     */
+    broadcast(channel, event) {
+        for (const listener of channel.listeners) {
+            listener(event);
+        }
+    }
+
+    /**
+     * Get stream statistics
+     * @returns {Object} { locations, clients }
+     */
+    getStats() {
+        let clients = 0;
+        for (const channel of this.channels.values()) {
+            clients += channel.listeners.size;
+        }
+
+        return { locations: this.channels.size, clients };
+    }
+}
+
+module.exports = new WeatherStreamService();
@@ -0,0 +1,146 @@
+/**
+ * Webhook Service
+ *
+ * Delivers signed JSON payloads to subscriber callback URLs
+ * Features: HMAC-SHA256 signature, timeout handling, retries with exponential backoff
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../security/monitoring/logger');
+
+const USER_AGENT = 'AtmoSphere-Webhooks/1.0';
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class WebhookService {
+    constructor() {
+        this.timeout = parseInt(process.env.API_TIMEOUT || '5000');
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '4');
+        this.retryBaseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '1000');
+    }
+
+    /**
+     * Sign a payload for a subscriber
+     * The timestamp is signed with the body so that a captured request cannot be replayed later
+     * @param {string} secret - Subscription secret
+     * @param {number} timestamp - Unix time in seconds
+     * @param {string} body - Exact JSON body sent
+     * @returns {string} Signature header value ('sha256=<hex>')
+     */
+    sign(secret, timestamp, body) {
+        const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`);
+        return `sha256=${digest.digest('hex')}`;
+    }
+
+    /**
+     * POST an event to a subscription, retrying on network errors, 429 and 5xx responses
+     * @param {Object} subscription - Subscription (callback_url, secret)
+     * @param {string} event - Event name (e.g. 'alerts.triggered')
+     * @param {Object} data - Event data, merged into the payload
+     * @returns {Promise<Object>} Delivery log entry
+     *   { id, event, status: 'delivered'|'failed', attempts, response_status, error, timestamp }
+     */
+    async deliver(subscription, event, data) {
+        const id = crypto.randomUUID();
+        const body = JSON.stringify({
+            id,
+            event,
+            subscription_id: subscription.id,
+            label: subscription.label,
+            ...data,
+            timestamp: new Date().toISOString(),
+        });
+
+        let attempts = 0;
+        let responseStatus = null;
+        let lastError = null;
+
+        while (attempts < this.maxAttempts) {
+            attempts++;
+
+            const timestamp = Math.floor(Date.now() / 1000);
+
+            try {
+                const response = await axios.post(subscription.callback_url, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': USER_AGENT,
+                        'X-AtmoSphere-Event': event,
+                        'X-AtmoSphere-Delivery': id,
+                        'X-AtmoSphere-Timestamp': String(timestamp),
+                        'X-AtmoSphere-Signature': this.sign(subscription.secret, timestamp, body),
+                    },
+                    timeout: this.timeout,
+                    // Redirects would resend the payload to a URL the subscriber did not register
+                    maxRedirects: 0,
+                });
+
+                logger.info(`[WEBHOOK] ${event} delivered to subscription ${subscription.id}`);
+
+                return this.toLogEntry(id, event, 'delivered', attempts, response.status, null);
+            } catch (error) {
+                responseStatus = error.response?.status ?? null;
+                lastError = this.describeError(error);
+
+                logger.warn(
+                    `[WEBHOOK] Attempt ${attempts} for subscription ${subscription.id} failed`,
+                    { error: lastError }
+                );
+
+                // Other client errors will not get better by retrying
+                const retryable =
+                    responseStatus === null || responseStatus === 429 || responseStatus >= 500;
+
+                if (!retryable) break;
+
+                if (attempts < this.maxAttempts) {
+                    await sleep(this.retryBaseDelay * 2 ** (attempts - 1));
+                }
+            }
+        }
+
+        logger.error(`[WEBHOOK] ${event} not delivered to subscription ${subscription.id}`, {
+            attempts,
+            error: lastError,
+        });
+
+        return this.toLogEntry(id, event, 'failed', attempts, responseStatus, lastError);
+    }
+
+    /**
+     * Short reason of a failed attempt for the delivery log
+     * @param {Error} error - Axios error
+     * @returns {string} 'Timeout', 'HTTP <status>' or the network error message
+     */
+    describeError(error) {
+        if (error.code === 'ECONNABORTED') return 'Timeout';
+        if (error.response) return `HTTP ${error.response.status}`;
+        return error.message;
+    }
+
+    /**
+     * Build a delivery log entry
+     * @returns {Object} { id, event, status, attempts, response_status, error, timestamp }
+     */
+    toLogEntry(id, event, status, attempts, responseStatus, error) {
+        return {
+            id,
+            event,
+            status,
+            attempts,
+            response_status: responseStatus,
+            error,
+            timestamp: new Date().toISOString(),
+        };
+    }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,70 @@
+/**
+ * Astronomy Utilities
+ *
+ * Moon phase and local time helpers for the location block
+ */
+
+// Mean length of a lunar cycle, and a reference new moon (2000-01-06 18:14 UTC)
+const SYNODIC_MONTH_DAYS = 29.530588853;
+const REFERENCE_NEW_MOON = Date.UTC(2000, 0, 6, 18, 14);
+
+// Eight named phases, each centered on its eighth of the cycle
+const MOON_PHASES = [
+    'new_moon',
+    'waxing_crescent',
+    'first_quarter',
+    'waxing_gibbous',
+    'full_moon',
+    'waning_gibbous',
+    'last_quarter',
+    'waning_crescent',
+];
+
+/**
+ * Get the moon phase at a given instant
+ * @param {Date} date - Instant (default: now)
+ * @returns {Object} { code, age_days, illumination } with illumination in percent
+ */
+function getMoonPhase(date = new Date()) {
+    const daysSinceReference = (date.getTime() - REFERENCE_NEW_MOON) / 86400000;
+    const age =
+        ((daysSinceReference % SYNODIC_MONTH_DAYS) + SYNODIC_MONTH_DAYS) % SYNODIC_MONTH_DAYS;
+    const cycle = age / SYNODIC_MONTH_DAYS;
+
+    return {
+        code: MOON_PHASES[Math.round(cycle * 8) % 8],
+        age_days: Math.round(age * 10) / 10,
+        illumination: Math.round(((1 - Math.cos(2 * Math.PI * cycle)) / 2) * 100),
+    };
+}
+
+/**
+ * Format a UTC offset
+ * @param {number} offsetSeconds - Offset from UTC in seconds
+ * @returns {string} Offset such as '+02:00' or '-09:30'
+ */
+function formatUtcOffset(offsetSeconds) {
+    const sign = offsetSeconds < 0 ? '-' : '+';
+    const totalMinutes = Math.abs(Math.round(offsetSeconds / 60));
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+
+    return `${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Get the local wall-clock time for a UTC offset
+ * @param {number} offsetSeconds - Offset from UTC in seconds
+ * @param {Date} date - Instant (default: now)
+ * @returns {string} Local time formatted like Open-Meteo times (YYYY-MM-DDTHH:mm)
+ */
+function getLocalTime(offsetSeconds, date = new Date()) {
+    return new Date(date.getTime() + offsetSeconds * 1000).toISOString().slice(0, 16);
+}
+
+module.exports = {
+    MOON_PHASES,
+    getMoonPhase,
+    formatUtcOffset,
+    getLocalTime,
+};
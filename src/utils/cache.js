@@ -3,40 +3,70 @@
  *
  * Simple in-memory cache using node-cache to reduce API calls
  * TTL (Time To Live) is configurable via environment variable
+ * Features: stale-while-revalidate (background refresh of entries near expiry),
+ * stale-if-error (expired entries served for a grace period when the upstream fails) and
+ * single-flight fetches (concurrent misses on a key share one upstream call)
  */
 
 const NodeCache = require('node-cache');
+const logger = require('../security/monitoring/logger');
 
 // Cache TTL from env (default: 5 minutes)
 const CACHE_TTL = parseInt(process.env.CACHE_TTL || '300');
 
+// Expired entries kept to be served when the upstream fails (default: 1 hour)
+const CACHE_STALE_TTL = parseInt(process.env.CACHE_STALE_TTL || '3600');
+
+// Share of the TTL left under which a hit refreshes the entry in the background (0 disables)
+const REFRESH_AHEAD_RATIO = parseFloat(process.env.CACHE_REFRESH_AHEAD ?? '0.2');
+
 // Initialize cache
+// Entries are stored as { value, storedAt, ttl } and live TTL + grace period in node-cache
 const cache = new NodeCache({
-    stdTTL: CACHE_TTL,
+    stdTTL: CACHE_TTL + CACHE_STALE_TTL,
     checkperiod: 120, // Check for expired keys every 2 minutes
     useClones: false, // Better performance, we don't modify cached objects
 });
 
+// Upstream fetch in progress per key, shared by concurrent misses and background refreshes
+const inFlight = new Map(); // key -> Promise
+
+// Upstream fetches started, and misses served by a fetch already in flight (calls saved)
+const coalescing = { fetches: 0, coalesced: 0 };
+
 /**
  * Generate cache key from coordinates
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
  * @param {string} prefix - Key prefix (e.g., 'weather', 'uv', 'air')
+ * @param {...(string|number)} variants - Extra request options that change the payload shape
  * @returns {string} Cache key
  */
-function generateKey(lat, lon, prefix = '') {
+function generateKey(lat, lon, prefix = '', ...variants) {
     const roundedLat = Math.round(lat * 10000) / 10000; // Round to 4 decimals (~11m precision)
     const roundedLon = Math.round(lon * 10000) / 10000;
-    return `${prefix}:${roundedLat}:${roundedLon}`;
+    const key = `${prefix}:${roundedLat}:${roundedLon}`;
+    return variants.length > 0 ? `${key}:${variants.join(':')}` : key;
+}
+
+/**
+ * Whether an entry is past its TTL (kept for the grace period only)
+ * @param {Object} entry - Stored entry
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function isExpired(entry, now = Date.now()) {
+    return now >= entry.storedAt + entry.ttl * 1000;
 }
 
 /**
  * Get value from cache
  * @param {string} key - Cache key
- * @returns {*} Cached value or undefined
+ * @returns {*} Cached value, undefined when missing or expired (see getOrFetch for stale values)
  */
 function get(key) {
-    return cache.get(key);
+    const entry = cache.get(key);
+    return entry && !isExpired(entry) ? entry.value : undefined;
 }
 
 /**
@@ -46,7 +76,109 @@ function get(key) {
  * @param {number} ttl - Optional custom TTL in seconds
  */
 function set(key, value, ttl = CACHE_TTL) {
-    cache.set(key, value, ttl);
+    cache.set(key, { value, storedAt: Date.now(), ttl }, ttl + CACHE_STALE_TTL);
+}
+
+/**
+ * Copy of a stale value flagged with its age
+ * @param {*} value - Expired cached value
+ * @param {number} age - Seconds since the value was fetched
+ * @returns {*} { ...value, stale: true, age } for objects, the value itself otherwise
+ */
+function markStale(value, age) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+
+    return { ...value, stale: true, age };
+}
+
+/**
+ * Get a value, fetching it on a miss
+ * - Fresh hit: returned, and refreshed in the background when close to expiry
+ *   (stale-while-revalidate, so that hits on popular locations never wait for the upstream)
+ * - Miss or expired: fetched and cached; if the fetch fails while an expired entry is still in
+ *   its grace period, that entry is returned flagged `stale: true` with its `age` in seconds
+ *   (stale-if-error), otherwise the error is rethrown
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - async () => value, rejecting when the upstream fails
+ * @param {Object} options - Cache options
+ * @param {number|Function} options.ttl - TTL in seconds, or value => TTL (default: CACHE_TTL)
+ * @param {string} options.label - Description for the logs (e.g. 'Weather data for 43.5, 5.4')
+ * @returns {Promise<*>} Cached, fetched or stale value
+ */
+async function getOrFetch(key, fetcher, { ttl = CACHE_TTL, label = key } = {}) {
+    const entry = cache.get(key);
+    const now = Date.now();
+
+    if (entry && !isExpired(entry, now)) {
+        logger.info(`[CACHE HIT] ${label}`);
+
+        const remaining = entry.storedAt + entry.ttl * 1000 - now;
+        if (remaining < entry.ttl * 1000 * REFRESH_AHEAD_RATIO) {
+            refreshInBackground(key, fetcher, ttl, label);
+        }
+
+        return entry.value;
+    }
+
+    logger.info(`[CACHE MISS] ${label}`);
+
+    try {
+        return await fetchOnce(key, fetcher, ttl, label);
+    } catch (error) {
+        if (!entry) throw error;
+
+        const age = Math.round((now - entry.storedAt) / 1000);
+        logger.warn(`[CACHE STALE] ${label} served ${age}s old after an upstream error`, {
+            message: error.message,
+        });
+
+        return markStale(entry.value, age);
+    }
+}
+
+/**
+ * Fetch and cache a value, joining the fetch already in flight for the key if any
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - async () => value
+ * @param {number|Function} ttl - TTL in seconds, or value => TTL
+ * @param {string} label - Description for the logs
+ * @returns {Promise<*>} Fetched value, rejecting with the fetcher error
+ */
+function fetchOnce(key, fetcher, ttl, label) {
+    if (inFlight.has(key)) {
+        coalescing.coalesced++;
+        logger.info(`[CACHE COALESCED] ${label}`);
+        return inFlight.get(key);
+    }
+
+    coalescing.fetches++;
+
+    const pending = Promise.resolve()
+        .then(fetcher)
+        .then(value => {
+            set(key, value, typeof ttl === 'function' ? ttl(value) : ttl);
+            return value;
+        })
+        .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, pending);
+    return pending;
+}
+
+/**
+ * Refresh an entry without making the caller wait (one fetch at a time per key)
+ * A failed refresh keeps the current entry
+ */
+function refreshInBackground(key, fetcher, ttl, label) {
+    if (inFlight.has(key)) return;
+
+    logger.info(`[CACHE REFRESH] ${label}`);
+
+    fetchOnce(key, fetcher, ttl, label).catch(error => {
+        logger.warn(`[CACHE REFRESH] ${label} failed`, { message: error.message });
+    });
 }
 
 /**
@@ -72,12 +204,33 @@ function getStats() {
     return cache.getStats();
 }
 
+/**
+ * Get single-flight statistics
+ * @returns {Object} { fetches, coalesced, in_flight, saved_ratio }: upstream fetches started,
+ *   misses that joined one instead of calling the upstream, fetches pending, and share of the
+ *   misses saved
+ */
+function getCoalescingStats() {
+    const { fetches, coalesced } = coalescing;
+    const misses = fetches + coalesced;
+
+    return {
+        fetches,
+        coalesced,
+        in_flight: inFlight.size,
+        saved_ratio: misses ? Math.round((coalesced / misses) * 1000) / 1000 : 0,
+    };
+}
+
 module.exports = {
     generateKey,
     get,
     set,
+    getOrFetch,
     del,
     flush,
     getStats,
+    getCoalescingStats,
     CACHE_TTL,
+    CACHE_STALE_TTL,
 };
@@ -0,0 +1,115 @@
+/**
+ * Comfort Metrics
+ *
+ * Derived "how it feels" values computed from temperature, humidity and wind.
+ * Inputs and outputs are in canonical metric units (°C, %, km/h).
+ * - Heat index: NWS Rothfusz regression, only meaningful from 27 °C (80 °F)
+ * - Wind chill: Environment Canada / NWS formula, only meaningful up to 10 °C above 4.8 km/h
+ * - Dew point: Magnus formula
+ * Outside their validity range, heat index and wind chill equal the air temperature.
+ */
+
+const round = value => Math.round(value * 10) / 10;
+
+const isMissing = value => value === null || value === undefined;
+
+/**
+ * Heat index (apparent temperature in hot, humid conditions)
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} Heat index in °C
+ */
+function heatIndex(temperature, humidity) {
+    if (isMissing(temperature) || isMissing(humidity)) return null;
+
+    const f = temperature * 1.8 + 32;
+    if (f < 80) return round(temperature);
+
+    const rh = humidity;
+    let hi =
+        -42.379 +
+        2.04901523 * f +
+        10.14333127 * rh -
+        0.22475541 * f * rh -
+        0.00683783 * f * f -
+        0.05481717 * rh * rh +
+        0.00122874 * f * f * rh +
+        0.00085282 * f * rh * rh -
+        0.00000199 * f * f * rh * rh;
+
+    // NWS adjustments for very dry and very humid air
+    if (rh < 13 && f <= 112) {
+        hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(f - 95)) / 17);
+    } else if (rh > 85 && f <= 87) {
+        hi += ((rh - 85) / 10) * ((87 - f) / 5);
+    }
+
+    return round((hi - 32) / 1.8);
+}
+
+/**
+ * Wind chill (apparent temperature in cold, windy conditions)
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} windSpeed - Wind speed in km/h
+ * @returns {number|null} Wind chill in °C
+ */
+function windChill(temperature, windSpeed) {
+    if (isMissing(temperature) || isMissing(windSpeed)) return null;
+    if (temperature > 10 || windSpeed <= 4.8) return round(temperature);
+
+    const v = Math.pow(windSpeed, 0.16);
+    return round(13.12 + 0.6215 * temperature - 11.37 * v + 0.3965 * temperature * v);
+}
+
+/**
+ * Dew point
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} Dew point in °C
+ */
+function dewPoint(temperature, humidity) {
+    if (isMissing(temperature) || isMissing(humidity) || humidity <= 0) return null;
+
+    const a = 17.62;
+    const b = 243.12;
+    const gamma = Math.log(humidity / 100) + (a * temperature) / (b + temperature);
+    return round((b * gamma) / (a - gamma));
+}
+
+/**
+ * Feels-like temperature: wind chill when cold, heat index when hot, air temperature otherwise
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @param {number} windSpeed - Wind speed in km/h
+ * @returns {number|null} Feels-like temperature in °C
+ */
+function feelsLike(temperature, humidity, windSpeed) {
+    if (isMissing(temperature)) return null;
+    if (temperature <= 10 && !isMissing(windSpeed)) return windChill(temperature, windSpeed);
+    if (temperature >= 27 && !isMissing(humidity)) return heatIndex(temperature, humidity);
+    return round(temperature);
+}
+
+/**
+ * All comfort metrics at once
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @param {number} windSpeed - Wind speed in km/h
+ * @returns {Object} { feels_like, heat_index, wind_chill, dew_point }
+ */
+function getComfortMetrics(temperature, humidity, windSpeed) {
+    return {
+        feels_like: feelsLike(temperature, humidity, windSpeed),
+        heat_index: heatIndex(temperature, humidity),
+        wind_chill: windChill(temperature, windSpeed),
+        dew_point: dewPoint(temperature, humidity),
+    };
+}
+
+module.exports = {
+    heatIndex,
+    windChill,
+    dewPoint,
+    feelsLike,
+    getComfortMetrics,
+};
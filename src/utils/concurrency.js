@@ -0,0 +1,33 @@
+/**
+ * Concurrency Utilities
+ *
+ * Helpers for bounding parallel calls toward upstream APIs
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} mapper - async (item, index) => result
+ * @returns {Promise<Array>} Results, in input order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency,
+};
@@ -0,0 +1,208 @@
+/**
+ * HTTP Client
+ *
+ * Shared GET client for the upstream APIs (axios)
+ * Features: Retries with exponential backoff on transient errors, one circuit breaker per
+ * upstream (closed -> open after repeated failures -> half-open trial call -> closed)
+ */
+
+const axios = require('axios');
+const logger = require('../security/monitoring/logger');
+
+// Retries after the first attempt (network error, timeout, 429 or 5xx)
+const MAX_RETRIES = parseInt(process.env.HTTP_MAX_RETRIES || '2');
+const RETRY_BASE_MS = parseInt(process.env.HTTP_RETRY_BASE_MS || '200');
+
+// Consecutive failed requests opening the circuit (a request counts once, after its retries), and
+// time before a trial call
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5');
+const RESET_TIMEOUT_MS = parseInt(process.env.CIRCUIT_RESET_MS || '30000');
+
+const breakers = new Map(); // upstream name -> CircuitBreaker
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed request may succeed if sent again
+ * Other client errors mean the upstream is up and refused the request
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isTransient(error) {
+    const status = error.response?.status;
+    return status === undefined || status === 429 || status >= 500;
+}
+
+class CircuitBreaker {
+    /**
+     * @param {string} name - Upstream name
+     * @param {Object} options - { failureThreshold, resetTimeout }
+     */
+    constructor(
+        name,
+        { failureThreshold = FAILURE_THRESHOLD, resetTimeout = RESET_TIMEOUT_MS } = {}
+    ) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeout = resetTimeout;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a call may be sent now
+     * Once the reset timeout has elapsed, a single trial call is let through (half-open)
+     * @returns {boolean}
+     */
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = 'half_open';
+            logger.info(`[CIRCUIT] ${this.name} half-open, sending a trial call`);
+        }
+
+        if (this.state === 'closed') return true;
+
+        if (this.state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * The upstream answered
+     */
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            logger.info(`[CIRCUIT] ${this.name} closed`);
+        }
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * A request failed with a transient error once its retries were used up, or a trial call failed
+     */
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                logger.warn(`[CIRCUIT] ${this.name} open after ${this.failures} failures`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Breaker state for /health
+     * @returns {Object} { state, failures, opened_at, retry_at }
+     */
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retry_at:
+                this.state === 'open'
+                    ? new Date(this.openedAt + this.resetTimeout).toISOString()
+                    : null,
+        };
+    }
+}
+
+/**
+ * Error thrown without calling an upstream whose circuit is open
+ * @param {string} name - Upstream name
+ * @returns {Error} Error with code 'ECIRCUITOPEN'
+ */
+function circuitOpenError(name) {
+    const error = new Error(`${name} is unavailable, calls suspended by the circuit breaker`);
+    error.code = 'ECIRCUITOPEN';
+    return error;
+}
+
+/**
+ * Create the client of an upstream
+ * Clients created with the same name share their circuit breaker
+ * @param {string} name - Upstream name (e.g. 'open-meteo')
+ * @param {Object} options - { maxRetries, retryBaseDelay, failureThreshold, resetTimeout }
+ * @returns {Object} { name, breaker, get(url, config) } where get resolves to the axios response
+ *   and rejects with the last axios error, or an ECIRCUITOPEN error
+ */
+function createClient(name, options = {}) {
+    const { maxRetries = MAX_RETRIES, retryBaseDelay = RETRY_BASE_MS } = options;
+
+    if (!breakers.has(name)) {
+        breakers.set(name, new CircuitBreaker(name, options));
+    }
+    const breaker = breakers.get(name);
+
+    async function get(url, config) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (!breaker.allowRequest()) {
+                // Opened by other requests while retrying: the upstream error says more
+                throw lastError || circuitOpenError(name);
+            }
+
+            try {
+                const response = await axios.get(url, config);
+                breaker.recordSuccess();
+                return response;
+            } catch (error) {
+                lastError = error;
+
+                if (!isTransient(error)) {
+                    breaker.recordSuccess();
+                    throw error;
+                }
+
+                // One failure per request, and a failed trial call reopens the circuit at once
+                if (attempt === maxRetries || breaker.state === 'half_open') {
+                    breaker.recordFailure();
+                    throw error;
+                }
+
+                logger.warn(`[RETRY] ${name} attempt ${attempt + 1} failed`, {
+                    message: error.message,
+                });
+                await sleep(retryBaseDelay * 2 ** attempt);
+            }
+        }
+    }
+
+    return { name, breaker, get };
+}
+
+/**
+ * State of every upstream circuit
+ * @returns {Object} Upstream name -> { state, failures, opened_at, retry_at }
+ */
+function getCircuitStates() {
+    return Object.fromEntries(
+        [...breakers.values()].map(breaker => [breaker.name, breaker.getState()])
+    );
+}
+
+module.exports = {
+    createClient,
+    getCircuitStates,
+    isTransient,
+};
@@ -0,0 +1,49 @@
+/**
+ * Internationalization Utilities
+ *
+ * Message catalogs for condition labels, risk levels and recommendations.
+ * English is the reference catalog: missing translations fall back to it.
+ */
+
+const CATALOGS = {
+    en: require('../locales/en'),
+    fr: require('../locales/fr'),
+    es: require('../locales/es'),
+    de: require('../locales/de'),
+};
+
+// First entry is the default when neither ?lang= nor Accept-Language match
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES[0];
+
+/**
+ * Resolve response language from ?lang= then the Accept-Language header
+ * @param {Object} req - Express request
+ * @returns {string} Supported language code
+ */
+function resolveLanguage(req) {
+    if (SUPPORTED_LANGUAGES.includes(req.query.lang)) {
+        return req.query.lang;
+    }
+
+    return req.acceptsLanguages(...SUPPORTED_LANGUAGES) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Look up a message in a catalog section
+ * @param {string} lang - Language code
+ * @param {string} section - Catalog section (e.g. 'weather_codes', 'recommendations')
+ * @param {string|number} key - Message key
+ * @returns {string|undefined} Translated message, English fallback, or undefined if unknown
+ */
+function translate(lang, section, key) {
+    const catalog = CATALOGS[lang] || CATALOGS[DEFAULT_LANGUAGE];
+    return catalog[section]?.[key] ?? CATALOGS[DEFAULT_LANGUAGE][section]?.[key];
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    resolveLanguage,
+    translate,
+};
@@ -0,0 +1,121 @@
+/**
+ * Unit Conversion Utilities
+ *
+ * Services and recommendations work in canonical metric units (°C, km/h, mm).
+ * Responses are converted to the requested unit system at the very end.
+ */
+
+const UNIT_SYSTEMS = {
+    metric: { temperature: '°C', wind_speed: 'km/h', precipitation: 'mm' },
+    imperial: { temperature: '°F', wind_speed: 'mph', precipitation: 'in' },
+    si: { temperature: 'K', wind_speed: 'm/s', precipitation: 'mm' },
+};
+
+const DEFAULT_UNIT_SYSTEM = 'metric';
+
+// Conversions from canonical metric values, per quantity and target system
+const CONVERTERS = {
+    temperature: {
+        imperial: c => c * 1.8 + 32,
+        si: c => c + 273.15,
+    },
+    wind_speed: {
+        imperial: kmh => kmh / 1.609344,
+        si: kmh => kmh / 3.6,
+    },
+    precipitation: {
+        imperial: mm => mm / 25.4,
+    },
+};
+
+// Response fields holding a convertible quantity
+const FIELD_QUANTITIES = {
+    temperature: 'temperature',
+    temp_max: 'temperature',
+    temp_min: 'temperature',
+    temp_mean: 'temperature',
+    feels_like: 'temperature',
+    feels_like_max: 'temperature',
+    feels_like_min: 'temperature',
+    heat_index: 'temperature',
+    heat_index_max: 'temperature',
+    wind_chill: 'temperature',
+    wind_chill_min: 'temperature',
+    dew_point: 'temperature',
+    wind_speed: 'wind_speed',
+    wind_speed_max: 'wind_speed',
+    wind_gusts_max: 'wind_speed',
+    precipitation: 'precipitation',
+};
+
+/**
+ * Get unit labels for a unit system
+ * @param {string} system - 'metric', 'imperial' or 'si'
+ * @returns {Object} { system, temperature, wind_speed, precipitation }
+ */
+function getUnits(system = DEFAULT_UNIT_SYSTEM) {
+    return { system, ...UNIT_SYSTEMS[system] };
+}
+
+/**
+ * Convert a single canonical metric value
+ * @param {number|null} value - Value in canonical metric units
+ * @param {string} quantity - 'temperature', 'wind_speed' or 'precipitation'
+ * @param {string} system - Target unit system
+ * @returns {number|null} Converted value (inches to 2 decimals, others to 1)
+ */
+function convertValue(value, quantity, system) {
+    const converter = CONVERTERS[quantity]?.[system];
+
+    if (value === null || value === undefined || !converter) {
+        return value;
+    }
+
+    const decimals = quantity === 'precipitation' ? 100 : 10;
+    return Math.round(converter(value) * decimals) / decimals;
+}
+
+/**
+ * Convert every known quantity field of a flat data object
+ * @param {Object} data - Weather, forecast day or forecast hour entry
+ * @param {string} system - Target unit system
+ * @returns {Object} Converted copy (the input, often a cached object, is left untouched)
+ */
+function convertFields(data, system) {
+    const converted = { ...data };
+
+    for (const [field, quantity] of Object.entries(FIELD_QUANTITIES)) {
+        if (field in converted) {
+            converted[field] = convertValue(converted[field], quantity, system);
+        }
+    }
+
+    return converted;
+}
+
+/**
+ * Convert a forecast payload ({ days } or { hours })
+ * @param {Object} forecast - Forecast data from forecastService
+ * @param {string} system - Target unit system
+ * @returns {Object} Converted copy
+ */
+function convertForecast(forecast, system) {
+    const converted = { ...forecast };
+
+    for (const list of ['days', 'hours']) {
+        if (Array.isArray(forecast[list])) {
+            converted[list] = forecast[list].map(entry => convertFields(entry, system));
+        }
+    }
+
+    return converted;
+}
+
+module.exports = {
+    UNIT_SYSTEMS,
+    DEFAULT_UNIT_SYSTEM,
+    getUnits,
+    convertValue,
+    convertFields,
+    convertForecast,
+};
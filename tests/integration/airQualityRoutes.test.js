@@ -0,0 +1,353 @@
+const request = require('supertest');
+
+jest.mock('axios');
+const axios = require('axios');
+
+// Mock logger to prevent file writes during tests
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    http: jest.fn(),
+    logHTTP: jest.fn(),
+    security: {
+        attack: jest.fn(),
+        ban: jest.fn(),
+        unban: jest.fn(),
+        suspicious: jest.fn(),
+        rateLimit: jest.fn(),
+    },
+}));
+
+jest.mock('fs', () => {
+    const actualFs = jest.requireActual('fs');
+    return {
+        ...actualFs,
+        promises: {
+            readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+            writeFile: jest.fn().mockResolvedValue(undefined),
+        },
+    };
+});
+
+const app = require('../../src/server');
+
+const mockWeatherResponse = {
+    data: {
+        current: {
+            temperature_2m: 22.5,
+            relative_humidity_2m: 65,
+            precipitation: 0,
+            weather_code: 1,
+            wind_speed_10m: 12,
+        },
+    },
+};
+
+const mockAirQualityResponse = {
+    data: {
+        current: {
+            pm10: 18,
+            pm2_5: 9,
+            us_aqi: 55,
+            european_aqi: 35,
+            ozone: 96,
+            nitrogen_dioxide: 12.4,
+            sulphur_dioxide: 1.1,
+            carbon_monoxide: 180,
+            alder_pollen: 0,
+            birch_pollen: 2,
+            grass_pollen: 24,
+            mugwort_pollen: 0,
+            olive_pollen: 1800,
+            ragweed_pollen: 0,
+        },
+    },
+};
+
+const mockAirQualityForecastResponse = {
+    data: {
+        hourly: {
+            time: ['2026-05-10T12:00', '2026-05-10T13:00', '2026-05-11T12:00'],
+            pm10: [20, 24, 12],
+            pm2_5: [10, 14, 6],
+            us_aqi: [48, 62, 40],
+            european_aqi: [30, 41, 22],
+        },
+    },
+};
+
+const mockForecastResponse = {
+    data: {
+        daily: {
+            time: ['2026-05-10', '2026-05-11', '2026-05-12'],
+            temperature_2m_max: [24, 26, 22],
+            temperature_2m_min: [13, 14, 12],
+            relative_humidity_2m_mean: [55, 60, 70],
+            precipitation_sum: [0, 0, 3],
+            weather_code: [1, 0, 61],
+            wind_speed_10m_max: [12, 10, 20],
+            uv_index_max: [6.5, 7.2, 4.1],
+        },
+    },
+};
+
+describe('Air Quality API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        axios.get.mockImplementation((url, { params }) => {
+            if (url.includes('air-quality')) {
+                return Promise.resolve(
+                    params.hourly ? mockAirQualityForecastResponse : mockAirQualityResponse
+                );
+            }
+            if (params.daily && !params.current) return Promise.resolve(mockForecastResponse);
+            if (url.includes('currentuvindex'))
+                return Promise.resolve({ data: { now: { uvi: 2 } } });
+            return Promise.resolve(mockWeatherResponse);
+        });
+    });
+
+    describe('GET /api/weather air quality options', () => {
+        test('should keep the base air quality fields by default', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=43.5297&lon=5.4474')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.air_quality).toEqual({
+                pm10: 18,
+                pm2_5: 9,
+                aqi: 55,
+                aqi_scale: 'us',
+                quality_code: 'moderate',
+                quality: 'Moderate',
+            });
+        });
+
+        test('should return the European AQI and requested details', async () => {
+            const res = await request(app)
+                .get(
+                    '/api/weather?lat=43.5297&lon=5.4474&aqi_scale=european&include=pollutants,pollen&lang=fr'
+                )
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.air_quality).toMatchObject({
+                aqi: 35,
+                aqi_scale: 'european',
+                quality_code: 'fair',
+                quality: 'Correcte',
+                ozone: 96,
+                nitrogen_dioxide: 12.4,
+                pollen: { olive: 1800, level_code: 'very_high', level: 'Très élevé' },
+            });
+        });
+
+        test('should add pollen advice to the recommendations', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=43.5297&lon=5.4474')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.recommendations).toContainEqual(
+                expect.objectContaining({ code: 'pollen_very_high', category: 'air' })
+            );
+            expect(res.body.air_quality).not.toHaveProperty('pollen');
+        });
+
+        test('should return 400 with an unknown AQI scale or include', async () => {
+            const scale = await request(app)
+                .get('/api/weather?lat=43.53&lon=5.45&aqi_scale=china')
+                .set('User-Agent', 'TestAgent');
+            const include = await request(app)
+                .get('/api/weather?lat=43.53&lon=5.45&include=pollen,radon')
+                .set('User-Agent', 'TestAgent');
+
+            expect(scale.status).toBe(400);
+            expect(include.status).toBe(400);
+            expect(include.body.errors[0].msg).toMatch(/Unknown include: radon/);
+        });
+    });
+
+    describe('GET /api/air-quality', () => {
+        test('should return only the air quality, with a single upstream call', async () => {
+            const res = await request(app)
+                .get('/api/air-quality?lat=47.2184&lon=-1.5536&aqi_scale=european&include=pollen')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(axios.get).toHaveBeenCalledTimes(1);
+            expect(res.body.location).toEqual({ lat: 47.2184, lon: -1.5536 });
+            expect(res.body.air_quality).toMatchObject({
+                aqi: 35,
+                aqi_scale: 'european',
+                quality_code: 'fair',
+                pollen: { olive: 1800, level_code: 'very_high' },
+            });
+            expect(res.body).not.toHaveProperty('weather');
+        });
+
+        test('should degrade gracefully when the air quality service fails', async () => {
+            axios.get.mockRejectedValue({ response: { status: 503 } });
+
+            const res = await request(app)
+                .get('/api/air-quality?lat=44.8378&lon=-0.5792')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.air_quality).toMatchObject({
+                aqi: null,
+                quality_code: 'unknown',
+                error: 'Air quality data temporarily unavailable',
+            });
+        });
+
+        test('should return 400 without coordinates', async () => {
+            const res = await request(app)
+                .get('/api/air-quality?lat=43.53')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/uv', () => {
+        test('should return only the UV index', async () => {
+            const res = await request(app)
+                .get('/api/uv?lat=43.7102&lon=7.262&lang=fr')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(axios.get).toHaveBeenCalledTimes(1);
+            expect(res.body.uv).toEqual({
+                uv_index: 2,
+                risk_code: 'low',
+                risk_level: 'Faible',
+            });
+            expect(res.body.lang).toBe('fr');
+        });
+
+        test('should return 400 with out-of-range coordinates', async () => {
+            const res = await request(app)
+                .get('/api/uv?lat=91&lon=5.45')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/air-quality/forecast', () => {
+        test('should return hourly values and daily peaks', async () => {
+            const res = await request(app)
+                .get('/api/air-quality/forecast?lat=43.5297&lon=5.4474&days=2&aqi_scale=european')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(axios.get.mock.calls[0][1].params.forecast_days).toBe(2);
+            expect(res.body.forecast.aqi_scale).toBe('european');
+            expect(res.body.forecast.hours).toHaveLength(3);
+            expect(res.body.forecast.days[0]).toEqual({
+                date: '2026-05-10',
+                aqi_max: 41,
+                quality_code: 'moderate',
+                quality: 'Moderate',
+            });
+        });
+
+        test('should return 400 beyond the 7-day air quality horizon', async () => {
+            const res = await request(app)
+                .get('/api/air-quality/forecast?lat=43.53&lon=5.45&days=8')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/uv/forecast', () => {
+        test('should return hourly values and daily maxima', async () => {
+            axios.get.mockResolvedValue({
+                data: {
+                    now: { uvi: 3.1 },
+                    forecast: [
+                        { time: '2026-05-10T11:00:00Z', uvi: 6.4 },
+                        { time: '2026-05-11T12:00:00Z', uvi: 8.3 },
+                    ],
+                },
+            });
+
+            const res = await request(app)
+                .get('/api/uv/forecast?lat=43.5297&lon=5.4474&lang=fr')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.forecast.hours).toHaveLength(2);
+            expect(res.body.forecast.days[1]).toMatchObject({
+                date: '2026-05-11',
+                uv_index_max: 8.3,
+                risk_code: 'very_high',
+            });
+        });
+
+        test('should return 500 when the UV service fails', async () => {
+            axios.get.mockRejectedValue({ response: { status: 503 } });
+
+            const res = await request(app)
+                .get('/api/uv/forecast?lat=44.8378&lon=-0.5792')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(500);
+            expect(res.body.message).toBe('UV service error: 503');
+        });
+    });
+
+    describe('GET /api/forecast air quality peaks', () => {
+        test('should add the daily UV max and peak AQI to each day', async () => {
+            const res = await request(app)
+                .get('/api/forecast?lat=43.5297&lon=5.4474&days=3')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.forecast.days[0]).toMatchObject({ uv_index_max: 6.5, aqi_max: 62 });
+            // Past the end of the air quality forecast
+            expect(res.body.forecast.days[2].aqi_max).toBeNull();
+        });
+
+        test('should still answer when the air quality forecast fails', async () => {
+            axios.get.mockImplementation(url =>
+                url.includes('air-quality')
+                    ? Promise.reject(new Error('Network Error'))
+                    : Promise.resolve(mockForecastResponse)
+            );
+
+            const res = await request(app)
+                .get('/api/forecast?lat=45.764&lon=4.8357')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.forecast.days[0].aqi_max).toBeNull();
+        });
+
+        test('should skip the air quality forecast when aqi_max is not selected', async () => {
+            const res = await request(app)
+                .get('/api/forecast?lat=48.5734&lon=7.7521&fields=temp_max,aqi_max')
+                .set('User-Agent', 'TestAgent');
+            const withoutAqi = await request(app)
+                .get('/api/forecast?lat=48.5734&lon=7.7521&fields=temp_max')
+                .set('User-Agent', 'TestAgent');
+            const onlyAqi = await request(app)
+                .get('/api/forecast?lat=48.5734&lon=7.7521&fields=aqi_max')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.forecast.days[0]).toEqual({
+                date: '2026-05-10',
+                temp_max: 24,
+                aqi_max: 62,
+            });
+            expect(withoutAqi.body.forecast.days[0]).not.toHaveProperty('aqi_max');
+            expect(
+                axios.get.mock.calls.filter(([url]) => url.includes('air-quality'))
+            ).toHaveLength(1);
+            expect(onlyAqi.status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,178 @@
+const request = require('supertest');
+
+jest.mock('axios');
+const axios = require('axios');
+
+// Mock logger to prevent file writes during tests
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    http: jest.fn(),
+    logHTTP: jest.fn(),
+    security: {
+        attack: jest.fn(),
+        ban: jest.fn(),
+        unban: jest.fn(),
+        suspicious: jest.fn(),
+        rateLimit: jest.fn(),
+    },
+}));
+
+jest.mock('fs', () => {
+    const actualFs = jest.requireActual('fs');
+    return {
+        ...actualFs,
+        promises: {
+            readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+            writeFile: jest.fn().mockResolvedValue(undefined),
+        },
+    };
+});
+
+const app = require('../../src/server');
+
+// Alerts are evaluated from today's local date (UTC in these mocks)
+const dateIn = days => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+const mockWeatherResponse = {
+    data: {
+        timezone: 'GMT',
+        utc_offset_seconds: 0,
+        current: {
+            temperature_2m: 31,
+            relative_humidity_2m: 40,
+            precipitation: 0,
+            weather_code: 1,
+            wind_speed_10m: 12,
+            is_day: 1,
+        },
+    },
+};
+
+const mockForecastResponse = {
+    data: {
+        timezone: 'GMT',
+        utc_offset_seconds: 0,
+        daily: {
+            time: [0, 1, 2, 3, 4].map(dateIn),
+            temperature_2m_max: [33, 36, 39, 34, 37],
+            temperature_2m_min: [18, 21, 23, 20, 22],
+            wind_speed_10m_max: [15, 20, 55, 10, 12],
+            weather_code: [1, 2, 95, 1, 0],
+        },
+    },
+};
+
+const mockAirQualityResponse = {
+    data: { current: { pm10: 18, pm2_5: 9, us_aqi: 55, european_aqi: 35 } },
+};
+
+const mockAirQualityForecastResponse = {
+    data: {
+        hourly: {
+            time: [`${dateIn(0)}T12:00`, `${dateIn(1)}T12:00`],
+            pm10: [20, 24],
+            pm2_5: [10, 14],
+            us_aqi: [60, 70],
+            european_aqi: [30, 41],
+        },
+    },
+};
+
+function mockUpstreams() {
+    axios.get.mockImplementation((url, { params }) => {
+        if (url.includes('air-quality')) {
+            return Promise.resolve(
+                params.hourly ? mockAirQualityForecastResponse : mockAirQualityResponse
+            );
+        }
+        return Promise.resolve(params.current ? mockWeatherResponse : mockForecastResponse);
+    });
+}
+
+describe('Alerts API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockUpstreams();
+    });
+
+    describe('GET /api/alerts', () => {
+        test('should return deduplicated alerts with their period', async () => {
+            const res = await request(app)
+                .get('/api/alerts?lat=43.9493&lon=4.8055')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.location).toEqual({ lat: 43.9493, lon: 4.8055, timezone: 'GMT' });
+            expect(res.body.count).toBe(4);
+            expect(res.body.alerts).toEqual([
+                {
+                    type: 'heat_wave',
+                    title: 'Heat wave',
+                    severity: 'severe',
+                    severity_label: 'Severe',
+                    onset: `${dateIn(1)}T00:00`,
+                    expiry: `${dateIn(3)}T00:00`,
+                    period: { start: dateIn(1), end: dateIn(2), days: 2 },
+                    peak: 39,
+                },
+                expect.objectContaining({
+                    type: 'storm',
+                    period: expect.objectContaining({ days: 1 }),
+                }),
+                expect.objectContaining({ type: 'violent_wind', severity: 'moderate', peak: 55 }),
+                // Not merged with the first heat wave: the day before stays below 35°C
+                expect.objectContaining({ type: 'heat_wave', onset: `${dateIn(4)}T00:00` }),
+            ]);
+        });
+
+        test('should translate alert titles', async () => {
+            const res = await request(app)
+                .get('/api/alerts?lat=43.9493&lon=4.8055&lang=fr')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.alerts[0]).toMatchObject({
+                title: 'Canicule',
+                severity_label: 'Sévère',
+            });
+        });
+
+        test('should still answer when the air quality forecast fails', async () => {
+            axios.get.mockImplementation((url, { params }) => {
+                if (url.includes('air-quality')) {
+                    return params.hourly
+                        ? Promise.reject(new Error('Network Error'))
+                        : Promise.resolve(mockAirQualityResponse);
+                }
+                return Promise.resolve(params.current ? mockWeatherResponse : mockForecastResponse);
+            });
+
+            const res = await request(app)
+                .get('/api/alerts?lat=45.1885&lon=5.7245')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.count).toBe(4);
+        });
+
+        test('should return 500 when the forecast is unavailable', async () => {
+            axios.get.mockRejectedValue({ response: { status: 502 } });
+
+            const res = await request(app)
+                .get('/api/alerts?lat=47.322&lon=5.0415')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(500);
+            expect(res.body.error).toBe('Internal Server Error');
+        });
+
+        test('should return 400 without coordinates', async () => {
+            const res = await request(app)
+                .get('/api/alerts?lon=5.04')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,235 @@
+const request = require('supertest');
+
+jest.mock('axios');
+const axios = require('axios');
+
+// Mock logger to prevent file writes during tests
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    http: jest.fn(),
+    logHTTP: jest.fn(),
+    security: {
+        attack: jest.fn(),
+        ban: jest.fn(),
+        unban: jest.fn(),
+        suspicious: jest.fn(),
+        rateLimit: jest.fn(),
+    },
+}));
+
+jest.mock('fs', () => {
+    const actualFs = jest.requireActual('fs');
+    return {
+        ...actualFs,
+        promises: {
+            readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+            writeFile: jest.fn().mockResolvedValue(undefined),
+        },
+    };
+});
+
+const app = require('../../src/server');
+
+const marseille = {
+    lat: '43.2965',
+    lon: '5.3698',
+    class: 'boundary',
+    type: 'administrative',
+    importance: 0.7,
+    display_name: 'Marseille, Bouches-du-Rhône, France',
+    address: { city: 'Marseille', country: 'France', country_code: 'fr' },
+};
+
+// Nominatim for place names, Open-Meteo style payloads for everything else
+const mockUpstreams = () =>
+    axios.get.mockImplementation(url => {
+        if (url.startsWith('http://nominatim.test')) return Promise.resolve({ data: [marseille] });
+        if (url.includes('air-quality')) {
+            return Promise.resolve({ data: { current: { pm10: 15, pm2_5: 8, us_aqi: 42 } } });
+        }
+        if (url.includes('currentuvindex')) return Promise.resolve({ data: { now: { uvi: 5 } } });
+        return Promise.resolve({
+            data: {
+                current: {
+                    temperature_2m: 22.5,
+                    relative_humidity_2m: 65,
+                    precipitation: 0,
+                    weather_code: 1,
+                    wind_speed_10m: 12,
+                },
+                daily: {
+                    time: ['2026-01-25'],
+                    temperature_2m_max: [20],
+                    temperature_2m_min: [10],
+                    relative_humidity_2m_mean: [70],
+                    precipitation_sum: [0],
+                    weather_code: [1],
+                    wind_speed_10m_max: [15],
+                    uv_index_max: [2.5],
+                },
+            },
+        });
+    });
+
+describe('Geocoding API Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('GET /api/geocode', () => {
+        test('should return matching places', async () => {
+            axios.get.mockResolvedValue({
+                data: [
+                    {
+                        lat: '43.2965',
+                        lon: '5.3698',
+                        class: 'boundary',
+                        type: 'administrative',
+                        display_name: 'Marseille, Bouches-du-Rhône, France',
+                        address: { city: 'Marseille', country: 'France', country_code: 'fr' },
+                    },
+                ],
+            });
+
+            const res = await request(app)
+                .get('/api/geocode?q=Marseille&lang=fr')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(axios.get.mock.calls[0][0]).toBe('http://nominatim.test/search');
+            expect(res.body.places).toEqual([
+                expect.objectContaining({ name: 'Marseille', lat: 43.2965, lon: 5.3698 }),
+            ]);
+        });
+
+        test('should return 400 without a query', async () => {
+            const res = await request(app).get('/api/geocode?q=').set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+
+        test('should return 500 when the upstream API fails', async () => {
+            axios.get.mockRejectedValue({ response: { status: 503 }, message: 'Unavailable' });
+
+            const res = await request(app)
+                .get('/api/geocode?q=Toulon')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(500);
+            expect(res.body.message).toBe('Geocoding service error: 503');
+        });
+    });
+
+    describe('GET /api/reverse-geocode', () => {
+        test('should return the place at coordinates', async () => {
+            axios.get.mockResolvedValue({
+                data: {
+                    lat: '43.2965',
+                    lon: '5.3698',
+                    display_name: 'Marseille, France',
+                    address: { city: 'Marseille', country: 'France' },
+                },
+            });
+
+            const res = await request(app)
+                .get('/api/reverse-geocode?lat=43.2965&lon=5.3698')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.place.name).toBe('Marseille');
+        });
+
+        test('should return 404 when no place is found', async () => {
+            axios.get.mockResolvedValue({ data: { error: 'Unable to geocode' } });
+
+            const res = await request(app)
+                .get('/api/reverse-geocode?lat=0&lon=-30')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(404);
+        });
+
+        test('should return 400 with invalid coordinates', async () => {
+            const res = await request(app)
+                .get('/api/reverse-geocode?lat=91&lon=0')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('Weather lookup by place name', () => {
+        beforeEach(mockUpstreams);
+
+        test('should resolve q= and echo the place in the location block', async () => {
+            const res = await request(app)
+                .get('/api/weather?q=Marseille')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.location).toMatchObject({
+                lat: 43.2965,
+                lon: 5.3698,
+                name: 'Marseille',
+                country: 'France',
+                country_code: 'fr',
+            });
+            expect(res.body).toHaveProperty('weather');
+        });
+
+        test('should resolve city= with a country code on the forecast', async () => {
+            const res = await request(app)
+                .get('/api/forecast?city=Marseille&country=FR')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.location.name).toBe('Marseille');
+            expect(res.body.forecast.days).toHaveLength(1);
+
+            const nominatimCall = axios.get.mock.calls.find(([url]) =>
+                url.startsWith('http://nominatim.test')
+            );
+            expect(nominatimCall[1].params).toMatchObject({ q: 'Marseille', countrycodes: 'fr' });
+        });
+
+        test('should combine city= with a country name', async () => {
+            await request(app)
+                .get('/api/weather?city=Marseille&country=France')
+                .set('User-Agent', 'TestAgent');
+
+            const nominatimCall = axios.get.mock.calls.find(([url]) =>
+                url.startsWith('http://nominatim.test')
+            );
+            expect(nominatimCall[1].params.q).toBe('Marseille, France');
+        });
+
+        test('should return 404 when no place matches', async () => {
+            axios.get.mockResolvedValue({ data: [] });
+
+            const res = await request(app)
+                .get('/api/weather?q=Atlantis')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('Not Found');
+        });
+
+        test('should return 400 when mixing coordinates and a place name', async () => {
+            const res = await request(app)
+                .get('/api/weather?q=Marseille&lat=43.3&lon=5.4')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+
+        test('should return 400 with a country but no city', async () => {
+            const res = await request(app)
+                .get('/api/forecast?lat=43.3&lon=5.4&country=FR')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+    });
+});
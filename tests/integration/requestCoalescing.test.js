@@ -0,0 +1,131 @@
+const request = require('supertest');
+
+jest.mock('axios');
+const axios = require('axios');
+
+// Mock logger to prevent file writes during tests
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    http: jest.fn(),
+    logHTTP: jest.fn(),
+    security: {
+        attack: jest.fn(),
+        ban: jest.fn(),
+        unban: jest.fn(),
+        suspicious: jest.fn(),
+        rateLimit: jest.fn(),
+    },
+}));
+
+jest.mock('fs', () => {
+    const actualFs = jest.requireActual('fs');
+    return {
+        ...actualFs,
+        promises: {
+            readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+            writeFile: jest.fn().mockResolvedValue(undefined),
+        },
+    };
+});
+
+const app = require('../../src/server');
+const cache = require('../../src/utils/cache');
+
+const mockHourlyForecastResponse = {
+    data: {
+        hourly: {
+            time: ['2026-01-25T10:00'],
+            temperature_2m: [14.2],
+            precipitation_probability: [10],
+            precipitation: [0],
+            weather_code: [2],
+            wind_speed_10m: [8],
+            relative_humidity_2m: [70],
+            uv_index: [1.5],
+            is_day: [1],
+        },
+    },
+};
+
+const mockHistoryResponse = {
+    data: {
+        daily: {
+            time: ['2025-06-01', '2025-06-02'],
+            temperature_2m_max: [27.4, 29.1],
+            temperature_2m_min: [15.2, 16.8],
+            temperature_2m_mean: [21.1, 22.9],
+            precipitation_sum: [0, 1.2],
+            weather_code: [0, 80],
+            wind_speed_10m_max: [14, 18],
+        },
+    },
+};
+
+// Let every request reach the cache before the upstream answers
+async function waitForCoalesced(count) {
+    while (cache.getCoalescingStats().coalesced < count) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('Request coalescing', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should send one upstream call for concurrent requests on a location', async () => {
+        let resolveUpstream;
+        axios.get.mockReturnValue(new Promise(resolve => (resolveUpstream = resolve)));
+
+        const pending = Promise.all(
+            Array.from({ length: 10 }, () =>
+                request(app)
+                    .get('/api/forecast/hourly?lat=50.6292&lon=3.0573')
+                    .set('User-Agent', 'TestAgent')
+            )
+        );
+
+        await waitForCoalesced(9);
+        resolveUpstream(mockHourlyForecastResponse);
+        const responses = await pending;
+
+        expect(responses.map(res => res.status)).toEqual(Array(10).fill(200));
+        expect(responses[9].body.forecast.hours[0].temperature).toBe(14.2);
+        expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should send one archive call for concurrent history requests', async () => {
+        let resolveUpstream;
+        axios.get.mockReturnValue(new Promise(resolve => (resolveUpstream = resolve)));
+
+        const pending = Promise.all(
+            Array.from({ length: 5 }, () =>
+                request(app)
+                    .get('/api/history?lat=47.2184&lon=-1.5536&start=2025-06-01&end=2025-06-02')
+                    .set('User-Agent', 'TestAgent')
+            )
+        );
+
+        await waitForCoalesced(9 + 4);
+        resolveUpstream(mockHistoryResponse);
+        const responses = await pending;
+
+        expect(responses.map(res => res.status)).toEqual(Array(5).fill(200));
+        expect(responses[4].body.history.days[1].temp_max).toBe(29.1);
+        expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report the calls saved on /health', async () => {
+        const res = await request(app).get('/health').set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(200);
+        expect(res.body.cache).toEqual({
+            fetches: 2,
+            coalesced: 13,
+            in_flight: 0,
+            saved_ratio: 0.867,
+        });
+    });
+});
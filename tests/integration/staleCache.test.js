@@ -0,0 +1,165 @@
+const request = require('supertest');
+
+jest.mock('axios');
+const axios = require('axios');
+
+// Mock logger to prevent file writes during tests
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    http: jest.fn(),
+    logHTTP: jest.fn(),
+    security: {
+        attack: jest.fn(),
+        ban: jest.fn(),
+        unban: jest.fn(),
+        suspicious: jest.fn(),
+        rateLimit: jest.fn(),
+    },
+}));
+
+jest.mock('fs', () => {
+    const actualFs = jest.requireActual('fs');
+    return {
+        ...actualFs,
+        promises: {
+            readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+            writeFile: jest.fn().mockResolvedValue(undefined),
+        },
+    };
+});
+
+const app = require('../../src/server');
+
+const mockWeatherResponse = {
+    data: {
+        current: {
+            temperature_2m: 18.5,
+            relative_humidity_2m: 60,
+            precipitation: 0,
+            weather_code: 1,
+            wind_speed_10m: 9,
+            is_day: 1,
+        },
+        daily: {
+            sunrise: ['2026-01-25T08:30'],
+            sunset: ['2026-01-25T17:35'],
+            daylight_duration: [32700],
+        },
+        timezone: 'Europe/Paris',
+        timezone_abbreviation: 'GMT+1',
+        utc_offset_seconds: 3600,
+    },
+};
+
+const mockHourlyForecastResponse = {
+    data: {
+        hourly: {
+            time: ['2026-01-25T10:00'],
+            temperature_2m: [14.2],
+            precipitation_probability: [10],
+            precipitation: [0],
+            weather_code: [2],
+            wind_speed_10m: [8],
+            relative_humidity_2m: [70],
+            uv_index: [1.5],
+            is_day: [1],
+        },
+    },
+};
+
+function mockUpstreamsUp() {
+    axios.get.mockImplementation((url, config) => {
+        if (url.includes('air-quality')) {
+            return Promise.resolve({ data: { current: { pm10: 15, pm2_5: 8, us_aqi: 42 } } });
+        }
+        if (url.includes('open-meteo')) {
+            return Promise.resolve(
+                config.params.hourly ? mockHourlyForecastResponse : mockWeatherResponse
+            );
+        }
+        return Promise.resolve({ data: { now: { uvi: 5 } } });
+    });
+}
+
+function mockUpstreamsDown() {
+    axios.get.mockRejectedValue({ response: { status: 503 }, message: 'Service Unavailable' });
+}
+
+describe('Stale cache fallback', () => {
+    let offset;
+
+    // Move the clock forward past the cache TTL
+    const advanceClock = seconds => {
+        offset += seconds * 1000;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        offset = 0;
+        const realNow = Date.now.bind(Date);
+        jest.spyOn(Date, 'now').mockImplementation(() => realNow() + offset);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should serve the last weather flagged stale when every upstream is down', async () => {
+        mockUpstreamsUp();
+        const fresh = await request(app)
+            .get('/api/weather?lat=44.8378&lon=-0.5792')
+            .set('User-Agent', 'TestAgent');
+
+        expect(fresh.status).toBe(200);
+        expect(fresh.body.source.stale).toBeUndefined();
+
+        mockUpstreamsDown();
+        advanceClock(30);
+
+        const res = await request(app)
+            .get('/api/weather?lat=44.8378&lon=-0.5792')
+            .set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(200);
+        expect(res.body.weather.temperature).toBe(18.5);
+        expect(res.body.location.timezone).toBe('Europe/Paris');
+        expect(res.body.source).toMatchObject({
+            providers: ['open-meteo'],
+            degraded: true,
+            stale: true,
+            age: 30,
+        });
+        expect(res.body.uv).toMatchObject({ uv_index: 5, stale: true, age: 30 });
+        expect(res.body.air_quality).toMatchObject({ aqi: 42, stale: true, age: 30 });
+    });
+
+    test('should serve a stale forecast after its one hour TTL', async () => {
+        mockUpstreamsUp();
+        await request(app)
+            .get('/api/forecast/hourly?lat=45.7640&lon=4.8357')
+            .set('User-Agent', 'TestAgent');
+
+        mockUpstreamsDown();
+        advanceClock(3700);
+
+        const res = await request(app)
+            .get('/api/forecast/hourly?lat=45.7640&lon=4.8357')
+            .set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(200);
+        expect(res.body.forecast).toMatchObject({ stale: true, age: 3700 });
+        expect(res.body.forecast.hours[0].temperature).toBe(14.2);
+    });
+
+    test('should answer 500 when nothing was cached for the location', async () => {
+        mockUpstreamsDown();
+
+        const res = await request(app)
+            .get('/api/forecast/hourly?lat=43.2965&lon=5.3698')
+            .set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(500);
+    });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+
+// Mock logger to prevent file writes during tests
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    http: jest.fn(),
+    logHTTP: jest.fn(),
+    security: {
+        attack: jest.fn(),
+        ban: jest.fn(),
+        unban: jest.fn(),
+        suspicious: jest.fn(),
+        rateLimit: jest.fn(),
+    },
+}));
+
+jest.mock('fs', () => {
+    const actualFs = jest.requireActual('fs');
+    return {
+        ...actualFs,
+        promises: {
+            readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+            writeFile: jest.fn().mockResolvedValue(undefined),
+            mkdir: jest.fn().mockResolvedValue(undefined),
+        },
+    };
+});
+
+const app = require('../../src/server');
+
+const newSubscription = {
+    lat: 43.5297,
+    lon: 5.4474,
+    callback_url: 'https://hooks.example.com/weather',
+    label: 'Vineyard',
+    conditions: { types: ['storm', 'violent_wind'], min_severity: 'severe' },
+};
+
+describe('Subscription Routes', () => {
+    describe('Without authentication configured', () => {
+        beforeAll(() => {
+            delete process.env.DASHBOARD_USERNAME;
+            delete process.env.DASHBOARD_PASSWORD;
+        });
+
+        test('should create, list, pause, resume and delete a subscription', async () => {
+            const created = await request(app)
+                .post('/api/subscriptions?lang=fr')
+                .set('User-Agent', 'TestAgent')
+                .send(newSubscription);
+
+            expect(created.status).toBe(201);
+            expect(created.body.subscription).toMatchObject({
+                label: 'Vineyard',
+                location: { lat: 43.5297, lon: 5.4474 },
+                callback_url: 'https://hooks.example.com/weather',
+                conditions: { types: ['storm', 'violent_wind'], min_severity: 'severe' },
+                lang: 'fr',
+                paused: false,
+                last_delivery: null,
+            });
+            expect(created.body.subscription.secret).toBeDefined();
+
+            const { id } = created.body.subscription;
+
+            const list = await request(app)
+                .get('/api/subscriptions')
+                .set('User-Agent', 'TestAgent');
+            expect(list.body.count).toBe(1);
+            expect(list.body.subscriptions[0]).not.toHaveProperty('secret');
+
+            const paused = await request(app)
+                .post(`/api/subscriptions/${id}/pause`)
+                .set('User-Agent', 'TestAgent');
+            expect(paused.body.subscription.paused).toBe(true);
+
+            const resumed = await request(app)
+                .post(`/api/subscriptions/${id}/resume`)
+                .set('User-Agent', 'TestAgent');
+            expect(resumed.body.subscription.paused).toBe(false);
+
+            const detail = await request(app)
+                .get(`/api/subscriptions/${id}`)
+                .set('User-Agent', 'TestAgent');
+            expect(detail.body.subscription.deliveries).toEqual([]);
+
+            const deleted = await request(app)
+                .delete(`/api/subscriptions/${id}`)
+                .set('User-Agent', 'TestAgent');
+            expect(deleted.status).toBe(204);
+
+            const gone = await request(app)
+                .get(`/api/subscriptions/${id}`)
+                .set('User-Agent', 'TestAgent');
+            expect(gone.status).toBe(404);
+        });
+
+        test('should notify every alert type by default', async () => {
+            const res = await request(app)
+                .post('/api/subscriptions')
+                .set('User-Agent', 'TestAgent')
+                .send({ lat: 45.764, lon: 4.8357, callback_url: 'http://localhost:8080/hook' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.subscription.conditions).toEqual({
+                types: ['heat_wave', 'frost', 'storm', 'violent_wind', 'hazardous_air'],
+                min_severity: 'moderate',
+            });
+        });
+
+        test('should return 400 with an invalid callback URL or condition', async () => {
+            const url = await request(app)
+                .post('/api/subscriptions')
+                .set('User-Agent', 'TestAgent')
+                .send({ ...newSubscription, callback_url: 'ftp://hooks.example.com' });
+            const type = await request(app)
+                .post('/api/subscriptions')
+                .set('User-Agent', 'TestAgent')
+                .send({ ...newSubscription, conditions: { types: ['tornado'] } });
+            const coords = await request(app)
+                .post('/api/subscriptions')
+                .set('User-Agent', 'TestAgent')
+                .send({ ...newSubscription, lat: 95 });
+
+            expect(url.status).toBe(400);
+            expect(type.status).toBe(400);
+            expect(type.body.errors[0].msg).toMatch(/Unknown alert types: tornado/);
+            expect(coords.status).toBe(400);
+        });
+
+        test('should return 400 with a malformed id', async () => {
+            const res = await request(app)
+                .delete('/api/subscriptions/not-an-id')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('With authentication configured', () => {
+        beforeAll(() => {
+            process.env.DASHBOARD_USERNAME = 'admin';
+            process.env.DASHBOARD_PASSWORD = 'testpass123';
+        });
+
+        afterAll(() => {
+            delete process.env.DASHBOARD_USERNAME;
+            delete process.env.DASHBOARD_PASSWORD;
+        });
+
+        test('should require credentials', async () => {
+            const res = await request(app)
+                .post('/api/subscriptions')
+                .set('User-Agent', 'TestAgent')
+                .send(newSubscription);
+
+            expect(res.status).toBe(401);
+        });
+
+        test('should accept valid credentials', async () => {
+            const res = await request(app)
+                .get('/api/subscriptions')
+                .set('User-Agent', 'TestAgent')
+                .auth('admin', 'testpass123');
+
+            expect(res.status).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const request = require('supertest');
+
+jest.mock('axios');
+const axios = require('axios');
+
+// Mock logger to prevent file writes during tests
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    http: jest.fn(),
+    logHTTP: jest.fn(),
+    security: {
+        attack: jest.fn(),
+        ban: jest.fn(),
+        unban: jest.fn(),
+        suspicious: jest.fn(),
+        rateLimit: jest.fn(),
+    },
+}));
+
+jest.mock('fs', () => {
+    const actualFs = jest.requireActual('fs');
+    return {
+        ...actualFs,
+        promises: {
+            readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+            writeFile: jest.fn().mockResolvedValue(undefined),
+        },
+    };
+});
+
+const app = require('../../src/server');
+
+const mockMetNorwayResponse = {
+    data: {
+        properties: {
+            timeseries: [
+                {
+                    data: {
+                        instant: {
+                            details: { air_temperature: 17, relative_humidity: 80, wind_speed: 4 },
+                        },
+                        next_1_hours: {
+                            summary: { symbol_code: 'cloudy' },
+                            details: { precipitation_amount: 0 },
+                        },
+                    },
+                },
+            ],
+        },
+    },
+};
+
+const mockAirQualityResponse = {
+    data: { current: { pm10: 18, pm2_5: 9, us_aqi: 55, european_aqi: 35 } },
+};
+
+// Open-Meteo forecast API down, every other upstream up
+function mockOpenMeteoOutage() {
+    axios.get.mockImplementation(url => {
+        if (url.startsWith('https://api.open-meteo.com')) {
+            return Promise.reject({ response: { status: 503 }, message: 'Service Unavailable' });
+        }
+        if (url.includes('api.met.no')) return Promise.resolve(mockMetNorwayResponse);
+        if (url.includes('air-quality')) return Promise.resolve(mockAirQualityResponse);
+        return Promise.resolve({ data: { now: { uvi: 3 } } });
+    });
+}
+
+const openMeteoCalls = () =>
+    axios.get.mock.calls.filter(([url]) => url.startsWith('https://api.open-meteo.com')).length;
+
+describe('Upstream resilience', () => {
+    beforeAll(() => {
+        mockOpenMeteoOutage();
+    });
+
+    test('should retry a failing upstream before giving up', async () => {
+        const res = await request(app)
+            .get('/api/forecast/hourly?lat=48.1173&lon=-1.6778')
+            .set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(500);
+        expect(res.body.message).toBe('Forecast service error: 503');
+        // First attempt + 2 retries
+        expect(openMeteoCalls()).toBe(3);
+    });
+
+    test('should open the circuit and stop calling the upstream', async () => {
+        // One failure per request: the fifth failed request opens the circuit
+        for (const lat of [49.4431, 49.1829, 48.3904, 47.2184]) {
+            await request(app)
+                .get(`/api/forecast/hourly?lat=${lat}&lon=1.0993`)
+                .set('User-Agent', 'TestAgent');
+        }
+        expect(openMeteoCalls()).toBe(15);
+
+        const res = await request(app)
+            .get('/api/forecast/hourly?lat=47.3941&lon=0.6848')
+            .set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(500);
+        expect(res.body.message).toBe(
+            'Forecast service temporarily unavailable - please try again later'
+        );
+        expect(openMeteoCalls()).toBe(15);
+    });
+
+    test('should serve the weather from the fallback provider meanwhile', async () => {
+        const res = await request(app)
+            .get('/api/weather?lat=47.9029&lon=1.9093')
+            .set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(200);
+        expect(res.body.weather.temperature).toBe(17);
+        expect(res.body.source).toMatchObject({ providers: ['met-norway'], degraded: true });
+        expect(openMeteoCalls()).toBe(15);
+    });
+
+    test('should expose the circuit states on /health', async () => {
+        const res = await request(app).get('/health').set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(200);
+        expect(res.body.upstreams['open-meteo']).toMatchObject({
+            state: 'open',
+            failures: 5,
+            opened_at: expect.any(String),
+            retry_at: expect.any(String),
+        });
+        expect(res.body.upstreams['met-norway']).toMatchObject({ state: 'closed', failures: 0 });
+    });
+});
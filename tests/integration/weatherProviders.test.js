@@ -0,0 +1,203 @@
+const http = require('http');
+const request = require('supertest');
+
+// Mock logger to prevent file writes during tests
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    http: jest.fn(),
+    logHTTP: jest.fn(),
+    security: {
+        attack: jest.fn(),
+        ban: jest.fn(),
+        unban: jest.fn(),
+        suspicious: jest.fn(),
+        rateLimit: jest.fn(),
+    },
+}));
+
+jest.mock('fs', () => {
+    const actualFs = jest.requireActual('fs');
+    return {
+        ...actualFs,
+        promises: {
+            readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+            writeFile: jest.fn().mockResolvedValue(undefined),
+        },
+    };
+});
+
+const app = require('../../src/server');
+const weatherService = require('../../src/services/weatherService');
+const openMeteoService = require('../../src/services/openMeteoService');
+const uvIndexService = require('../../src/services/uvIndexService');
+const airQualityService = require('../../src/services/airQualityService');
+const metNorwayProvider = require('../../src/services/providers/metNorwayProvider');
+
+// Local stand-ins for the upstream APIs, reached over HTTP through the adapters' base URLs
+const STUB_RESPONSES = {
+    '/open-meteo': {
+        timezone: 'Europe/Paris',
+        utc_offset_seconds: 7200,
+        current: {
+            temperature_2m: 20,
+            relative_humidity_2m: 60,
+            precipitation: 0,
+            weather_code: 3,
+            wind_speed_10m: 10,
+            is_day: 1,
+        },
+    },
+    '/met-norway': {
+        properties: {
+            timeseries: [
+                {
+                    data: {
+                        instant: {
+                            details: { air_temperature: 23, relative_humidity: 70, wind_speed: 5 },
+                        },
+                        next_1_hours: {
+                            summary: { symbol_code: 'rain' },
+                            details: { precipitation_amount: 1 },
+                        },
+                    },
+                },
+            ],
+        },
+    },
+    '/uv': { now: { uvi: 5 } },
+    '/air-quality': { current: { pm10: 18, pm2_5: 9, us_aqi: 55, european_aqi: 35 } },
+};
+
+describe('Multi-provider weather', () => {
+    let stub;
+    let failing;
+    let originalURLs;
+
+    beforeAll(done => {
+        stub = http.createServer((req, res) => {
+            const path = req.url.split('?')[0];
+
+            if (failing.has(path) || !STUB_RESPONSES[path]) {
+                res.writeHead(503).end();
+                return;
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(STUB_RESPONSES[path]));
+        });
+
+        stub.listen(0, () => {
+            const base = `http://127.0.0.1:${stub.address().port}`;
+
+            originalURLs = [
+                openMeteoService.baseURL,
+                metNorwayProvider.baseURL,
+                uvIndexService.baseURL,
+                airQualityService.baseURL,
+            ];
+            openMeteoService.baseURL = `${base}/open-meteo`;
+            metNorwayProvider.baseURL = `${base}/met-norway`;
+            uvIndexService.baseURL = `${base}/uv`;
+            airQualityService.baseURL = `${base}/air-quality`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        [
+            openMeteoService.baseURL,
+            metNorwayProvider.baseURL,
+            uvIndexService.baseURL,
+            airQualityService.baseURL,
+        ] = originalURLs;
+        weatherService.configure();
+        stub.close(done);
+    });
+
+    beforeEach(() => {
+        failing = new Set();
+        weatherService.configure({
+            providers: ['open-meteo', 'met-norway'],
+            strategy: 'median',
+            weights: {},
+        });
+    });
+
+    test('should combine the providers in /api/weather', async () => {
+        const res = await request(app)
+            .get('/api/weather?lat=46.2044&lon=6.1432')
+            .set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(200);
+        expect(res.body.weather).toMatchObject({
+            temperature: 21.5,
+            humidity: 65,
+            precipitation: 0.5,
+            wind_speed: 14,
+            // Categorical value of the first provider
+            weather_code: 3,
+        });
+        expect(res.body.location.timezone).toBe('Europe/Paris');
+        expect(res.body.uv.uv_index).toBe(5);
+        expect(res.body.source).toEqual({
+            strategy: 'median',
+            providers: ['open-meteo', 'met-norway'],
+            failed: [],
+            degraded: false,
+        });
+        expect(res.body.weather.source).toBeUndefined();
+    });
+
+    test('should apply provider weights', async () => {
+        weatherService.configure({
+            providers: ['open-meteo', 'met-norway'],
+            strategy: 'weighted',
+            weights: { 'met-norway': 2 },
+        });
+
+        const res = await request(app)
+            .get('/api/weather?lat=47.3769&lon=8.5417')
+            .set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(200);
+        // (20 + 23 * 2) / 3
+        expect(res.body.weather.temperature).toBe(22);
+    });
+
+    test('should fall back to the next provider when the primary fails', async () => {
+        failing.add('/open-meteo');
+        weatherService.configure({ providers: ['open-meteo', 'met-norway'], strategy: 'primary' });
+
+        const res = await request(app)
+            .get('/api/weather?lat=46.5197&lon=6.6323')
+            .set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(200);
+        expect(res.body.weather).toMatchObject({ temperature: 23, weather_code: 63 });
+        expect(res.body.location).toMatchObject({
+            timezone: null,
+            utc_offset: null,
+            utc_offset_seconds: null,
+            local_time: null,
+        });
+        expect(res.body.source).toEqual({
+            strategy: 'primary',
+            providers: ['met-norway'],
+            failed: ['open-meteo'],
+            degraded: true,
+        });
+    });
+
+    test('should answer 500 when every provider fails', async () => {
+        failing.add('/open-meteo').add('/met-norway');
+
+        const res = await request(app)
+            .get('/api/weather?lat=45.1885&lon=5.7245')
+            .set('User-Agent', 'TestAgent');
+
+        expect(res.status).toBe(500);
+        expect(res.body.message).toBe('Weather service error: 503');
+    });
+});
@@ -40,7 +40,16 @@ const mockWeatherResponse = {
             precipitation: 0,
             weather_code: 1,
             wind_speed_10m: 12,
+            is_day: 1,
         },
+        daily: {
+            sunrise: ['2026-01-25T08:30'],
+            sunset: ['2026-01-25T17:35'],
+            daylight_duration: [32700],
+        },
+        timezone: 'Europe/Paris',
+        timezone_abbreviation: 'GMT+1',
+        utc_offset_seconds: 3600,
     },
 };
 
@@ -66,9 +75,41 @@ const mockForecastResponse = {
             time: ['2026-01-25', '2026-01-26', '2026-01-27'],
             temperature_2m_max: [20, 22, 18],
             temperature_2m_min: [10, 12, 8],
+            relative_humidity_2m_mean: [70, 85, 60],
             precipitation_sum: [0, 5, 0],
             weather_code: [1, 61, 0],
             wind_speed_10m_max: [15, 25, 10],
+            uv_index_max: [2.5, 1.2, 3.1],
+        },
+    },
+};
+
+const mockHourlyForecastResponse = {
+    data: {
+        hourly: {
+            time: ['2026-01-25T10:00', '2026-01-25T11:00'],
+            temperature_2m: [14.2, 15.1],
+            precipitation_probability: [10, 35],
+            precipitation: [0, 0.4],
+            weather_code: [2, 61],
+            wind_speed_10m: [8, 11],
+            relative_humidity_2m: [70, 74],
+            uv_index: [1.5, 2.1],
+            is_day: [1, 1],
+        },
+    },
+};
+
+const mockHistoryResponse = {
+    data: {
+        daily: {
+            time: ['2025-06-01', '2025-06-02'],
+            temperature_2m_max: [27.4, 29.1],
+            temperature_2m_min: [15.2, 16.8],
+            temperature_2m_mean: [21.1, 22.9],
+            precipitation_sum: [0, 1.2],
+            weather_code: [0, 80],
+            wind_speed_10m_max: [14, 18],
         },
     },
 };
@@ -99,6 +140,32 @@ describe('Weather API Routes', () => {
             expect(res.body.location.lat).toBe(48.8566);
         });
 
+        test('should include local context in the location and comfort metrics in the weather', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.8566&lon=2.3522')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.location).toMatchObject({
+                timezone: 'Europe/Paris',
+                utc_offset: '+01:00',
+                utc_offset_seconds: 3600,
+                is_day: true,
+                sunrise: '2026-01-25T08:30',
+                sunset: '2026-01-25T17:35',
+                daylight_duration: 32700,
+            });
+            expect(res.body.location.local_time).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/);
+            expect(res.body.location.moon_phase).toHaveProperty('illumination');
+            expect(res.body.location.moon_phase.name).toEqual(expect.any(String));
+            expect(res.body.weather).not.toHaveProperty('local');
+            expect(res.body.weather).toMatchObject({
+                feels_like: 22.5,
+                heat_index: 22.5,
+                wind_chill: 22.5,
+                dew_point: 15.6,
+            });
+        });
+
         test('should return 400 without coordinates', async () => {
             const res = await request(app).get('/api/weather').set('User-Agent', 'TestAgent');
 
@@ -122,6 +189,144 @@ describe('Weather API Routes', () => {
             expect(res.status).toBe(400);
         });
 
+        test('should default to metric units', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.8566&lon=2.3522')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.units.system).toBe('metric');
+            expect(res.body.weather.temperature).toBe(22.5);
+        });
+
+        test('should convert to imperial units while keeping metric recommendations', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=47.2184&lon=-1.5536&units=imperial')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.units).toMatchObject({ system: 'imperial', temperature: '°F' });
+            expect(res.body.weather.temperature).toBe(72.5);
+            expect(res.body.weather.wind_speed).toBe(7.5);
+            // 22.5 °C is within the 18-25 °C ideal range, 72.5 °F is not
+            expect(res.body.recommendations.map(rec => rec.code)).toContain('ideal_conditions');
+        });
+
+        test('should default to English labels and recommendations', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.8566&lon=2.3522')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.lang).toBe('en');
+            expect(res.body.weather.conditions).toBe('Mainly clear');
+            expect(res.body.uv).toMatchObject({ risk_code: 'moderate', risk_level: 'Moderate' });
+            expect(res.body.recommendations).toContainEqual({
+                code: 'ideal_conditions',
+                category: 'comfort',
+                severity: 'positive',
+                message: 'Ideal weather conditions for outdoor activities',
+            });
+        });
+
+        test('should localize labels and recommendations with ?lang=', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.8566&lon=2.3522&lang=fr')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.lang).toBe('fr');
+            expect(res.body.weather.conditions).toBe('Plutôt dégagé');
+            expect(res.body.uv.risk_level).toBe('Modéré');
+            expect(res.body.air_quality).toMatchObject({ quality_code: 'good', quality: 'Bonne' });
+            expect(res.body.recommendations.map(rec => rec.message)).toEqual([
+                'Index UV modéré : Protection solaire recommandée',
+                'Conditions météo idéales pour les activités extérieures',
+            ]);
+        });
+
+        test('should return structured recommendations with code, category and severity', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.8566&lon=2.3522')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.recommendations[0]).toEqual({
+                code: 'uv_moderate',
+                category: 'uv',
+                severity: 'info',
+                message: 'Moderate UV index: sun protection recommended',
+            });
+        });
+
+        test('should return legacy strings with recommendation_format=text', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.8566&lon=2.3522&lang=fr&recommendation_format=text')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.recommendations).toEqual([
+                'Index UV modéré : Protection solaire recommandée',
+                '[+] Conditions météo idéales pour les activités extérieures',
+            ]);
+        });
+
+        test('should return activity recommendations and score with ?profile=', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.8566&lon=2.3522&profile=running')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.recommendations.map(rec => rec.code)).toEqual(['running_warm']);
+            expect(res.body.activity).toMatchObject({ profile: 'running', score: 93 });
+        });
+
+        test('should not include an activity block without a profile', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.8566&lon=2.3522')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body).not.toHaveProperty('activity');
+        });
+
+        test('should return 400 with an unknown profile', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.85&lon=2.35&profile=skydiving')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors[0].msg).toMatch(/profile must be one of: running/);
+        });
+
+        test('should return 400 with an unknown recommendation format', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.85&lon=2.35&recommendation_format=html')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+
+        test('should fall back to the Accept-Language header', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.8566&lon=2.3522')
+                .set('User-Agent', 'TestAgent')
+                .set('Accept-Language', 'de-DE,de;q=0.9,en;q=0.5');
+
+            expect(res.body.lang).toBe('de');
+            expect(res.body.weather.conditions).toBe('Überwiegend klar');
+        });
+
+        test('should return 400 with an unsupported language', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.85&lon=2.35&lang=it')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+
+        test('should return 400 with an unknown unit system', async () => {
+            const res = await request(app)
+                .get('/api/weather?lat=48.85&lon=2.35&units=kelvin')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+
         test('should return 400 with non-numeric coordinates', async () => {
             const res = await request(app)
                 .get('/api/weather?lat=abc&lon=def')
@@ -131,6 +336,113 @@ describe('Weather API Routes', () => {
         });
     });
 
+    describe('POST /api/weather/batch', () => {
+        test('should return the aggregated weather for each location', async () => {
+            const res = await request(app)
+                .post('/api/weather/batch?lang=fr')
+                .set('User-Agent', 'TestAgent')
+                .send({
+                    locations: [
+                        { lat: 48.8566, lon: 2.3522, label: 'Paris' },
+                        { lat: 45.764, lon: 4.8357, label: 'Lyon' },
+                    ],
+                });
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ count: 2, failed: 0, lang: 'fr' });
+            expect(res.body.results[0]).toMatchObject({
+                label: 'Paris',
+                status: 'ok',
+                location: { lat: 48.8566, lon: 2.3522 },
+            });
+            expect(res.body.results[1].label).toBe('Lyon');
+            expect(res.body.results[1]).toHaveProperty('weather');
+            expect(res.body.results[1]).toHaveProperty('uv');
+            expect(res.body.results[1]).toHaveProperty('air_quality');
+            expect(res.body.results[1]).toHaveProperty('recommendations');
+        });
+
+        test('should report invalid locations without failing the batch', async () => {
+            const res = await request(app)
+                .post('/api/weather/batch')
+                .set('User-Agent', 'TestAgent')
+                .send({
+                    locations: [
+                        { lat: 48.8566, lon: 2.3522 },
+                        { lat: 120, lon: 2.3522, label: 'Nowhere' },
+                    ],
+                });
+
+            expect(res.status).toBe(200);
+            expect(res.body.failed).toBe(1);
+            expect(res.body.results[0]).toMatchObject({ label: null, status: 'ok' });
+            expect(res.body.results[1]).toMatchObject({
+                label: 'Nowhere',
+                status: 'error',
+                error: 'Validation Error',
+            });
+        });
+
+        test('should report upstream failures per location', async () => {
+            axios.get.mockImplementation((url, { params }) => {
+                if (params.latitude === 44.8378) return Promise.reject(new Error('Network Error'));
+                if (url.includes('air-quality')) return Promise.resolve(mockAirQualityResponse);
+                if (url.includes('currentuvindex')) return Promise.resolve(mockUVResponse);
+                return Promise.resolve(mockWeatherResponse);
+            });
+
+            const res = await request(app)
+                .post('/api/weather/batch')
+                .set('User-Agent', 'TestAgent')
+                .send({
+                    locations: [
+                        { lat: 48.1, lon: 2.1 },
+                        { lat: 44.8378, lon: -0.5792 },
+                    ],
+                });
+
+            expect(res.status).toBe(200);
+            expect(res.body.results[0].status).toBe('ok');
+            expect(res.body.results[1]).toMatchObject({
+                status: 'error',
+                location: { lat: 44.8378, lon: -0.5792 },
+                error: 'Internal Server Error',
+            });
+        });
+
+        test('should fetch duplicate coordinates only once', async () => {
+            const res = await request(app)
+                .post('/api/weather/batch')
+                .set('User-Agent', 'TestAgent')
+                .send({
+                    locations: [
+                        { lat: 50.1, lon: 3.1, label: 'A' },
+                        { lat: 50.1, lon: 3.1, label: 'B' },
+                    ],
+                });
+
+            expect(res.status).toBe(200);
+            expect(res.body.results.map(result => result.label)).toEqual(['A', 'B']);
+            // Retries of the previous test's failing location may still be in flight
+            const calls = axios.get.mock.calls.filter(([, { params }]) => params.latitude === 50.1);
+            expect(calls).toHaveLength(3);
+        });
+
+        test('should return 400 without locations or with too many', async () => {
+            const empty = await request(app)
+                .post('/api/weather/batch')
+                .set('User-Agent', 'TestAgent')
+                .send({ locations: [] });
+            const tooMany = await request(app)
+                .post('/api/weather/batch')
+                .set('User-Agent', 'TestAgent')
+                .send({ locations: Array.from({ length: 26 }, () => ({ lat: 1, lon: 1 })) });
+
+            expect(empty.status).toBe(400);
+            expect(tooMany.status).toBe(400);
+        });
+    });
+
     describe('GET /api/forecast', () => {
         beforeEach(() => {
             axios.get.mockResolvedValue(mockForecastResponse);
@@ -152,6 +464,256 @@ describe('Weather API Routes', () => {
 
             expect(res.status).toBe(400);
         });
+
+        test('should estimate comfort metrics for each day', async () => {
+            const res = await request(app)
+                .get('/api/forecast?lat=48.8566&lon=2.3522')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.forecast.days[0]).toMatchObject({
+                humidity_mean: 70,
+                feels_like_max: 20,
+                feels_like_min: 7.9,
+                heat_index_max: 20,
+                wind_chill_min: 7.9,
+                dew_point: 9.6,
+            });
+        });
+
+        test('should forward days and selected fields to Open-Meteo', async () => {
+            axios.get.mockResolvedValue({
+                data: {
+                    daily: {
+                        time: ['2026-01-25'],
+                        temperature_2m_max: [20],
+                        sunrise: ['2026-01-25T08:01'],
+                    },
+                },
+            });
+
+            const res = await request(app)
+                .get('/api/forecast?lat=43.2965&lon=5.3698&days=10&fields=sunrise,temp_max')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(axios.get.mock.calls[0][1].params).toMatchObject({
+                forecast_days: 10,
+                daily: 'temperature_2m_max,sunrise',
+            });
+            expect(res.body.forecast.days[0]).toEqual({
+                date: '2026-01-25',
+                temp_max: 20,
+                sunrise: '2026-01-25T08:01',
+            });
+        });
+
+        test('should not serve a cached forecast of a different shape', async () => {
+            await request(app)
+                .get('/api/forecast?lat=43.6047&lon=1.4442&days=3')
+                .set('User-Agent', 'TestAgent');
+            await request(app)
+                .get('/api/forecast?lat=43.6047&lon=1.4442&days=5')
+                .set('User-Agent', 'TestAgent');
+
+            const forecastCalls = axios.get.mock.calls.filter(
+                ([url]) => !url.includes('air-quality')
+            );
+            expect(forecastCalls).toHaveLength(2);
+        });
+
+        test('should convert forecast days to the requested units', async () => {
+            const res = await request(app)
+                .get('/api/forecast?lat=50.6292&lon=3.0573&units=si')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.units.temperature).toBe('K');
+            expect(res.body.forecast.days[0].temp_max).toBe(293.2);
+            expect(res.body.forecast.days[1].wind_speed_max).toBe(6.9);
+        });
+
+        test('should localize forecast conditions', async () => {
+            const res = await request(app)
+                .get('/api/forecast?lat=48.8566&lon=2.3522&lang=es')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.body.forecast.days[1].conditions).toBe('Lluvia ligera');
+        });
+
+        test('should return 400 with an out-of-range days value', async () => {
+            const res = await request(app)
+                .get('/api/forecast?lat=48.85&lon=2.35&days=17')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+
+        test('should return 400 with an unknown field', async () => {
+            const res = await request(app)
+                .get('/api/forecast?lat=48.85&lon=2.35&fields=temp_max,pressure')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors[0].msg).toMatch(/Unknown fields: pressure/);
+        });
+    });
+
+    describe('GET /api/forecast/hourly', () => {
+        beforeEach(() => {
+            axios.get.mockResolvedValue(mockHourlyForecastResponse);
+        });
+
+        test('should return hourly entries with described conditions', async () => {
+            const res = await request(app)
+                .get('/api/forecast/hourly?lat=45.764&lon=4.8357')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(res.body.forecast.hours).toHaveLength(2);
+            expect(res.body.forecast.hours[1]).toEqual({
+                time: '2026-01-25T11:00',
+                temperature: 15.1,
+                precipitation_probability: 35,
+                precipitation: 0.4,
+                humidity: 74,
+                wind_speed: 11,
+                uv_index: 2.1,
+                is_day: true,
+                weather_code: 61,
+                conditions: 'Slight rain',
+                feels_like: 15.1,
+                heat_index: 15.1,
+                wind_chill: 15.1,
+                dew_point: 10.5,
+            });
+        });
+
+        test('should request the given number of hours from Open-Meteo', async () => {
+            await request(app)
+                .get('/api/forecast/hourly?lat=45.75&lon=4.85&hours=12')
+                .set('User-Agent', 'TestAgent');
+
+            expect(axios.get.mock.calls[0][1].params.forecast_hours).toBe(12);
+        });
+
+        test('should return 400 with an out-of-range hours value', async () => {
+            const res = await request(app)
+                .get('/api/forecast/hourly?lat=45.75&lon=4.85&hours=500')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+
+        test('should return 500 when the upstream API fails', async () => {
+            axios.get.mockRejectedValue({ code: 'ECONNABORTED', message: 'timeout' });
+
+            const res = await request(app)
+                .get('/api/forecast/hourly?lat=44.8378&lon=-0.5792')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(500);
+            expect(res.body.message).toBe('Forecast service timeout - please try again');
+        });
+    });
+
+    describe('GET /api/history', () => {
+        beforeEach(() => {
+            axios.get.mockResolvedValue(mockHistoryResponse);
+        });
+
+        test('should return observed days for the requested range', async () => {
+            const res = await request(app)
+                .get('/api/history?lat=43.5297&lon=5.4474&start=2025-06-01&end=2025-06-02')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(axios.get.mock.calls[0][0]).toContain('archive');
+            expect(axios.get.mock.calls[0][1].params).toMatchObject({
+                start_date: '2025-06-01',
+                end_date: '2025-06-02',
+            });
+            expect(res.body.history.days).toHaveLength(2);
+            expect(res.body.history.days[1]).toMatchObject({
+                date: '2025-06-02',
+                temp_mean: 22.9,
+                conditions: 'Slight rain showers',
+            });
+        });
+
+        test('should return 400 when dates are missing or malformed', async () => {
+            const missing = await request(app)
+                .get('/api/history?lat=43.5&lon=5.4&start=2025-06-01')
+                .set('User-Agent', 'TestAgent');
+            const malformed = await request(app)
+                .get('/api/history?lat=43.5&lon=5.4&start=01/06/2025&end=2025-06-07')
+                .set('User-Agent', 'TestAgent');
+
+            expect(missing.status).toBe(400);
+            expect(malformed.status).toBe(400);
+        });
+
+        test('should return 400 when end is before start', async () => {
+            const res = await request(app)
+                .get('/api/history?lat=43.5&lon=5.4&start=2025-06-07&end=2025-06-01')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors[0].msg).toBe('end must be on or after start');
+        });
+
+        test('should return 400 when the range is in the future or too long', async () => {
+            const future = await request(app)
+                .get('/api/history?lat=43.5&lon=5.4&start=2025-06-01&end=2999-01-01')
+                .set('User-Agent', 'TestAgent');
+            const tooLong = await request(app)
+                .get('/api/history?lat=43.5&lon=5.4&start=2020-01-01&end=2025-01-01')
+                .set('User-Agent', 'TestAgent');
+
+            expect(future.status).toBe(400);
+            expect(tooLong.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/best-window', () => {
+        beforeEach(() => {
+            axios.get.mockResolvedValue(mockHourlyForecastResponse);
+        });
+
+        test('should return ranked windows for an activity', async () => {
+            const res = await request(app)
+                .get('/api/best-window?lat=43.7102&lon=7.262&activity=running&duration=1h')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(200);
+            expect(axios.get.mock.calls[0][1].params.forecast_hours).toBe(48);
+            expect(res.body).toMatchObject({ activity: 'running', duration_hours: 1 });
+            expect(res.body.windows[0]).toMatchObject({
+                start: '2026-01-25T10:00',
+                end: '2026-01-25T11:00',
+                score: 100,
+            });
+            expect(res.body.windows[0].explanation[0].code).toBe('running_good');
+        });
+
+        test('should return 400 without an activity', async () => {
+            const res = await request(app)
+                .get('/api/best-window?lat=43.71&lon=7.26')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+        });
+
+        test('should return 400 with an invalid duration', async () => {
+            const res = await request(app)
+                .get('/api/best-window?lat=43.71&lon=7.26&activity=beach&duration=2days')
+                .set('User-Agent', 'TestAgent');
+            const tooLong = await request(app)
+                .get('/api/best-window?lat=43.71&lon=7.26&activity=beach&duration=24h')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+            expect(tooLong.status).toBe(400);
+        });
     });
 
     describe('GET /health', () => {
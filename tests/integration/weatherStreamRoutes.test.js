@@ -0,0 +1,227 @@
+const http = require('http');
+const request = require('supertest');
+
+jest.mock('axios');
+const axios = require('axios');
+
+// Mock logger to prevent file writes during tests
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    http: jest.fn(),
+    logHTTP: jest.fn(),
+    security: {
+        attack: jest.fn(),
+        ban: jest.fn(),
+        unban: jest.fn(),
+        suspicious: jest.fn(),
+        rateLimit: jest.fn(),
+    },
+}));
+
+jest.mock('fs', () => {
+    const actualFs = jest.requireActual('fs');
+    return {
+        ...actualFs,
+        promises: {
+            readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+            writeFile: jest.fn().mockResolvedValue(undefined),
+        },
+    };
+});
+
+const app = require('../../src/server');
+const weatherStreamService = require('../../src/services/weatherStreamService');
+const { analytics } = require('../../src/security/monitoring/analytics');
+
+const mockWeatherResponse = {
+    data: {
+        current: {
+            temperature_2m: 22.5,
+            relative_humidity_2m: 65,
+            precipitation: 0,
+            weather_code: 1,
+            wind_speed_10m: 12,
+        },
+    },
+};
+
+const mockAirQualityResponse = {
+    data: { current: { pm10: 18, pm2_5: 9, us_aqi: 55, european_aqi: 35 } },
+};
+
+/**
+ * Open a stream on the test server
+ * Resolves with the response once the headers are received
+ */
+function openStream(port, path) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ port, path, headers: { 'User-Agent': 'TestAgent' } }, res => {
+            res.setEncoding('utf8');
+            resolve({ req, res });
+        });
+        req.on('error', error => {
+            if (error.code !== 'ECONNRESET') reject(error);
+        });
+    });
+}
+
+/**
+ * Read the stream until the first event of a type
+ * @returns {Promise<Object>} Parsed event data
+ */
+function nextEvent(res, type) {
+    return new Promise(resolve => {
+        let buffer = '';
+        res.on('data', chunk => {
+            buffer += chunk;
+            const match = buffer.match(new RegExp(`event: ${type}\\ndata: (.*)\\n\\n`));
+            if (match) resolve(JSON.parse(match[1]));
+        });
+    });
+}
+
+/**
+ * Close streams and wait for the server to release them
+ */
+async function closeStreams(streams) {
+    streams.forEach(({ req }) => req.destroy());
+    while (weatherStreamService.getStats().clients > 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('Weather Stream API', () => {
+    let server;
+    let port;
+
+    beforeAll(done => {
+        server = app.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        axios.get.mockImplementation(url => {
+            if (url.includes('air-quality')) return Promise.resolve(mockAirQualityResponse);
+            if (url.includes('currentuvindex'))
+                return Promise.resolve({ data: { now: { uvi: 4 } } });
+            return Promise.resolve(mockWeatherResponse);
+        });
+    });
+
+    describe('GET /api/weather/stream', () => {
+        test('should push the aggregated weather as Server-Sent Events', async () => {
+            const stream = await openStream(port, '/api/weather/stream?lat=44.8378&lon=-0.5792');
+
+            expect(stream.res.statusCode).toBe(200);
+            expect(stream.res.headers['content-type']).toMatch(/text\/event-stream/);
+            expect(stream.res.headers['cache-control']).toMatch(/no-cache/);
+
+            const data = await nextEvent(stream.res, 'weather');
+
+            expect(data.location).toMatchObject({ lat: 44.8378, lon: -0.5792 });
+            expect(data.weather.temperature).toBe(22.5);
+            expect(data.uv.uv_index).toBe(4);
+            expect(data.air_quality.aqi).toBe(55);
+            expect(data.lang).toBe('en');
+
+            await closeStreams([stream]);
+            expect(weatherStreamService.getStats()).toEqual({ locations: 0, clients: 0 });
+        });
+
+        test('should share the upstream refresh between clients of a location', async () => {
+            const path = '/api/weather/stream?lat=50.6292&lon=3.0573';
+            const first = await openStream(port, path);
+            await nextEvent(first.res, 'weather');
+            const callsAfterFirst = axios.get.mock.calls.length;
+
+            const second = await openStream(port, `${path}&lang=fr`);
+            const data = await nextEvent(second.res, 'weather');
+
+            // The second client is served from the running loop, in its own language
+            expect(data.lang).toBe('fr');
+            expect(axios.get.mock.calls.length).toBe(callsAfterFirst);
+            expect(weatherStreamService.getStats()).toEqual({ locations: 1, clients: 2 });
+
+            await closeStreams([first, second]);
+        });
+
+        test('should not subscribe a client that left during geocoding', async () => {
+            let resolveSearch;
+            let searching;
+            const searchStarted = new Promise(resolve => (searching = resolve));
+            axios.get.mockImplementation(url => {
+                if (!url.startsWith('http://nominatim.test')) {
+                    return Promise.resolve(mockWeatherResponse);
+                }
+                searching();
+                return new Promise(resolve => (resolveSearch = resolve));
+            });
+
+            const req = http.get({
+                port,
+                path: '/api/weather/stream?q=Toulouse',
+                headers: { 'User-Agent': 'TestAgent' },
+            });
+            req.on('error', () => {});
+
+            await searchStarted;
+            req.destroy();
+            // Let the server see the disconnection before the place is resolved
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            resolveSearch({
+                data: [
+                    {
+                        lat: '43.6047',
+                        lon: '1.4442',
+                        class: 'boundary',
+                        type: 'administrative',
+                        importance: 0.7,
+                        address: { city: 'Toulouse', country: 'France', country_code: 'fr' },
+                    },
+                ],
+            });
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            expect(weatherStreamService.getStats()).toEqual({ locations: 0, clients: 0 });
+        });
+
+        test('should reject invalid coordinates before opening the stream', async () => {
+            const res = await request(app)
+                .get('/api/weather/stream?lat=91&lon=5.45')
+                .set('User-Agent', 'TestAgent');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Validation Error');
+        });
+
+        test('should limit simultaneous streams per client', async () => {
+            const streams = [];
+            for (let i = 0; i < 5; i++) {
+                streams.push(await openStream(port, '/api/weather/stream?lat=48.5734&lon=7.7521'));
+            }
+
+            const suspicious = analytics.metrics.requests.suspicious;
+            const refused = await openStream(port, '/api/weather/stream?lat=48.5734&lon=7.7521');
+            expect(refused.res.statusCode).toBe(429);
+            refused.res.resume();
+
+            await closeStreams(streams);
+            expect(analytics.metrics.requests.suspicious).toBe(suspicious);
+
+            // Released streams free their slot
+            const stream = await openStream(port, '/api/weather/stream?lat=48.5734&lon=7.7521');
+            expect(stream.res.statusCode).toBe(200);
+            await closeStreams([stream]);
+        });
+    });
+});
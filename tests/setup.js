@@ -12,6 +12,12 @@ process.env.PORT = '3001';
 process.env.CACHE_TTL = '5';
 process.env.API_TIMEOUT = '3000';
 process.env.LOG_LEVEL = 'silent';
+// Stand-in upstream: tests must never reach the public Nominatim instance
+process.env.NOMINATIM_URL = 'http://nominatim.test';
+// Upstream retries without backoff delay
+process.env.HTTP_RETRY_BASE_MS = '0';
+// No background refresh: upstream calls happen on cache misses only
+process.env.CACHE_REFRESH_AHEAD = '0';
 
 // Désactiver les logs en console pendant les tests
 jest.spyOn(console, 'log').mockImplementation(() => {});
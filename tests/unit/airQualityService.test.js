@@ -0,0 +1,236 @@
+jest.mock('axios');
+const axios = require('axios');
+
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const cache = require('../../src/utils/cache');
+const airQualityService = require('../../src/services/airQualityService');
+
+const mockAirQualityResponse = {
+    data: {
+        current: {
+            pm10: 18,
+            pm2_5: 9,
+            us_aqi: 55,
+            european_aqi: 35,
+            ozone: 96,
+            nitrogen_dioxide: 12.4,
+            sulphur_dioxide: 1.1,
+            carbon_monoxide: 180,
+            alder_pollen: 0,
+            birch_pollen: 2,
+            grass_pollen: 24,
+            mugwort_pollen: 0,
+            olive_pollen: 60,
+            ragweed_pollen: 0,
+        },
+    },
+};
+
+describe('Air Quality Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+        cache.flush();
+    });
+
+    describe('getAirQuality', () => {
+        test('should request pollutants and pollen in a single call', async () => {
+            axios.get.mockResolvedValue(mockAirQualityResponse);
+
+            await airQualityService.getAirQuality(43.53, 5.45);
+
+            const { current } = axios.get.mock.calls[0][1].params;
+            expect(current.split(',')).toEqual(
+                expect.arrayContaining([
+                    'us_aqi',
+                    'european_aqi',
+                    'ozone',
+                    'nitrogen_dioxide',
+                    'sulphur_dioxide',
+                    'carbon_monoxide',
+                    'birch_pollen',
+                    'grass_pollen',
+                    'olive_pollen',
+                    'ragweed_pollen',
+                ])
+            );
+        });
+
+        test('should keep the US AQI as canonical value and summarize pollen', async () => {
+            axios.get.mockResolvedValue(mockAirQualityResponse);
+
+            const airData = await airQualityService.getAirQuality(43.53, 5.45);
+
+            expect(airData).toMatchObject({
+                aqi: 55,
+                quality_code: 'moderate',
+                european_aqi: 35,
+                ozone: 96,
+                pollen: { grass: 24, olive: 60, level_code: 'high' },
+            });
+        });
+
+        test('should degrade gracefully when the API fails', async () => {
+            axios.get.mockRejectedValue(new Error('Network Error'));
+
+            const airData = await airQualityService.getAirQuality(43.53, 5.45);
+
+            expect(airData).toMatchObject({
+                aqi: null,
+                quality_code: 'unknown',
+                ozone: null,
+                pollen: { level_code: 'unknown' },
+            });
+        });
+    });
+
+    describe('getAirQualityForecast', () => {
+        const mockForecastResponse = {
+            data: {
+                hourly: {
+                    time: ['2026-05-10T12:00', '2026-05-10T13:00', '2026-05-11T12:00'],
+                    pm10: [20, 24, 12],
+                    pm2_5: [10, 14, 6],
+                    us_aqi: [48, 62, null],
+                    european_aqi: [30, 41, 22],
+                },
+            },
+        };
+
+        test('should return hourly values and daily peaks', async () => {
+            axios.get.mockResolvedValue(mockForecastResponse);
+
+            const forecast = await airQualityService.getAirQualityForecast(43.53, 5.45, 2);
+
+            expect(axios.get.mock.calls[0][1].params).toMatchObject({ forecast_days: 2 });
+            expect(forecast.hours[1]).toEqual({
+                time: '2026-05-10T13:00',
+                pm10: 24,
+                pm2_5: 14,
+                aqi: 62,
+                european_aqi: 41,
+            });
+            expect(forecast.days).toEqual([
+                { date: '2026-05-10', aqi_max: 62, european_aqi_max: 41 },
+                { date: '2026-05-11', aqi_max: null, european_aqi_max: 22 },
+            ]);
+        });
+
+        test('should throw a client-friendly error when the API fails', async () => {
+            axios.get.mockRejectedValue({ response: { status: 502 } });
+
+            await expect(airQualityService.getAirQualityForecast(43.53, 5.45)).rejects.toThrow(
+                'Air quality service error: 502'
+            );
+        });
+
+        test('should report an open circuit as temporarily unavailable', async () => {
+            const error = Object.assign(new Error('open'), { code: 'ECIRCUITOPEN' });
+            jest.spyOn(airQualityService.http, 'get').mockRejectedValue(error);
+
+            await expect(airQualityService.getAirQualityForecast(43.53, 5.45)).rejects.toThrow(
+                'Air quality service temporarily unavailable - please try again later'
+            );
+            expect(axios.get).not.toHaveBeenCalled();
+        });
+
+        test('should localize daily peaks on the requested scale', async () => {
+            axios.get.mockResolvedValue(mockForecastResponse);
+            const forecast = await airQualityService.getAirQualityForecast(43.53, 5.45, 2);
+
+            const localized = airQualityService.localizeForecast(forecast, 'fr', {
+                aqiScale: 'european',
+            });
+
+            expect(localized.aqi_scale).toBe('european');
+            expect(localized.hours[0].aqi).toBe(30);
+            expect(localized.days[0]).toEqual({
+                date: '2026-05-10',
+                aqi_max: 41,
+                quality_code: 'moderate',
+                quality: 'Moyenne',
+            });
+        });
+    });
+
+    describe('getPollenLevelCode', () => {
+        test('should use the highest level over all species', () => {
+            expect(airQualityService.getPollenLevelCode({ birch: 10, grass: 4 })).toBe('low');
+            expect(airQualityService.getPollenLevelCode({ birch: 10, grass: 5 })).toBe('moderate');
+            expect(airQualityService.getPollenLevelCode({ ragweed: 50 })).toBe('high');
+            expect(airQualityService.getPollenLevelCode({ birch: 1500 })).toBe('very_high');
+        });
+
+        test('should be unknown when no species is measured', () => {
+            expect(airQualityService.getPollenLevelCode({ birch: null, grass: null })).toBe(
+                'unknown'
+            );
+        });
+    });
+
+    describe('getEuropeanAirQualityCode', () => {
+        test('should follow the European AQI bands', () => {
+            expect(airQualityService.getEuropeanAirQualityCode(20)).toBe('good');
+            expect(airQualityService.getEuropeanAirQualityCode(35)).toBe('fair');
+            expect(airQualityService.getEuropeanAirQualityCode(60)).toBe('moderate');
+            expect(airQualityService.getEuropeanAirQualityCode(75)).toBe('poor');
+            expect(airQualityService.getEuropeanAirQualityCode(100)).toBe('very_poor');
+            expect(airQualityService.getEuropeanAirQualityCode(140)).toBe('extremely_poor');
+            expect(airQualityService.getEuropeanAirQualityCode(null)).toBe('unknown');
+        });
+    });
+
+    describe('localize', () => {
+        let airData;
+
+        beforeEach(async () => {
+            axios.get.mockResolvedValue(mockAirQualityResponse);
+            airData = await airQualityService.getAirQuality(43.53, 5.45);
+        });
+
+        test('should return only the base fields by default', () => {
+            expect(airQualityService.localize(airData, 'fr')).toEqual({
+                pm10: 18,
+                pm2_5: 9,
+                aqi: 55,
+                aqi_scale: 'us',
+                quality_code: 'moderate',
+                quality: 'Moyenne',
+            });
+        });
+
+        test('should switch to the European AQI scale', () => {
+            expect(
+                airQualityService.localize(airData, 'en', { aqiScale: 'european' })
+            ).toMatchObject({
+                aqi: 35,
+                aqi_scale: 'european',
+                quality_code: 'fair',
+                quality: 'Fair',
+            });
+        });
+
+        test('should include pollutants and localized pollen on request', () => {
+            const localized = airQualityService.localize(airData, 'fr', {
+                include: ['pollutants', 'pollen'],
+            });
+
+            expect(localized).toMatchObject({
+                ozone: 96,
+                nitrogen_dioxide: 12.4,
+                sulphur_dioxide: 1.1,
+                carbon_monoxide: 180,
+            });
+            expect(localized.pollen).toMatchObject({
+                olive: 60,
+                level_code: 'high',
+                level: 'Élevé',
+            });
+        });
+    });
+});
@@ -0,0 +1,169 @@
+jest.mock('fs', () => ({
+    promises: {
+        readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+        writeFile: jest.fn().mockResolvedValue(undefined),
+        mkdir: jest.fn().mockResolvedValue(undefined),
+    },
+}));
+
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const alertService = require('../../src/services/alertService');
+const webhookService = require('../../src/services/webhookService');
+const subscriptionManager = require('../../src/services/subscriptionManager');
+const alertScheduler = require('../../src/services/alertScheduler');
+
+const stormAlert = (severity = 'moderate') => ({
+    type: 'storm',
+    severity,
+    onset: '2026-06-02T00:00',
+    expiry: '2026-06-03T00:00',
+    period: { start: '2026-06-02', end: '2026-06-02', days: 1 },
+    peak: 95,
+});
+
+const frostAlert = {
+    ...stormAlert(),
+    type: 'frost',
+    peak: -1,
+};
+
+describe('Alert Scheduler', () => {
+    let subscription;
+
+    beforeEach(async () => {
+        jest.restoreAllMocks();
+        subscriptionManager.subscriptions.clear();
+
+        const { id } = await subscriptionManager.create({
+            lat: 43.53,
+            lon: 5.45,
+            callbackUrl: 'https://hooks.example.com/weather',
+            conditions: { types: ['storm'], min_severity: 'moderate' },
+            lang: 'en',
+        });
+        subscription = subscriptionManager.subscriptions.get(id);
+
+        jest.spyOn(alertService, 'getAlerts').mockResolvedValue({
+            timezone: 'Europe/Paris',
+            alerts: [stormAlert(), frostAlert],
+        });
+        jest.spyOn(webhookService, 'deliver').mockResolvedValue({
+            id: 'delivery',
+            status: 'delivered',
+        });
+    });
+
+    test('should send the alerts matching the subscription conditions', async () => {
+        await alertScheduler.runOnce();
+
+        expect(webhookService.deliver).toHaveBeenCalledWith(subscription, 'alerts.triggered', {
+            location: { lat: 43.53, lon: 5.45, timezone: 'Europe/Paris' },
+            alerts: [stormAlert()],
+        });
+        expect(subscription.deliveries[0]).toMatchObject({
+            status: 'delivered',
+            alerts: ['storm:2026-06-02'],
+        });
+        expect(subscription.notified).toEqual({
+            'storm:2026-06-02': { severity: 'moderate', start: '2026-06-02', end: '2026-06-02' },
+        });
+    });
+
+    test('should not send the same alert twice', async () => {
+        await alertScheduler.runOnce();
+        await alertScheduler.runOnce();
+
+        expect(webhookService.deliver).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not send an ongoing alert again the next day', async () => {
+        const heatWave = period => ({ ...stormAlert(), type: 'heat', period });
+        subscription.conditions.types = ['heat'];
+
+        alertService.getAlerts.mockResolvedValue({
+            timezone: 'UTC',
+            alerts: [heatWave({ start: '2026-06-02', end: '2026-06-04', days: 3 })],
+        });
+        await alertScheduler.runOnce();
+
+        // Past days drop out of the period
+        alertService.getAlerts.mockResolvedValue({
+            timezone: 'UTC',
+            alerts: [heatWave({ start: '2026-06-03', end: '2026-06-05', days: 3 })],
+        });
+        await alertScheduler.runOnce();
+
+        expect(webhookService.deliver).toHaveBeenCalledTimes(1);
+        expect(subscription.notified).toEqual({
+            'heat:2026-06-02': { severity: 'moderate', start: '2026-06-02', end: '2026-06-05' },
+        });
+    });
+
+    test('should send a later occurrence of the same alert type', async () => {
+        await alertScheduler.runOnce();
+        alertService.getAlerts.mockResolvedValue({
+            timezone: 'UTC',
+            alerts: [
+                stormAlert(),
+                { ...stormAlert(), period: { start: '2026-06-05', end: '2026-06-05', days: 1 } },
+            ],
+        });
+        await alertScheduler.runOnce();
+
+        expect(webhookService.deliver).toHaveBeenCalledTimes(2);
+        expect(subscription.deliveries[0].alerts).toEqual(['storm:2026-06-05']);
+    });
+
+    test('should send an alert again when it escalates', async () => {
+        await alertScheduler.runOnce();
+        alertService.getAlerts.mockResolvedValue({
+            timezone: 'UTC',
+            alerts: [stormAlert('extreme')],
+        });
+        await alertScheduler.runOnce();
+
+        expect(webhookService.deliver).toHaveBeenCalledTimes(2);
+        expect(webhookService.deliver.mock.calls[1][2].alerts[0].severity).toBe('extreme');
+    });
+
+    test('should retry a failed delivery at the next poll', async () => {
+        webhookService.deliver.mockResolvedValueOnce({ id: 'failed', status: 'failed' });
+
+        await alertScheduler.runOnce();
+        await alertScheduler.runOnce();
+
+        expect(webhookService.deliver).toHaveBeenCalledTimes(2);
+        expect(subscription.deliveries.map(delivery => delivery.status)).toEqual([
+            'delivered',
+            'failed',
+        ]);
+    });
+
+    test('should forget ended alerts', async () => {
+        await alertScheduler.runOnce();
+        alertService.getAlerts.mockResolvedValue({ timezone: 'UTC', alerts: [] });
+        await alertScheduler.runOnce();
+
+        expect(subscription.notified).toEqual({});
+    });
+
+    test('should skip paused subscriptions', async () => {
+        await subscriptionManager.setPaused(subscription.id, true);
+
+        await alertScheduler.runOnce();
+
+        expect(alertService.getAlerts).not.toHaveBeenCalled();
+    });
+
+    test('should keep polling other subscriptions when alerts are unavailable', async () => {
+        alertService.getAlerts.mockRejectedValue(new Error('Forecast service error: 502'));
+
+        await expect(alertScheduler.runOnce()).resolves.toBeUndefined();
+        expect(webhookService.deliver).not.toHaveBeenCalled();
+    });
+});
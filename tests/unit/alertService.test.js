@@ -0,0 +1,195 @@
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const alertService = require('../../src/services/alertService');
+const weatherService = require('../../src/services/weatherService');
+const forecastService = require('../../src/services/forecastService');
+const airQualityService = require('../../src/services/airQualityService');
+
+const calmDay = {
+    temp_max: 24,
+    temp_min: 12,
+    wind_speed_max: 20,
+    weather_code: 1,
+    aqi_max: 40,
+};
+
+const calmNow = { temperature: 20, wind_speed: 10, weather_code: 1, aqi: 30 };
+
+describe('Alert Service', () => {
+    describe('getAlerts', () => {
+        afterEach(() => {
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        test('should take the local time from the forecast', async () => {
+            jest.useFakeTimers({ now: new Date('2026-07-14T15:00:00Z') });
+            // Fallback provider without timezone data
+            jest.spyOn(weatherService, 'getWeather').mockResolvedValue({
+                ...calmNow,
+                weather_code: 96,
+                local: { timezone: null, utc_offset_seconds: null },
+            });
+            jest.spyOn(forecastService, 'getForecast').mockResolvedValue({
+                timezone: 'Pacific/Auckland',
+                utc_offset_seconds: 43200,
+                days: [{ date: '2026-07-15', ...calmDay }],
+            });
+            jest.spyOn(airQualityService, 'getAirQuality').mockResolvedValue({ aqi: 30 });
+            jest.spyOn(airQualityService, 'getAirQualityForecast').mockResolvedValue(null);
+
+            const { timezone, alerts } = await alertService.getAlerts(-36.85, 174.76);
+
+            expect(timezone).toBe('Pacific/Auckland');
+            expect(alerts).toEqual([
+                expect.objectContaining({
+                    type: 'storm',
+                    onset: '2026-07-15T03:00',
+                    period: { start: '2026-07-15', end: '2026-07-15', days: 1 },
+                }),
+            ]);
+        });
+    });
+
+    describe('evaluate', () => {
+        test('should return no alert in calm conditions', () => {
+            const alerts = alertService.evaluate({
+                now: '2026-07-14T15:00',
+                current: calmNow,
+                days: [{ date: '2026-07-14', ...calmDay }],
+            });
+
+            expect(alerts).toEqual([]);
+        });
+
+        test('should merge consecutive days into a single alert', () => {
+            const alerts = alertService.evaluate({
+                now: '2026-07-14T09:00',
+                current: calmNow,
+                days: [
+                    { date: '2026-07-14', ...calmDay },
+                    { date: '2026-07-15', ...calmDay, temp_max: 36 },
+                    { date: '2026-07-16', ...calmDay, temp_max: 39.5 },
+                    { date: '2026-07-17', ...calmDay, temp_max: 35 },
+                    { date: '2026-07-18', ...calmDay },
+                ],
+            });
+
+            expect(alerts).toEqual([
+                {
+                    type: 'heat_wave',
+                    severity: 'severe',
+                    onset: '2026-07-15T00:00',
+                    expiry: '2026-07-18T00:00',
+                    period: { start: '2026-07-15', end: '2026-07-17', days: 3 },
+                    peak: 39.5,
+                },
+            ]);
+        });
+
+        test('should split alerts separated by a calm day', () => {
+            const alerts = alertService.evaluate({
+                now: '2026-01-10T08:00',
+                current: calmNow,
+                days: [
+                    { date: '2026-01-10', ...calmDay, temp_min: -2 },
+                    { date: '2026-01-11', ...calmDay },
+                    { date: '2026-01-12', ...calmDay, temp_min: -11 },
+                ],
+            });
+
+            expect(
+                alerts.map(({ type, severity, period }) => [type, severity, period.start])
+            ).toEqual([
+                ['frost', 'moderate', '2026-01-10'],
+                ['frost', 'extreme', '2026-01-12'],
+            ]);
+        });
+
+        test('should start an alert from the current conditions', () => {
+            const alerts = alertService.evaluate({
+                now: '2026-06-02T16:30',
+                current: { ...calmNow, weather_code: 96 },
+                days: [
+                    { date: '2026-06-02', ...calmDay },
+                    { date: '2026-06-03', ...calmDay, weather_code: 95 },
+                ],
+            });
+
+            expect(alerts).toEqual([
+                expect.objectContaining({
+                    type: 'storm',
+                    severity: 'severe',
+                    onset: '2026-06-02T16:30',
+                    expiry: '2026-06-04T00:00',
+                    period: { start: '2026-06-02', end: '2026-06-03', days: 2 },
+                }),
+            ]);
+        });
+
+        test('should not count the current conditions twice for today', () => {
+            const [alert] = alertService.evaluate({
+                now: '2026-03-05T11:00',
+                current: { ...calmNow, wind_speed: 80 },
+                days: [{ date: '2026-03-05', ...calmDay, wind_speed_max: 60 }],
+            });
+
+            expect(alert).toMatchObject({
+                type: 'violent_wind',
+                severity: 'severe',
+                onset: '2026-03-05T00:00',
+                period: { days: 1 },
+                peak: 80,
+            });
+        });
+
+        test('should order alerts by onset, most severe first', () => {
+            const alerts = alertService.evaluate({
+                now: '2026-08-01T10:00',
+                current: calmNow,
+                days: [
+                    { date: '2026-08-01', ...calmDay },
+                    { date: '2026-08-02', ...calmDay, temp_max: 35, aqi_max: 220 },
+                ],
+            });
+
+            expect(alerts.map(alert => alert.type)).toEqual(['hazardous_air', 'heat_wave']);
+        });
+    });
+
+    describe('check', () => {
+        const [heatWave] = alertService.ALERT_RULES;
+
+        test('should return the highest severity reached', () => {
+            expect(alertService.check(heatWave, 34.9).severity).toBeNull();
+            expect(alertService.check(heatWave, 38).severity).toBe('severe');
+            expect(alertService.check(heatWave, 45).severity).toBe('extreme');
+        });
+
+        test('should ignore missing values', () => {
+            expect(alertService.check(heatWave, null)).toEqual({ severity: null, value: null });
+        });
+    });
+
+    describe('localize', () => {
+        test('should translate the title and severity', () => {
+            const alert = alertService.localize(
+                {
+                    type: 'heat_wave',
+                    severity: 'extreme',
+                    onset: '2026-07-15T00:00',
+                    expiry: '2026-07-16T00:00',
+                    period: { start: '2026-07-15', end: '2026-07-15', days: 1 },
+                    peak: 42,
+                },
+                'fr'
+            );
+
+            expect(alert).toMatchObject({ title: 'Canicule', severity_label: 'Extrême' });
+        });
+    });
+});
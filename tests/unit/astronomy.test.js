@@ -0,0 +1,47 @@
+const { getMoonPhase, formatUtcOffset, getLocalTime } = require('../../src/utils/astronomy');
+
+describe('Astronomy Utilities', () => {
+    describe('getMoonPhase', () => {
+        test('should find the new moon of the April 2024 solar eclipse', () => {
+            const phase = getMoonPhase(new Date('2024-04-08T18:21:00Z'));
+
+            expect(phase.code).toBe('new_moon');
+            expect(phase.illumination).toBe(0);
+        });
+
+        test('should find full moons and quarters', () => {
+            expect(getMoonPhase(new Date('2024-04-23T23:49:00Z'))).toMatchObject({
+                code: 'full_moon',
+                illumination: 100,
+            });
+            expect(getMoonPhase(new Date('2024-04-15T19:13:00Z')).code).toBe('first_quarter');
+            expect(getMoonPhase(new Date('2024-05-01T11:27:00Z')).code).toBe('last_quarter');
+        });
+
+        test('should handle dates before the reference new moon', () => {
+            const phase = getMoonPhase(new Date('1969-07-20T20:17:00Z'));
+
+            // Apollo 11 landed two days before the first quarter
+            expect(phase.age_days).toBeCloseTo(6, 0);
+            expect(phase.illumination).toBeLessThan(50);
+        });
+    });
+
+    describe('formatUtcOffset', () => {
+        test('should format positive, negative and half-hour offsets', () => {
+            expect(formatUtcOffset(7200)).toBe('+02:00');
+            expect(formatUtcOffset(0)).toBe('+00:00');
+            expect(formatUtcOffset(-34200)).toBe('-09:30');
+            expect(formatUtcOffset(19800)).toBe('+05:30');
+        });
+    });
+
+    describe('getLocalTime', () => {
+        test('should shift the instant to the local wall clock', () => {
+            const instant = new Date('2026-01-25T23:30:00Z');
+
+            expect(getLocalTime(3600, instant)).toBe('2026-01-26T00:30');
+            expect(getLocalTime(-18000, instant)).toBe('2026-01-25T18:30');
+        });
+    });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+jest.mock('../../src/services/forecastService', () => ({
+    getHourlyForecast: jest.fn(),
+}));
+
+jest.mock('../../src/services/airQualityService', () => ({
+    getAirQualityForecast: jest.fn(),
+}));
+
+const forecastService = require('../../src/services/forecastService');
+const airQualityService = require('../../src/services/airQualityService');
+const bestWindowService = require('../../src/services/bestWindowService');
+
+const hour = (index, wind_speed, is_day = true) => ({
+    time: `2026-01-25T0${index}:00`,
+    temperature: 18,
+    feels_like: 18,
+    precipitation: 0,
+    humidity: 60,
+    wind_speed,
+    uv_index: 2,
+    is_day,
+});
+
+describe('Best Window Service', () => {
+    beforeEach(() => {
+        forecastService.getHourlyForecast.mockResolvedValue({
+            hours: [
+                hour(0, 5, false),
+                hour(1, 5, false),
+                hour(2, 5),
+                hour(3, 5),
+                hour(4, 45),
+                hour(5, 45),
+                hour(6, 5),
+                hour(7, 5),
+            ],
+        });
+        airQualityService.getAirQualityForecast.mockResolvedValue({ hours: [], days: [] });
+    });
+
+    test('should scan the next 48 hours of the hourly forecast', async () => {
+        await bestWindowService.findBestWindows(43.5, 5.4, 'cycling', 2);
+
+        expect(forecastService.getHourlyForecast).toHaveBeenCalledWith(43.5, 5.4, 48);
+        expect(airQualityService.getAirQualityForecast).toHaveBeenCalledWith(43.5, 5.4, 3);
+    });
+
+    test('should rank non-overlapping daylight windows best first', async () => {
+        const { windows } = await bestWindowService.findBestWindows(43.5, 5.4, 'cycling', 2);
+
+        expect(windows.map(window => [window.start, window.end, window.score])).toEqual([
+            ['2026-01-25T02:00', '2026-01-25T04:00', 100],
+            ['2026-01-25T06:00', '2026-01-25T08:00', 100],
+            ['2026-01-25T04:00', '2026-01-25T06:00', 65],
+        ]);
+    });
+
+    test('should explain windows with the activity recommendations', async () => {
+        const { windows } = await bestWindowService.findBestWindows(43.5, 5.4, 'cycling', 2, {
+            lang: 'fr',
+        });
+
+        expect(windows[0].explanation.map(rec => rec.code)).toEqual(['cycling_good']);
+        expect(windows[2].explanation).toEqual([
+            {
+                code: 'cycling_wind_strong',
+                category: 'wind',
+                severity: 'danger',
+                message: 'Rafales dangereuses à vélo : reportez votre sortie',
+            },
+        ]);
+    });
+
+    test('should honor the limit and skip night hours', async () => {
+        const { windows } = await bestWindowService.findBestWindows(43.5, 5.4, 'cycling', 6, {
+            limit: 5,
+        });
+
+        expect(windows).toHaveLength(1);
+        expect(windows[0].start).toBe('2026-01-25T02:00');
+    });
+
+    test('should score the hourly air quality', async () => {
+        airQualityService.getAirQualityForecast.mockResolvedValue({
+            hours: [
+                { time: '2026-01-25T02:00', aqi: 160 },
+                { time: '2026-01-25T03:00', aqi: 160 },
+                { time: '2026-01-25T06:00', aqi: 30 },
+                { time: '2026-01-25T07:00', aqi: 30 },
+            ],
+        });
+
+        const { windows } = await bestWindowService.findBestWindows(43.5, 5.4, 'running', 2);
+
+        expect(windows[0].start).toBe('2026-01-25T06:00');
+        expect(windows.find(window => window.start === '2026-01-25T02:00')).toMatchObject({
+            score: 70,
+            explanation: [expect.objectContaining({ code: 'running_air_poor' })],
+        });
+    });
+
+    test('should rank windows without the air quality forecast', async () => {
+        airQualityService.getAirQualityForecast.mockRejectedValue(new Error('Upstream down'));
+
+        const { windows } = await bestWindowService.findBestWindows(43.5, 5.4, 'cycling', 2);
+
+        expect(windows[0]).toMatchObject({ start: '2026-01-25T02:00', score: 100 });
+    });
+
+    test('should flag windows computed from stale forecasts', async () => {
+        const { hours } = await forecastService.getHourlyForecast();
+        forecastService.getHourlyForecast.mockResolvedValue({ hours, stale: true, age: 120 });
+        airQualityService.getAirQualityForecast.mockResolvedValue({
+            hours: [],
+            stale: true,
+            age: 4000,
+        });
+
+        const result = await bestWindowService.findBestWindows(43.5, 5.4, 'cycling', 2);
+
+        expect(result).toMatchObject({ stale: true, age: 4000 });
+    });
+});
@@ -1,8 +1,15 @@
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
 const cache = require('../../src/utils/cache');
 
 describe('Cache Utility', () => {
     beforeEach(() => {
         cache.flush();
+        jest.restoreAllMocks();
     });
 
     describe('generateKey', () => {
@@ -24,6 +31,11 @@ describe('Cache Utility', () => {
             expect(key1).not.toBe(key2);
         });
 
+        test('should append request variants to the key', () => {
+            const key = cache.generateKey(43.5, 5.4, 'forecast', 10, 'temp_max,sunrise');
+            expect(key).toBe('forecast:43.5:5.4:10:temp_max,sunrise');
+        });
+
         test('should handle negative coordinates', () => {
             const key = cache.generateKey(-33.8688, 151.2093, 'weather');
             expect(key).toBe('weather:-33.8688:151.2093');
@@ -40,6 +52,14 @@ describe('Cache Utility', () => {
             expect(cache.get('test-key')).toEqual({ temp: 25 });
         });
 
+        test('should not return an expired value', () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+            cache.set('test-key', { temp: 25 }, 60);
+
+            now.mockReturnValue(1_000_000 + 60 * 1000);
+            expect(cache.get('test-key')).toBeUndefined();
+        });
+
         test('should delete a key', () => {
             cache.set('test-key', { temp: 25 });
             cache.del('test-key');
@@ -47,6 +67,170 @@ describe('Cache Utility', () => {
         });
     });
 
+    describe('getOrFetch', () => {
+        // Value cached with a 60 s TTL, then an upstream error 90 s later
+        const expireThenFail = async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+            await cache.getOrFetch('key', async () => ({ temp: 25 }), { ttl: 60 });
+
+            now.mockReturnValue(1_000_000 + 90 * 1000);
+            return cache.getOrFetch('key', () => Promise.reject(new Error('upstream down')), {
+                ttl: 60,
+            });
+        };
+
+        test('should fetch and cache on a miss', async () => {
+            const fetcher = jest.fn().mockResolvedValue({ temp: 25 });
+
+            expect(await cache.getOrFetch('key', fetcher)).toEqual({ temp: 25 });
+            expect(await cache.getOrFetch('key', fetcher)).toEqual({ temp: 25 });
+            expect(fetcher).toHaveBeenCalledTimes(1);
+        });
+
+        test('should compute the TTL from the value', async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+            const ttl = jest.fn(value => (value.degraded ? 1 : 60));
+
+            await cache.getOrFetch('key', async () => ({ degraded: true }), { ttl });
+            expect(ttl).toHaveBeenCalledWith({ degraded: true });
+
+            now.mockReturnValue(1_000_000 + 1000);
+            expect(cache.get('key')).toBeUndefined();
+        });
+
+        test('should fetch again once the value has expired', async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+            const fetcher = jest
+                .fn()
+                .mockResolvedValueOnce({ temp: 25 })
+                .mockResolvedValueOnce({ temp: 26 });
+
+            await cache.getOrFetch('key', fetcher, { ttl: 60 });
+            now.mockReturnValue(1_000_000 + 60 * 1000);
+
+            expect(await cache.getOrFetch('key', fetcher, { ttl: 60 })).toEqual({ temp: 26 });
+            expect(fetcher).toHaveBeenCalledTimes(2);
+        });
+
+        test('should serve the expired value flagged stale when the fetch fails', async () => {
+            expect(await expireThenFail()).toEqual({ temp: 25, stale: true, age: 90 });
+            // The entry itself is left untouched
+            expect(cache.get('key')).toBeUndefined();
+        });
+
+        test('should rethrow when there is no value to fall back on', async () => {
+            await expect(
+                cache.getOrFetch('key', () => Promise.reject(new Error('upstream down')))
+            ).rejects.toThrow('upstream down');
+        });
+
+        test('should rethrow once the grace period is over', async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+            await cache.getOrFetch('key', async () => ({ temp: 25 }), { ttl: 60 });
+
+            // node-cache drops the entry after TTL + CACHE_STALE_TTL
+            cache.del('key');
+            now.mockReturnValue(1_000_000 + (60 + cache.CACHE_STALE_TTL) * 1000);
+
+            await expect(
+                cache.getOrFetch('key', () => Promise.reject(new Error('upstream down')))
+            ).rejects.toThrow('upstream down');
+        });
+
+        test('should refresh in the background when close to expiry', async () => {
+            process.env.CACHE_REFRESH_AHEAD = '0.2';
+            let refreshAheadCache;
+            jest.isolateModules(() => {
+                refreshAheadCache = require('../../src/utils/cache');
+            });
+            process.env.CACHE_REFRESH_AHEAD = '0';
+
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+            let resolveRefresh;
+            const fetcher = jest
+                .fn()
+                .mockResolvedValueOnce({ temp: 25 })
+                .mockReturnValueOnce(new Promise(resolve => (resolveRefresh = resolve)));
+
+            await refreshAheadCache.getOrFetch('key', fetcher, { ttl: 60 });
+
+            // 50 s in, under 20% of the TTL left: the cached value is served right away
+            now.mockReturnValue(1_000_000 + 50 * 1000);
+            expect(await refreshAheadCache.getOrFetch('key', fetcher, { ttl: 60 })).toEqual({
+                temp: 25,
+            });
+            // A single refresh per key
+            await refreshAheadCache.getOrFetch('key', fetcher, { ttl: 60 });
+            expect(fetcher).toHaveBeenCalledTimes(2);
+
+            resolveRefresh({ temp: 26 });
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(refreshAheadCache.get('key')).toEqual({ temp: 26 });
+            refreshAheadCache.flush();
+        });
+    });
+
+    describe('single-flight fetches', () => {
+        test('should share one fetch between concurrent misses', async () => {
+            const before = cache.getCoalescingStats();
+            let resolveFetch;
+            const fetcher = jest.fn(() => new Promise(resolve => (resolveFetch = resolve)));
+
+            const pending = Promise.all(
+                Array.from({ length: 5 }, () => cache.getOrFetch('key', fetcher))
+            );
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(fetcher).toHaveBeenCalledTimes(1);
+            expect(cache.getCoalescingStats().in_flight).toBe(1);
+
+            resolveFetch({ temp: 25 });
+            expect(await pending).toEqual(Array(5).fill({ temp: 25 }));
+
+            const after = cache.getCoalescingStats();
+            expect(after.fetches - before.fetches).toBe(1);
+            expect(after.coalesced - before.coalesced).toBe(4);
+            expect(after.in_flight).toBe(0);
+        });
+
+        test('should share the error of a failed fetch', async () => {
+            const fetcher = jest.fn().mockRejectedValue(new Error('upstream down'));
+
+            const results = await Promise.allSettled([
+                cache.getOrFetch('key', fetcher),
+                cache.getOrFetch('key', fetcher),
+            ]);
+
+            expect(fetcher).toHaveBeenCalledTimes(1);
+            expect(results.map(result => result.reason.message)).toEqual([
+                'upstream down',
+                'upstream down',
+            ]);
+
+            // The next miss calls the upstream again
+            await expect(cache.getOrFetch('key', fetcher)).rejects.toThrow('upstream down');
+            expect(fetcher).toHaveBeenCalledTimes(2);
+        });
+
+        test('should not share fetches between keys', async () => {
+            const fetcher = jest.fn().mockResolvedValue({ temp: 25 });
+
+            await Promise.all([
+                cache.getOrFetch('key1', fetcher),
+                cache.getOrFetch('key2', fetcher),
+            ]);
+
+            expect(fetcher).toHaveBeenCalledTimes(2);
+        });
+
+        test('should report the share of misses saved', () => {
+            const { fetches, coalesced, saved_ratio } = cache.getCoalescingStats();
+
+            expect(saved_ratio).toBeCloseTo(coalesced / (fetches + coalesced), 3);
+        });
+    });
+
     describe('flush', () => {
         test('should clear all cached values', () => {
             cache.set('key1', 'val1');
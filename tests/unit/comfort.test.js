@@ -0,0 +1,70 @@
+const {
+    heatIndex,
+    windChill,
+    dewPoint,
+    feelsLike,
+    getComfortMetrics,
+} = require('../../src/utils/comfort');
+
+describe('Comfort Metrics', () => {
+    describe('heatIndex', () => {
+        test('should match the NWS heat index chart', () => {
+            // 90 °F / 60 % -> 100 °F
+            expect(heatIndex(32.2, 60)).toBeCloseTo(37.8, 0);
+            // 100 °F / 50 % -> 118 °F
+            expect(heatIndex(37.8, 50)).toBeCloseTo(47.8, 0);
+        });
+
+        test('should equal the air temperature below 27 °C', () => {
+            expect(heatIndex(20, 90)).toBe(20);
+        });
+    });
+
+    describe('windChill', () => {
+        test('should match the wind chill chart', () => {
+            // -10 °C with 30 km/h wind -> -20 °C
+            expect(windChill(-10, 30)).toBeCloseTo(-19.5, 0);
+        });
+
+        test('should equal the air temperature when warm or calm', () => {
+            expect(windChill(15, 40)).toBe(15);
+            expect(windChill(-5, 3)).toBe(-5);
+        });
+    });
+
+    describe('dewPoint', () => {
+        test('should compute the dew point', () => {
+            expect(dewPoint(25, 60)).toBeCloseTo(16.7, 0);
+            expect(dewPoint(20, 100)).toBe(20);
+        });
+
+        test('should return null without humidity', () => {
+            expect(dewPoint(20, null)).toBeNull();
+        });
+    });
+
+    describe('feelsLike', () => {
+        test('should use wind chill when cold', () => {
+            expect(feelsLike(2, 80, 40)).toBe(windChill(2, 40));
+        });
+
+        test('should use heat index when hot', () => {
+            expect(feelsLike(32, 60, 10)).toBe(heatIndex(32, 60));
+        });
+
+        test('should use the air temperature in between', () => {
+            expect(feelsLike(18.04, 50, 30)).toBe(18);
+        });
+    });
+
+    describe('getComfortMetrics', () => {
+        test('should return every metric', () => {
+            expect(getComfortMetrics(22.5, 65, 12)).toEqual({
+                feels_like: 22.5,
+                heat_index: 22.5,
+                wind_chill: 22.5,
+                dew_point: 15.6,
+            });
+        });
+    });
+});
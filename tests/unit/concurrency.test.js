@@ -0,0 +1,34 @@
+const { mapWithConcurrency } = require('../../src/utils/concurrency');
+
+describe('Concurrency Utilities', () => {
+    describe('mapWithConcurrency', () => {
+        test('should keep results in input order', async () => {
+            const delays = [30, 10, 20, 0];
+
+            const results = await mapWithConcurrency(delays, 2, async (delay, index) => {
+                await new Promise(resolve => setTimeout(resolve, delay));
+                return index;
+            });
+
+            expect(results).toEqual([0, 1, 2, 3]);
+        });
+
+        test('should never exceed the concurrency limit', async () => {
+            let inFlight = 0;
+            let maxInFlight = 0;
+
+            await mapWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                inFlight--;
+            });
+
+            expect(maxInFlight).toBe(3);
+        });
+
+        test('should handle an empty list', async () => {
+            await expect(mapWithConcurrency([], 4, async () => 1)).resolves.toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,152 @@
+jest.mock('axios');
+const axios = require('axios');
+
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const cache = require('../../src/utils/cache');
+const geocodingService = require('../../src/services/geocodingService');
+
+const result = (name, overrides = {}) => ({
+    lat: '45.7578',
+    lon: '4.8320',
+    class: 'place',
+    type: 'city',
+    importance: 0.5,
+    display_name: `${name}, Rhône, France`,
+    address: { city: name, state: 'Auvergne-Rhône-Alpes', country: 'France', country_code: 'fr' },
+    ...overrides,
+});
+
+describe('Geocoding Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        cache.flush();
+    });
+
+    describe('search', () => {
+        test('should query the configured Nominatim instance', async () => {
+            axios.get.mockResolvedValue({ data: [result('Lyon')] });
+
+            await geocodingService.search('Lyon', { lang: 'fr' });
+
+            expect(axios.get).toHaveBeenCalledWith(
+                'http://nominatim.test/search',
+                expect.objectContaining({
+                    params: expect.objectContaining({ q: 'Lyon', 'accept-language': 'fr' }),
+                })
+            );
+        });
+
+        test('should return normalized places', async () => {
+            axios.get.mockResolvedValue({ data: [result('Lyon')] });
+
+            const places = await geocodingService.search('Lyon');
+
+            expect(places).toEqual([
+                {
+                    name: 'Lyon',
+                    region: 'Auvergne-Rhône-Alpes',
+                    country: 'France',
+                    country_code: 'fr',
+                    lat: 45.7578,
+                    lon: 4.832,
+                    display_name: 'Lyon, Rhône, France',
+                },
+            ]);
+        });
+
+        test('should keep only inhabited places matching the query, biggest first', async () => {
+            axios.get.mockResolvedValue({
+                data: [
+                    result('Lyons', { importance: 0.3 }),
+                    result('Lyon', { importance: 0.8 }),
+                    result('Lyon Part-Dieu', { class: 'railway', type: 'station' }),
+                    result('Villeurbanne'),
+                    result('Lyon', { importance: 0.2 }),
+                ],
+            });
+
+            const places = await geocodingService.search('lyon');
+
+            expect(places.map(place => place.name)).toEqual(['Lyon', 'Lyons']);
+        });
+
+        test('should match the place name before a comma', async () => {
+            axios.get.mockResolvedValue({ data: [result('Lyon')] });
+
+            const places = await geocodingService.search('Lyon, France');
+
+            expect(places).toHaveLength(1);
+        });
+
+        test('should cache results', async () => {
+            axios.get.mockResolvedValue({ data: [result('Lyon')] });
+
+            await geocodingService.search('Lyon');
+            await geocodingService.search('lyon ');
+
+            expect(axios.get).toHaveBeenCalledTimes(1);
+        });
+
+        test('should throw a friendly error on timeout', async () => {
+            axios.get.mockRejectedValue({ code: 'ECONNABORTED', message: 'timeout' });
+
+            await expect(geocodingService.search('Lyon')).rejects.toThrow(
+                'Geocoding service timeout - please try again'
+            );
+        });
+    });
+
+    describe('resolvePlace', () => {
+        test('should return the best match for a free-form name', async () => {
+            axios.get.mockResolvedValue({ data: [result('Lyon')] });
+
+            const place = await geocodingService.resolvePlace({ q: 'Lyon' });
+
+            expect(place.name).toBe('Lyon');
+            expect(axios.get.mock.calls[0][1].params).not.toHaveProperty('countrycodes');
+        });
+
+        test('should restrict the search to a country code', async () => {
+            axios.get.mockResolvedValue({ data: [result('Lyon')] });
+
+            await geocodingService.resolvePlace({ city: 'Lyon', country: 'FR' });
+
+            expect(axios.get.mock.calls[0][1].params).toMatchObject({
+                q: 'Lyon',
+                countrycodes: 'fr',
+            });
+        });
+
+        test('should return null when nothing matches', async () => {
+            axios.get.mockResolvedValue({ data: [] });
+
+            expect(await geocodingService.resolvePlace({ q: 'Atlantis' })).toBeNull();
+        });
+    });
+
+    describe('reverse', () => {
+        test('should return the place at coordinates', async () => {
+            axios.get.mockResolvedValue({
+                data: result('Lyon', { address: { town: 'Lyon', country: 'France' } }),
+            });
+
+            const place = await geocodingService.reverse(45.7578, 4.832);
+
+            expect(axios.get.mock.calls[0][0]).toBe('http://nominatim.test/reverse');
+            expect(place).toMatchObject({ name: 'Lyon', country: 'France', region: null });
+        });
+
+        test('should return and cache null when nothing is there', async () => {
+            axios.get.mockResolvedValue({ data: { error: 'Unable to geocode' } });
+
+            expect(await geocodingService.reverse(0, -30)).toBeNull();
+            expect(await geocodingService.reverse(0, -30)).toBeNull();
+            expect(axios.get).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+jest.mock('axios');
+const axios = require('axios');
+
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const cache = require('../../src/utils/cache');
+const historyService = require('../../src/services/historyService');
+
+const historyResponse = (temperatureMax = [27.4, 29.1]) => ({
+    data: {
+        daily: {
+            time: ['2025-06-01', '2025-06-02'],
+            temperature_2m_max: temperatureMax,
+            temperature_2m_min: [15.2, 16.8],
+            temperature_2m_mean: [21.1, 22.9],
+            precipitation_sum: [0, 1.2],
+            weather_code: [0, 80],
+            wind_speed_10m_max: [14, 18],
+        },
+    },
+});
+
+describe('History Service', () => {
+    // Two hours after the first request
+    const later = () => {
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 2 * 3600 * 1000);
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+        cache.flush();
+    });
+
+    test('should keep a complete range cached', async () => {
+        axios.get.mockResolvedValue(historyResponse());
+
+        await historyService.getHistory(43.53, 5.45, '2025-06-01', '2025-06-02');
+        later();
+        const history = await historyService.getHistory(43.53, 5.45, '2025-06-01', '2025-06-02');
+
+        expect(history.days[1]).toMatchObject({ date: '2025-06-02', temp_max: 29.1 });
+        expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fetch days missing from the archive again within the hour', async () => {
+        axios.get
+            .mockResolvedValueOnce(historyResponse([27.4, null]))
+            .mockResolvedValueOnce(historyResponse());
+
+        await historyService.getHistory(43.53, 5.45, '2025-06-01', '2025-06-02');
+        later();
+        const history = await historyService.getHistory(43.53, 5.45, '2025-06-01', '2025-06-02');
+
+        expect(history.days[1].temp_max).toBe(29.1);
+        expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+});
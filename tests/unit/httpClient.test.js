@@ -0,0 +1,232 @@
+jest.mock('axios');
+const axios = require('axios');
+
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const { createClient, getCircuitStates, isTransient } = require('../../src/utils/httpClient');
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+const timeoutError = () => Object.assign(new Error('timeout'), { code: 'ECONNABORTED' });
+
+describe('HTTP Client', () => {
+    let upstream = 0;
+
+    // A new upstream per test: breakers live as long as the process
+    const newClient = (options = {}) =>
+        createClient(`upstream-${++upstream}`, {
+            retryBaseDelay: 0,
+            failureThreshold: 3,
+            resetTimeout: 30000,
+            ...options,
+        });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    describe('isTransient', () => {
+        test('should retry network errors, timeouts, 429 and 5xx', () => {
+            expect(isTransient(new Error('socket hang up'))).toBe(true);
+            expect(isTransient(timeoutError())).toBe(true);
+            expect(isTransient(httpError(429))).toBe(true);
+            expect(isTransient(httpError(503))).toBe(true);
+            expect(isTransient(httpError(400))).toBe(false);
+            expect(isTransient(httpError(404))).toBe(false);
+        });
+    });
+
+    describe('retries', () => {
+        test('should return the response of a successful call', async () => {
+            axios.get.mockResolvedValue({ data: { ok: true } });
+
+            const response = await newClient().get('https://api.test', { timeout: 1000 });
+
+            expect(response.data).toEqual({ ok: true });
+            expect(axios.get).toHaveBeenCalledWith('https://api.test', { timeout: 1000 });
+        });
+
+        test('should retry transient errors', async () => {
+            axios.get
+                .mockRejectedValueOnce(timeoutError())
+                .mockRejectedValueOnce(httpError(502))
+                .mockResolvedValue({ data: { ok: true } });
+
+            const response = await newClient({ maxRetries: 2 }).get('https://api.test');
+
+            expect(response.data).toEqual({ ok: true });
+            expect(axios.get).toHaveBeenCalledTimes(3);
+        });
+
+        test('should back off exponentially between attempts', async () => {
+            jest.useFakeTimers();
+            axios.get.mockRejectedValueOnce(httpError(503)).mockRejectedValueOnce(httpError(503));
+            axios.get.mockResolvedValue({ data: {} });
+
+            const pending = newClient({ maxRetries: 2, retryBaseDelay: 100 }).get(
+                'https://api.test'
+            );
+
+            await jest.advanceTimersByTimeAsync(99);
+            expect(axios.get).toHaveBeenCalledTimes(1);
+            await jest.advanceTimersByTimeAsync(1);
+            expect(axios.get).toHaveBeenCalledTimes(2);
+            await jest.advanceTimersByTimeAsync(200);
+            expect(axios.get).toHaveBeenCalledTimes(3);
+
+            await pending;
+            jest.useRealTimers();
+        });
+
+        test('should not retry other client errors', async () => {
+            axios.get.mockRejectedValue(httpError(404));
+
+            await expect(newClient().get('https://api.test')).rejects.toMatchObject({
+                response: { status: 404 },
+            });
+            expect(axios.get).toHaveBeenCalledTimes(1);
+        });
+
+        test('should throw the last error once the retries are exhausted', async () => {
+            axios.get.mockRejectedValueOnce(httpError(503)).mockRejectedValue(timeoutError());
+
+            await expect(
+                newClient({ maxRetries: 1, failureThreshold: 10 }).get('https://api.test')
+            ).rejects.toMatchObject({ code: 'ECONNABORTED' });
+            expect(axios.get).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('circuit breaker', () => {
+        test('should open after consecutive failures and fail fast', async () => {
+            axios.get.mockRejectedValue(httpError(503));
+            const client = newClient({ maxRetries: 0 });
+
+            for (let i = 0; i < 3; i++) {
+                await expect(client.get('https://api.test')).rejects.toMatchObject({
+                    response: { status: 503 },
+                });
+            }
+
+            await expect(client.get('https://api.test')).rejects.toMatchObject({
+                code: 'ECIRCUITOPEN',
+            });
+            expect(axios.get).toHaveBeenCalledTimes(3);
+            expect(client.breaker.getState()).toMatchObject({ state: 'open', failures: 3 });
+        });
+
+        test('should count one failure per request, retries included', async () => {
+            axios.get.mockRejectedValue(httpError(503));
+            const client = newClient({ maxRetries: 2 });
+
+            await expect(client.get('https://api.test')).rejects.toThrow();
+            await expect(client.get('https://api.test')).rejects.toThrow();
+
+            expect(axios.get).toHaveBeenCalledTimes(6);
+            expect(client.breaker.getState()).toMatchObject({ state: 'closed', failures: 2 });
+        });
+
+        test('should stop retrying once other requests open the circuit', async () => {
+            const client = newClient({ maxRetries: 5 });
+            axios.get.mockImplementation(() => {
+                // Concurrent requests failing meanwhile
+                for (let i = 0; i < 3; i++) client.breaker.recordFailure();
+                return Promise.reject(httpError(503));
+            });
+
+            // The upstream error is more useful than the breaker one
+            await expect(client.get('https://api.test')).rejects.toMatchObject({
+                response: { status: 503 },
+            });
+            expect(axios.get).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reset the failure count on success', async () => {
+            const client = newClient({ maxRetries: 0 });
+
+            axios.get.mockRejectedValueOnce(httpError(503)).mockRejectedValueOnce(httpError(503));
+            await expect(client.get('https://api.test')).rejects.toThrow();
+            await expect(client.get('https://api.test')).rejects.toThrow();
+
+            axios.get.mockResolvedValueOnce({ data: {} });
+            await client.get('https://api.test');
+
+            expect(client.breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+        });
+
+        test('should not count client errors as failures', async () => {
+            axios.get.mockRejectedValue(httpError(400));
+            const client = newClient({ maxRetries: 0 });
+
+            for (let i = 0; i < 5; i++) {
+                await expect(client.get('https://api.test')).rejects.toThrow();
+            }
+
+            expect(client.breaker.getState().state).toBe('closed');
+        });
+
+        test('should send a single trial call once the reset timeout has elapsed', async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+            axios.get.mockRejectedValue(httpError(503));
+            const client = newClient({ maxRetries: 2, failureThreshold: 1 });
+
+            await expect(client.get('https://api.test')).rejects.toThrow();
+            expect(client.breaker.getState().retry_at).toBe(
+                new Date(1_000_000 + 30000).toISOString()
+            );
+
+            now.mockReturnValue(1_000_000 + 30000);
+            let resolveTrial;
+            axios.get.mockReturnValueOnce(new Promise(resolve => (resolveTrial = resolve)));
+
+            const trial = client.get('https://api.test');
+            expect(client.breaker.getState().state).toBe('half_open');
+
+            // Other calls fail fast while the trial is in flight
+            await expect(client.get('https://api.test')).rejects.toMatchObject({
+                code: 'ECIRCUITOPEN',
+            });
+
+            resolveTrial({ data: { ok: true } });
+            await trial;
+
+            expect(client.breaker.getState()).toMatchObject({ state: 'closed', opened_at: null });
+        });
+
+        test('should open again when the trial call fails', async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+            axios.get.mockRejectedValue(httpError(503));
+            const client = newClient({ maxRetries: 2, failureThreshold: 1 });
+
+            await expect(client.get('https://api.test')).rejects.toThrow();
+
+            now.mockReturnValue(1_000_000 + 30000);
+            await expect(client.get('https://api.test')).rejects.toMatchObject({
+                response: { status: 503 },
+            });
+
+            expect(axios.get).toHaveBeenCalledTimes(4);
+            expect(client.breaker.getState()).toMatchObject({
+                state: 'open',
+                opened_at: new Date(1_000_000 + 30000).toISOString(),
+            });
+        });
+
+        test('should share the breaker of an upstream between its clients', () => {
+            const first = createClient('shared-upstream');
+            const second = createClient('shared-upstream');
+
+            expect(first.breaker).toBe(second.breaker);
+            expect(getCircuitStates()['shared-upstream']).toEqual({
+                state: 'closed',
+                failures: 0,
+                opened_at: null,
+                retry_at: null,
+            });
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    resolveLanguage,
+    translate,
+} = require('../../src/utils/i18n');
+
+const mockRequest = (query = {}, acceptedLanguage = false) => ({
+    query,
+    acceptsLanguages: jest.fn().mockReturnValue(acceptedLanguage),
+});
+
+describe('i18n', () => {
+    describe('catalogs', () => {
+        test('should define every reference key in every language', () => {
+            const reference = require('../../src/locales/en');
+
+            for (const lang of SUPPORTED_LANGUAGES) {
+                const catalog = require(`../../src/locales/${lang}`);
+                for (const [section, messages] of Object.entries(reference)) {
+                    expect(Object.keys(catalog[section]).sort()).toEqual(
+                        Object.keys(messages).sort()
+                    );
+                }
+            }
+        });
+    });
+
+    describe('resolveLanguage', () => {
+        test('should prefer a supported ?lang= parameter', () => {
+            expect(resolveLanguage(mockRequest({ lang: 'es' }, 'de'))).toBe('es');
+        });
+
+        test('should fall back to Accept-Language', () => {
+            expect(resolveLanguage(mockRequest({}, 'de'))).toBe('de');
+        });
+
+        test('should default to English', () => {
+            expect(DEFAULT_LANGUAGE).toBe('en');
+            expect(resolveLanguage(mockRequest({ lang: 'it' }))).toBe('en');
+        });
+    });
+
+    describe('translate', () => {
+        test('should return the message for the language', () => {
+            expect(translate('de', 'uv_risk', 'very_high')).toBe('Sehr hoch');
+        });
+
+        test('should fall back to English for unknown languages', () => {
+            expect(translate('it', 'uv_risk', 'very_high')).toBe('Very High');
+        });
+
+        test('should return undefined for unknown keys', () => {
+            expect(translate('fr', 'uv_risk', 'off_the_charts')).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const engine = require('../../src/services/recommendationEngine');
+
+const DEFAULT_RULES_FILE = engine.rulesFile;
+
+/**
+ * Hardcoded if/else chains the default rule set replaces, kept as the parity reference
+ * (temperature checks now read the feels-like temperature)
+ */
+function legacyRecommendationCodes(weather, uv, airQuality) {
+    const codes = [];
+
+    if (uv.uv_index !== null) {
+        if (uv.uv_index >= 8) codes.push('uv_very_high');
+        else if (uv.uv_index >= 6) codes.push('uv_high');
+        else if (uv.uv_index >= 3) codes.push('uv_moderate');
+    }
+
+    if (weather.precipitation > 5) codes.push('rain_heavy');
+    else if (weather.precipitation > 0) codes.push('rain');
+
+    if (weather.feels_like < 0) codes.push('freezing');
+    else if (weather.feels_like < 5) codes.push('very_cold');
+    else if (weather.feels_like < 15) codes.push('cool');
+    else if (weather.feels_like > 30) codes.push('heat');
+
+    if (weather.wind_speed > 50) codes.push('wind_violent');
+    else if (weather.wind_speed > 30) codes.push('wind_very_strong');
+    else if (weather.wind_speed > 20) codes.push('wind_windy');
+
+    if (airQuality.aqi !== null) {
+        if (airQuality.aqi > 200) codes.push('air_hazardous');
+        else if (airQuality.aqi > 150) codes.push('air_poor');
+        else if (airQuality.aqi > 100) codes.push('air_moderate');
+    }
+
+    if (
+        weather.feels_like >= 18 &&
+        weather.feels_like <= 25 &&
+        (!uv.uv_index || uv.uv_index < 6) &&
+        (!airQuality.aqi || airQuality.aqi < 100) &&
+        weather.precipitation === 0 &&
+        weather.wind_speed < 20
+    ) {
+        codes.push('ideal_conditions');
+    }
+
+    if (codes.length === 0) codes.push('acceptable_conditions');
+
+    return codes;
+}
+
+const writeRules = rules => {
+    const file = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'rules-')),
+        'recommendations.json'
+    );
+    fs.writeFileSync(file, JSON.stringify({ rules }));
+    return file;
+};
+
+describe('Recommendation Engine', () => {
+    afterEach(() => {
+        engine.rulesFile = DEFAULT_RULES_FILE;
+        engine.loadRules();
+    });
+
+    describe('default rule set', () => {
+        const feelsLikeTemperatures = [-5, 0, 3, 5, 10, 15, 18, 22, 25, 28, 30, 35];
+        const precipitations = [0, 0.5, 5, 12];
+        const winds = [0, 19, 20, 25, 30, 45, 50, 70];
+        const uvIndexes = [null, 0, 2, 3, 5, 6, 7, 8, 11];
+        const aqis = [null, 0, 42, 99, 100, 120, 150, 180, 200, 250];
+
+        test('should match the legacy recommendations for every combination', () => {
+            let checked = 0;
+
+            for (const temperature of feelsLikeTemperatures) {
+                for (const precipitation of precipitations) {
+                    for (const wind_speed of winds) {
+                        for (const uv_index of uvIndexes) {
+                            for (const aqi of aqis) {
+                                const weather = {
+                                    feels_like: temperature,
+                                    precipitation,
+                                    wind_speed,
+                                };
+                                const uv = { uv_index };
+                                const air_quality = { aqi };
+
+                                const codes = engine
+                                    .evaluate({ weather, uv, air_quality })
+                                    .map(rec => rec.code);
+
+                                expect(codes).toEqual(
+                                    legacyRecommendationCodes(weather, uv, air_quality)
+                                );
+                                checked++;
+                            }
+                        }
+                    }
+                }
+            }
+
+            expect(checked).toBeGreaterThan(10000);
+        });
+
+        test('should judge temperature on the feels-like value', () => {
+            const codes = engine
+                .evaluate({
+                    weather: { temperature: 2, feels_like: -4.7, precipitation: 0, wind_speed: 40 },
+                    uv: { uv_index: null },
+                    air_quality: { aqi: null },
+                })
+                .map(rec => rec.code);
+
+            expect(codes).toContain('freezing');
+        });
+
+        test('should advise allergy sufferers when pollen levels are high', () => {
+            const evaluatePollen = level_code =>
+                engine
+                    .evaluate({
+                        weather: { feels_like: 20, precipitation: 0, wind_speed: 5 },
+                        uv: { uv_index: 2 },
+                        air_quality: { aqi: 30, pollen: { grass: 80, level_code } },
+                    })
+                    .filter(rec => rec.code.startsWith('pollen_'))
+                    .map(rec => [rec.code, rec.severity]);
+
+            expect(evaluatePollen('very_high')).toEqual([['pollen_very_high', 'warning']]);
+            expect(evaluatePollen('high')).toEqual([['pollen_high', 'info']]);
+            expect(evaluatePollen('moderate')).toEqual([]);
+            expect(evaluatePollen('unknown')).toEqual([]);
+        });
+
+        test('should attach category, severity and localized message', () => {
+            const [recommendation] = engine.evaluate(
+                {
+                    weather: { feels_like: 20, precipitation: 0, wind_speed: 60 },
+                    uv: { uv_index: null },
+                    air_quality: { aqi: null },
+                },
+                'fr'
+            );
+
+            expect(recommendation).toEqual({
+                code: 'wind_violent',
+                category: 'wind',
+                severity: 'danger',
+                message: "Vent très violent : Restez à l'intérieur si possible",
+            });
+        });
+    });
+
+    describe('activity profiles', () => {
+        const data = {
+            weather: { feels_like: 22.5, humidity: 65, precipitation: 0, wind_speed: 40 },
+            uv: { uv_index: null },
+            air_quality: { aqi: 42 },
+        };
+
+        test('should ship running, cycling, beach and gardening profiles', () => {
+            expect(engine.getProfiles()).toEqual(['running', 'cycling', 'beach', 'gardening']);
+        });
+
+        test('should use the profile rules instead of the generic ones', () => {
+            const codes = engine.evaluate(data, 'en', 'cycling').map(rec => rec.code);
+            expect(codes).toEqual(['cycling_wind_strong']);
+        });
+
+        test('should warn runners about high pollen levels', () => {
+            const pollen = {
+                ...data,
+                weather: { ...data.weather, feels_like: 15, wind_speed: 5 },
+                air_quality: { aqi: 42, pollen: { olive: 200, level_code: 'high' } },
+            };
+
+            expect(engine.evaluate(pollen, 'en', 'running').map(rec => rec.code)).toEqual([
+                'running_pollen',
+            ]);
+        });
+
+        test('should fall back to the profile "good" recommendation', () => {
+            const calm = { ...data, weather: { ...data.weather, feels_like: 18, wind_speed: 5 } };
+            expect(engine.evaluate(calm, 'fr', 'cycling')[0]).toMatchObject({
+                code: 'cycling_good',
+                severity: 'positive',
+                message: 'Bonnes conditions pour faire du vélo',
+            });
+        });
+
+        test('should score 100 when every factor is in range', () => {
+            const calm = { ...data, weather: { ...data.weather, feels_like: 18, wind_speed: 5 } };
+            expect(engine.score(calm, 'cycling').score).toBe(100);
+        });
+
+        test('should subtract proportional penalties outside the ideal range', () => {
+            const result = engine.score(data, 'cycling');
+
+            // wind 40 km/h: 25 over the 15 km/h max, tolerance 30, weight 35 -> 29 points
+            expect(result.factors).toContainEqual({ name: 'wind', value: 40, penalty: 29 });
+            expect(result.score).toBe(71);
+        });
+
+        test('should cap each penalty at the factor weight and ignore missing values', () => {
+            const storm = {
+                weather: { feels_like: 15, precipitation: 20, wind_speed: 90 },
+                uv: { uv_index: null },
+                air_quality: { aqi: null },
+            };
+            const result = engine.score(storm, 'beach');
+
+            expect(result.factors.find(f => f.name === 'uv')).toEqual({
+                name: 'uv',
+                value: null,
+                penalty: 0,
+            });
+            // feels-like 32 + wind 20 (capped) + precipitation 20 (capped)
+            expect(result.score).toBe(28);
+        });
+
+        test('should reject profiles with invalid factors', () => {
+            expect(() =>
+                engine.validateProfiles({
+                    hiking: { factors: [{ path: 'x', weight: 10 }], rules: [] },
+                })
+            ).toThrow('Profile hiking: invalid factor');
+        });
+    });
+
+    describe('custom rules', () => {
+        const data = {
+            weather: { temperature: 12, precipitation: 0, wind_speed: 10 },
+            uv: { uv_index: 1 },
+            air_quality: { aqi: 20 },
+        };
+
+        test('should load a rules file with inline messages', () => {
+            engine.rulesFile = writeRules([
+                {
+                    code: 'sweater_weather',
+                    category: 'temperature',
+                    severity: 'info',
+                    when: { path: 'weather.temperature', op: 'lt', value: 14 },
+                    message: { en: 'Sweater weather', fr: 'Temps à pull' },
+                },
+            ]);
+
+            expect(engine.loadRules()).toBe(true);
+            expect(engine.evaluate(data, 'fr')[0].message).toBe('Temps à pull');
+            expect(engine.evaluate(data, 'de')[0].message).toBe('Sweater weather');
+        });
+
+        test('should fire "otherwise" rules only when nothing else matched', () => {
+            engine.rulesFile = writeRules([
+                {
+                    code: 'heat',
+                    category: 'temperature',
+                    severity: 'warning',
+                    when: { path: 'weather.temperature', op: 'gt', value: 30 },
+                },
+                {
+                    code: 'acceptable_conditions',
+                    category: 'comfort',
+                    severity: 'positive',
+                    otherwise: true,
+                },
+            ]);
+            engine.loadRules();
+
+            expect(engine.evaluate(data).map(rec => rec.code)).toEqual(['acceptable_conditions']);
+        });
+
+        test('should keep the current rules when the file is invalid', () => {
+            const before = engine.rules;
+            engine.rulesFile = writeRules([
+                { code: 'broken', category: 'uv', severity: 'info', when: { op: 'gt' } },
+            ]);
+
+            expect(engine.loadRules()).toBe(false);
+            expect(engine.rules).toBe(before);
+        });
+
+        test('should reject unknown categories and severities', () => {
+            expect(() =>
+                engine.validateRules([{ code: 'x', category: 'mood', severity: 'info' }])
+            ).toThrow('unknown category');
+            expect(() =>
+                engine.validateRules([{ code: 'x', category: 'uv', severity: 'meh' }])
+            ).toThrow('unknown severity');
+        });
+
+        test('should reload rules when the file changes', () => {
+            const file = writeRules([]);
+            engine.rulesFile = file;
+            engine.loadRules();
+
+            jest.spyOn(fs, 'watchFile').mockImplementation((_file, _options, listener) => {
+                fs.writeFileSync(
+                    file,
+                    JSON.stringify({
+                        rules: [
+                            {
+                                code: 'always',
+                                category: 'comfort',
+                                severity: 'info',
+                                when: { path: 'uv.uv_index', op: 'present' },
+                            },
+                        ],
+                    })
+                );
+                listener({ mtimeMs: 2 }, { mtimeMs: 1 });
+            });
+            jest.spyOn(fs, 'unwatchFile').mockImplementation(() => {});
+
+            engine.watch();
+            engine.unwatch();
+
+            expect(engine.evaluate(data).map(rec => rec.code)).toEqual(['always']);
+            jest.restoreAllMocks();
+        });
+    });
+});
@@ -0,0 +1,82 @@
+jest.mock('fs', () => ({
+    promises: {
+        readFile: jest.fn().mockRejectedValue({ code: 'ENOENT' }),
+        writeFile: jest.fn().mockResolvedValue(undefined),
+        mkdir: jest.fn().mockResolvedValue(undefined),
+    },
+}));
+
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const fs = require('fs').promises;
+const subscriptionManager = require('../../src/services/subscriptionManager');
+
+const settings = {
+    lat: 43.53,
+    lon: 5.45,
+    callbackUrl: 'https://hooks.example.com/weather',
+    conditions: { types: ['storm'], min_severity: 'moderate' },
+    lang: 'en',
+};
+
+describe('Subscription Manager', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        subscriptionManager.subscriptions.clear();
+    });
+
+    test('should return the secret only on creation', async () => {
+        const created = await subscriptionManager.create(settings);
+
+        expect(created.secret).toMatch(/^[0-9a-f]{64}$/);
+        expect(created).toMatchObject({ location: { lat: 43.53, lon: 5.45 }, paused: false });
+
+        const [listed] = await subscriptionManager.list();
+        expect(listed.id).toBe(created.id);
+        expect(listed).not.toHaveProperty('secret');
+        expect(listed).not.toHaveProperty('notified');
+    });
+
+    test('should persist every change to the JSON file', async () => {
+        const { id } = await subscriptionManager.create(settings);
+        await subscriptionManager.setPaused(id, true);
+
+        expect(fs.writeFile).toHaveBeenCalledTimes(2);
+        const saved = JSON.parse(fs.writeFile.mock.calls[1][1]);
+        expect(saved).toEqual([expect.objectContaining({ id, paused: true })]);
+        expect(await subscriptionManager.getActive()).toEqual([]);
+    });
+
+    test('should load the stored subscriptions', async () => {
+        fs.readFile.mockResolvedValueOnce(
+            JSON.stringify([{ id: 'stored', paused: false, deliveries: [] }])
+        );
+
+        await subscriptionManager.loadSubscriptions();
+
+        expect(subscriptionManager.subscriptions.has('stored')).toBe(true);
+    });
+
+    test('should keep the latest deliveries in the log', async () => {
+        const { id } = await subscriptionManager.create(settings);
+
+        for (let i = 0; i < 25; i++) {
+            await subscriptionManager.recordDelivery(id, { id: `d${i}` }, {});
+        }
+
+        const subscription = await subscriptionManager.get(id);
+        expect(subscription.deliveries).toHaveLength(20);
+        expect(subscription.deliveries[0].id).toBe('d24');
+        expect(subscription.last_delivery.id).toBe('d24');
+    });
+
+    test('should report unknown ids', async () => {
+        expect(await subscriptionManager.get('missing')).toBeNull();
+        expect(await subscriptionManager.setPaused('missing', true)).toBeNull();
+        expect(await subscriptionManager.remove('missing')).toBe(false);
+    });
+});
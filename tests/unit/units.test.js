@@ -0,0 +1,72 @@
+const { getUnits, convertValue, convertFields, convertForecast } = require('../../src/utils/units');
+
+describe('Units', () => {
+    describe('getUnits', () => {
+        test('should default to metric labels', () => {
+            expect(getUnits()).toEqual({
+                system: 'metric',
+                temperature: '°C',
+                wind_speed: 'km/h',
+                precipitation: 'mm',
+            });
+        });
+
+        test('should return imperial labels', () => {
+            expect(getUnits('imperial')).toMatchObject({ temperature: '°F', wind_speed: 'mph' });
+        });
+    });
+
+    describe('convertValue', () => {
+        test('should convert temperatures', () => {
+            expect(convertValue(20, 'temperature', 'imperial')).toBe(68);
+            expect(convertValue(20, 'temperature', 'si')).toBe(293.2);
+        });
+
+        test('should convert wind speeds', () => {
+            expect(convertValue(36, 'wind_speed', 'si')).toBe(10);
+            expect(convertValue(100, 'wind_speed', 'imperial')).toBe(62.1);
+        });
+
+        test('should convert precipitation to inches with 2 decimals', () => {
+            expect(convertValue(10, 'precipitation', 'imperial')).toBe(0.39);
+        });
+
+        test('should leave metric values and nulls untouched', () => {
+            expect(convertValue(12.34, 'temperature', 'metric')).toBe(12.34);
+            expect(convertValue(null, 'temperature', 'imperial')).toBeNull();
+        });
+    });
+
+    describe('convertFields', () => {
+        test('should convert known fields without mutating the input', () => {
+            const weather = { temperature: 0, wind_speed: 36, humidity: 80, conditions: 'Foggy' };
+            const converted = convertFields(weather, 'si');
+
+            expect(converted).toEqual({
+                temperature: 273.2,
+                wind_speed: 10,
+                humidity: 80,
+                conditions: 'Foggy',
+            });
+            expect(weather.temperature).toBe(0);
+        });
+    });
+
+    describe('convertForecast', () => {
+        test('should convert every day entry', () => {
+            const forecast = { days: [{ date: '2026-01-25', temp_max: 10, temp_min: 0 }] };
+
+            expect(convertForecast(forecast, 'imperial').days[0]).toEqual({
+                date: '2026-01-25',
+                temp_max: 50,
+                temp_min: 32,
+            });
+        });
+
+        test('should convert every hour entry', () => {
+            const forecast = { hours: [{ time: '2026-01-25T10:00', wind_speed: 18 }] };
+
+            expect(convertForecast(forecast, 'si').hours[0].wind_speed).toBe(5);
+        });
+    });
+});
@@ -0,0 +1,81 @@
+jest.mock('axios');
+const axios = require('axios');
+
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const cache = require('../../src/utils/cache');
+const uvIndexService = require('../../src/services/uvIndexService');
+
+describe('UV Index Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+        cache.flush();
+    });
+
+    describe('getUVForecast', () => {
+        const mockUVResponse = {
+            data: {
+                now: { time: '2026-05-10T09:00:00Z', uvi: 3.1 },
+                forecast: [
+                    { time: '2026-05-10T11:00:00Z', uvi: 6.4 },
+                    { time: '2026-05-10T13:00:00Z', uvi: 5.2 },
+                    { time: '2026-05-11T12:00:00Z', uvi: 8.3 },
+                ],
+            },
+        };
+
+        test('should return hourly values and daily maxima', async () => {
+            axios.get.mockResolvedValue(mockUVResponse);
+
+            const forecast = await uvIndexService.getUVForecast(43.53, 5.45);
+
+            expect(forecast.hours[0]).toEqual({ time: '2026-05-10T11:00:00Z', uv_index: 6.4 });
+            expect(forecast.days).toEqual([
+                { date: '2026-05-10', uv_index_max: 6.4, risk_code: 'high' },
+                { date: '2026-05-11', uv_index_max: 8.3, risk_code: 'very_high' },
+            ]);
+        });
+
+        test('should serve the forecast from cache', async () => {
+            axios.get.mockResolvedValue(mockUVResponse);
+
+            await uvIndexService.getUVForecast(43.53, 5.45);
+            await uvIndexService.getUVForecast(43.53, 5.45);
+
+            expect(axios.get).toHaveBeenCalledTimes(1);
+        });
+
+        test('should throw a client-friendly error on timeout', async () => {
+            axios.get.mockRejectedValue({ code: 'ECONNABORTED' });
+
+            await expect(uvIndexService.getUVForecast(43.53, 5.45)).rejects.toThrow(
+                'UV service timeout - please try again'
+            );
+        });
+
+        test('should report an open circuit as temporarily unavailable', async () => {
+            const error = Object.assign(new Error('open'), { code: 'ECIRCUITOPEN' });
+            jest.spyOn(uvIndexService.http, 'get').mockRejectedValue(error);
+
+            await expect(uvIndexService.getUVForecast(43.53, 5.45)).rejects.toThrow(
+                'UV service temporarily unavailable - please try again later'
+            );
+            expect(axios.get).not.toHaveBeenCalled();
+        });
+
+        test('should localize the daily risk levels', async () => {
+            axios.get.mockResolvedValue(mockUVResponse);
+            const forecast = await uvIndexService.getUVForecast(43.53, 5.45);
+
+            const localized = uvIndexService.localizeForecast(forecast, 'fr');
+
+            expect(localized.days[1].risk_level).toBe(uvIndexService.getUVRiskLevel(8.3, 'fr'));
+            expect(localized.hours).toBe(forecast.hours);
+        });
+    });
+});
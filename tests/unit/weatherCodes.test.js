@@ -19,6 +19,12 @@ describe('Weather Codes', () => {
         expect(getWeatherDescription(null)).toBe('Unknown');
     });
 
+    test('should return localized descriptions', () => {
+        expect(getWeatherDescription(0, 'fr')).toBe('Ciel dégagé');
+        expect(getWeatherDescription(95, 'es')).toBe('Tormenta');
+        expect(getWeatherDescription(999, 'de')).toBe('Unbekannt');
+    });
+
     test('should export WEATHER_CODES mapping', () => {
         expect(WEATHER_CODES).toBeDefined();
         expect(Object.keys(WEATHER_CODES).length).toBeGreaterThan(20);
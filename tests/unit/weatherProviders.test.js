@@ -0,0 +1,233 @@
+jest.mock('axios');
+const axios = require('axios');
+
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const cache = require('../../src/utils/cache');
+const { PROVIDERS } = require('../../src/services/providers');
+const metNorwayProvider = require('../../src/services/providers/metNorwayProvider');
+const openWeatherMapProvider = require('../../src/services/providers/openWeatherMapProvider');
+const nwsProvider = require('../../src/services/providers/nwsProvider');
+
+const NORMALIZED_KEYS = [
+    'humidity',
+    'local',
+    'precipitation',
+    'temperature',
+    'weather_code',
+    'wind_speed',
+];
+
+describe('Weather Providers', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        cache.flush();
+    });
+
+    test('should register every adapter by name', () => {
+        expect(Object.keys(PROVIDERS)).toEqual([
+            'open-meteo',
+            'met-norway',
+            'openweathermap',
+            'nws',
+        ]);
+    });
+
+    describe('Open-Meteo', () => {
+        test('should keep the timezone data', async () => {
+            axios.get.mockResolvedValue({
+                data: {
+                    timezone: 'Europe/Paris',
+                    utc_offset_seconds: 7200,
+                    current: {
+                        temperature_2m: 22.5,
+                        relative_humidity_2m: 65,
+                        precipitation: 0,
+                        weather_code: 1,
+                        wind_speed_10m: 12,
+                        is_day: 1,
+                    },
+                },
+            });
+
+            const current = await PROVIDERS['open-meteo'].getCurrent(43.53, 5.45);
+
+            expect(Object.keys(current).sort()).toEqual(NORMALIZED_KEYS);
+            expect(current).toMatchObject({ temperature: 22.5, wind_speed: 12 });
+            expect(current.local).toMatchObject({ timezone: 'Europe/Paris', is_day: true });
+        });
+
+        test('should read fresh data on every call', async () => {
+            // The aggregated weather is cached: a refresh must reach the upstream
+            axios.get.mockResolvedValue({
+                data: { current: { temperature_2m: 22.5, weather_code: 1, is_day: 1 } },
+            });
+
+            await PROVIDERS['open-meteo'].getCurrent(43.53, 5.45);
+            await PROVIDERS['open-meteo'].getCurrent(43.53, 5.45);
+
+            expect(axios.get).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('MET Norway', () => {
+        const mockResponse = {
+            data: {
+                properties: {
+                    timeseries: [
+                        {
+                            time: '2026-06-01T12:00:00Z',
+                            data: {
+                                instant: {
+                                    details: {
+                                        air_temperature: 18.3,
+                                        relative_humidity: 72.1,
+                                        wind_speed: 5,
+                                    },
+                                },
+                                next_1_hours: {
+                                    summary: { symbol_code: 'lightrainshowers_day' },
+                                    details: { precipitation_amount: 0.4 },
+                                },
+                            },
+                        },
+                    ],
+                },
+            },
+        };
+
+        test('should normalize the first forecast step', async () => {
+            axios.get.mockResolvedValue(mockResponse);
+
+            const current = await metNorwayProvider.getCurrent(59.91234567, 10.75);
+
+            expect(Object.keys(current).sort()).toEqual(NORMALIZED_KEYS);
+            expect(current).toEqual({
+                temperature: 18.3,
+                humidity: 72.1,
+                precipitation: 0.4,
+                weather_code: 80,
+                wind_speed: 18,
+                local: null,
+            });
+            expect(axios.get).toHaveBeenCalledWith(
+                metNorwayProvider.baseURL,
+                expect.objectContaining({
+                    params: { lat: 59.9123, lon: 10.75 },
+                    // Contact required by the MET Norway terms of service
+                    headers: { 'User-Agent': expect.stringContaining('https://') },
+                })
+            );
+        });
+
+        test('should map symbol codes to WMO codes', () => {
+            expect(metNorwayProvider.toWeatherCode('clearsky_night')).toBe(0);
+            expect(metNorwayProvider.toWeatherCode('heavysnow')).toBe(75);
+            expect(metNorwayProvider.toWeatherCode('lightrainandthunder')).toBe(95);
+            expect(metNorwayProvider.toWeatherCode('unknown')).toBeNull();
+        });
+    });
+
+    describe('OpenWeatherMap', () => {
+        test('should normalize the current weather with sun times', async () => {
+            axios.get.mockResolvedValue({
+                data: {
+                    dt: 1780315200,
+                    timezone: 7200,
+                    main: { temp: 24.1, humidity: 48 },
+                    wind: { speed: 3 },
+                    rain: { '1h': 1.2 },
+                    weather: [{ id: 501 }],
+                    sys: { sunrise: 1780285800, sunset: 1780342200 },
+                },
+            });
+
+            const current = await openWeatherMapProvider.getCurrent(43.53, 5.45);
+
+            expect(current).toMatchObject({
+                temperature: 24.1,
+                humidity: 48,
+                precipitation: 1.2,
+                weather_code: 63,
+                wind_speed: 10.8,
+            });
+            expect(current.local).toMatchObject({
+                utc_offset_seconds: 7200,
+                is_day: true,
+                sunrise: '2026-06-01T05:50',
+                sunset: '2026-06-01T21:30',
+                daylight_duration: 56400,
+            });
+            expect(axios.get.mock.calls[0][1].params).toMatchObject({ units: 'metric' });
+        });
+
+        test('should map condition ids to WMO codes', () => {
+            expect(openWeatherMapProvider.toWeatherCode(211)).toBe(95);
+            expect(openWeatherMapProvider.toWeatherCode(800)).toBe(0);
+            expect(openWeatherMapProvider.toWeatherCode(999)).toBeNull();
+        });
+    });
+
+    describe('NWS', () => {
+        const mockUpstream = () => {
+            axios.get.mockImplementation(url => {
+                if (url.includes('/points/')) {
+                    return Promise.resolve({
+                        data: { properties: { gridId: 'OKX', gridX: 33, gridY: 35 } },
+                    });
+                }
+                if (url.endsWith('/stations')) {
+                    return Promise.resolve({
+                        data: { features: [{ properties: { stationIdentifier: 'KNYC' } }] },
+                    });
+                }
+                return Promise.resolve({
+                    data: {
+                        properties: {
+                            temperature: { value: 26.7 },
+                            relativeHumidity: { value: 55.32 },
+                            windSpeed: { value: 14.8 },
+                            precipitationLastHour: { value: null },
+                            icon: 'https://api.weather.gov/icons/land/day/tsra,40?size=medium',
+                        },
+                    },
+                });
+            });
+        };
+
+        test('should read the latest observation of the nearest station', async () => {
+            mockUpstream();
+
+            const current = await nwsProvider.getCurrent(40.7812, -73.9665);
+
+            expect(current).toEqual({
+                temperature: 26.7,
+                humidity: 55,
+                precipitation: null,
+                weather_code: 95,
+                wind_speed: 14.8,
+                local: null,
+            });
+            // Links are rebuilt on the configured base URL
+            expect(axios.get.mock.calls.map(([url]) => url)).toEqual([
+                `${nwsProvider.baseURL}/points/40.7812,-73.9665`,
+                `${nwsProvider.baseURL}/gridpoints/OKX/33,35/stations`,
+                `${nwsProvider.baseURL}/stations/KNYC/observations/latest`,
+            ]);
+            expect(axios.get.mock.calls[0][1].headers['User-Agent']).toContain('https://');
+        });
+
+        test('should look the station up once per location', async () => {
+            mockUpstream();
+
+            await nwsProvider.getCurrent(40.7812, -73.9665);
+            await nwsProvider.getCurrent(40.7812, -73.9665);
+
+            expect(axios.get).toHaveBeenCalledTimes(4);
+        });
+    });
+});
@@ -0,0 +1,245 @@
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const logger = require('../../src/security/monitoring/logger');
+const cache = require('../../src/utils/cache');
+const weatherService = require('../../src/services/weatherService');
+const { PROVIDERS } = require('../../src/services/providers');
+
+const local = {
+    timezone: 'Europe/Paris',
+    timezone_abbreviation: 'CEST',
+    utc_offset_seconds: 7200,
+    is_day: true,
+    sunrise: '2026-06-01T05:50',
+    sunset: '2026-06-01T21:30',
+    daylight_duration: 56400,
+};
+
+const reading = (temperature, extra = {}) => ({
+    temperature,
+    humidity: 60,
+    precipitation: 0,
+    weather_code: 1,
+    wind_speed: 10,
+    local: null,
+    ...extra,
+});
+
+describe('Weather Service', () => {
+    const mockProvider = (name, value) => {
+        const spy = jest.spyOn(PROVIDERS[name], 'getCurrent');
+        if (value instanceof Error) {
+            spy.mockRejectedValue(value);
+        } else {
+            spy.mockResolvedValue(value);
+        }
+        return spy;
+    };
+
+    beforeEach(() => {
+        cache.flush();
+        mockProvider('open-meteo', reading(20, { weather_code: 3, local }));
+        mockProvider('met-norway', reading(21, { humidity: 70 }));
+        mockProvider('openweathermap', reading(25, { wind_speed: 16 }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        weatherService.configure();
+    });
+
+    describe('configure', () => {
+        test('should fall back to MET Norway by default', () => {
+            weatherService.configure();
+
+            expect(weatherService.providers.map(provider => provider.name)).toEqual([
+                'open-meteo',
+                'met-norway',
+            ]);
+        });
+
+        test('should default to Open-Meteo as primary provider', () => {
+            weatherService.configure({ providers: [], strategy: 'primary' });
+
+            expect(weatherService.providers.map(provider => provider.name)).toEqual(['open-meteo']);
+            expect(weatherService.strategy).toBe('primary');
+        });
+
+        test('should ignore unknown providers and strategies', () => {
+            weatherService.configure({ providers: ['acme', 'met-norway'], strategy: 'mode' });
+
+            expect(weatherService.providers.map(provider => provider.name)).toEqual(['met-norway']);
+            expect(weatherService.strategy).toBe('primary');
+        });
+    });
+
+    describe('primary strategy', () => {
+        test('should only ask the first provider', async () => {
+            weatherService.configure({ providers: ['met-norway', 'open-meteo'] });
+
+            const weather = await weatherService.getWeather(43.53, 5.45);
+
+            expect(weather.temperature).toBe(21);
+            expect(weather.source).toEqual({
+                strategy: 'primary',
+                providers: ['met-norway'],
+                failed: [],
+                degraded: false,
+            });
+            expect(PROVIDERS['open-meteo'].getCurrent).not.toHaveBeenCalled();
+        });
+
+        test('should fall back to the next provider on failure', async () => {
+            mockProvider('met-norway', new Error('MET Norway down'));
+            weatherService.configure({ providers: ['met-norway', 'open-meteo'] });
+
+            const weather = await weatherService.getWeather(43.53, 5.45);
+
+            expect(weather.temperature).toBe(20);
+            expect(weather.local).toEqual(local);
+            expect(weather.source).toEqual({
+                strategy: 'primary',
+                providers: ['open-meteo'],
+                failed: ['met-norway'],
+                degraded: true,
+            });
+        });
+
+        test('should rethrow the first error when every provider fails', async () => {
+            mockProvider('open-meteo', new Error('Weather service timeout - please try again'));
+            mockProvider('met-norway', new Error('MET Norway down'));
+            weatherService.configure({ providers: ['open-meteo', 'met-norway'] });
+
+            await expect(weatherService.getWeather(43.53, 5.45)).rejects.toThrow(
+                'Weather service timeout - please try again'
+            );
+        });
+    });
+
+    describe('median strategy', () => {
+        test('should combine every provider answering', async () => {
+            weatherService.configure({
+                providers: ['open-meteo', 'met-norway', 'openweathermap'],
+                strategy: 'median',
+            });
+
+            const weather = await weatherService.getWeather(43.53, 5.45);
+
+            expect(weather).toMatchObject({
+                temperature: 21,
+                humidity: 60,
+                wind_speed: 10,
+                // Categorical: from the first provider
+                weather_code: 3,
+                conditions: 'Overcast',
+                local,
+            });
+            expect(weather.feels_like).toBeDefined();
+        });
+
+        test('should average the two middle values', async () => {
+            mockProvider('openweathermap', new Error('Invalid API key'));
+            weatherService.configure({
+                providers: ['open-meteo', 'met-norway', 'openweathermap'],
+                strategy: 'median',
+            });
+
+            const weather = await weatherService.getWeather(43.53, 5.45);
+
+            expect(weather.temperature).toBe(20.5);
+            expect(weather.humidity).toBe(65);
+            expect(weather.source).toMatchObject({
+                providers: ['open-meteo', 'met-norway'],
+                failed: ['openweathermap'],
+                degraded: true,
+            });
+        });
+
+        test('should skip values a provider did not report', async () => {
+            mockProvider('met-norway', reading(null, { precipitation: null }));
+            weatherService.configure({
+                providers: ['open-meteo', 'met-norway'],
+                strategy: 'median',
+            });
+
+            const weather = await weatherService.getWeather(43.53, 5.45);
+
+            expect(weather.temperature).toBe(20);
+            expect(weather.precipitation).toBe(0);
+        });
+
+        test('should use empty location data without a provider having it', async () => {
+            mockProvider('open-meteo', new Error('Open-Meteo down'));
+            weatherService.configure({
+                providers: ['open-meteo', 'met-norway'],
+                strategy: 'median',
+            });
+
+            const weather = await weatherService.getWeather(43.53, 5.45);
+
+            expect(weather.local).toMatchObject({ timezone: null, utc_offset_seconds: null });
+        });
+    });
+
+    describe('weighted strategy', () => {
+        test('should weight each provider', async () => {
+            weatherService.configure({
+                providers: ['open-meteo', 'openweathermap'],
+                strategy: 'weighted',
+                weights: { 'open-meteo': 4 },
+            });
+
+            const weather = await weatherService.getWeather(43.53, 5.45);
+
+            // (20 * 4 + 25) / 5, (10 * 4 + 16) / 5
+            expect(weather.temperature).toBe(21);
+            expect(weather.wind_speed).toBe(11.2);
+        });
+
+        test('should leave out providers weighted 0', async () => {
+            weatherService.configure({
+                providers: ['open-meteo', 'openweathermap'],
+                strategy: 'weighted',
+                weights: { openweathermap: 0 },
+            });
+
+            const weather = await weatherService.getWeather(43.53, 5.45);
+
+            expect(weather.temperature).toBe(20);
+        });
+
+        test('should ignore invalid weights with a warning', async () => {
+            process.env.WEATHER_PROVIDER_WEIGHTS = 'open-meteo:4,openweathermap,met-norway:heavy';
+            weatherService.configure({
+                providers: ['open-meteo', 'openweathermap'],
+                strategy: 'weighted',
+            });
+            delete process.env.WEATHER_PROVIDER_WEIGHTS;
+
+            const weather = await weatherService.getWeather(43.53, 5.45);
+
+            expect(weatherService.weights).toEqual({ 'open-meteo': 4 });
+            expect(weather.temperature).toBe(21);
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Invalid weather provider weight "openweathermap" ignored'
+            );
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Invalid weather provider weight "met-norway:heavy" ignored'
+            );
+        });
+    });
+
+    test('should cache the aggregated weather', async () => {
+        weatherService.configure({ providers: ['open-meteo', 'met-norway'], strategy: 'median' });
+
+        await weatherService.getWeather(43.53, 5.45);
+        await weatherService.getWeather(43.53, 5.45);
+
+        expect(PROVIDERS['open-meteo'].getCurrent).toHaveBeenCalledTimes(1);
+        expect(PROVIDERS['met-norway'].getCurrent).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,126 @@
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const weatherStreamService = require('../../src/services/weatherStreamService');
+
+const reading = temperature => ({
+    weather: { temperature },
+    uvIndex: { uv_index: 3 },
+    airQuality: { aqi: 42 },
+});
+
+describe('Weather Stream Service', () => {
+    let fetchWeatherData;
+    const unsubscribers = [];
+
+    const watch = (lat, lon) => {
+        const listener = jest.fn();
+        unsubscribers.push(weatherStreamService.subscribe(lat, lon, listener));
+        return listener;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        fetchWeatherData = jest
+            .spyOn(weatherStreamService, 'fetchWeatherData')
+            .mockResolvedValue(reading(20));
+    });
+
+    afterEach(() => {
+        unsubscribers.splice(0).forEach(unsubscribe => unsubscribe());
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+    });
+
+    test('should push the current data to the first client', async () => {
+        const listener = watch(43.53, 5.45);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(listener).toHaveBeenCalledWith({ type: 'update', data: reading(20) });
+        expect(fetchWeatherData).toHaveBeenCalledWith(43.53, 5.45);
+    });
+
+    test('should share one refresh loop between the clients of a location', async () => {
+        const first = watch(43.53, 5.45);
+        await jest.advanceTimersByTimeAsync(0);
+        const second = watch(43.53, 5.45);
+
+        // The late client gets the latest data without a new upstream call
+        expect(second).toHaveBeenCalledWith({ type: 'update', data: reading(20) });
+        expect(fetchWeatherData).toHaveBeenCalledTimes(1);
+
+        fetchWeatherData.mockResolvedValue(reading(22));
+        await jest.advanceTimersByTimeAsync(weatherStreamService.refreshInterval);
+
+        expect(fetchWeatherData).toHaveBeenCalledTimes(2);
+        expect(first).toHaveBeenLastCalledWith({ type: 'update', data: reading(22) });
+        expect(second).toHaveBeenLastCalledWith({ type: 'update', data: reading(22) });
+        expect(weatherStreamService.getStats()).toEqual({ locations: 1, clients: 2 });
+    });
+
+    test('should send a heartbeat when the data has not been refreshed', async () => {
+        const listener = watch(43.53, 5.45);
+        await jest.advanceTimersByTimeAsync(weatherStreamService.refreshInterval);
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener).toHaveBeenLastCalledWith({ type: 'heartbeat' });
+    });
+
+    test('should not push stale data again as it ages', async () => {
+        const stale = age => ({
+            ...reading(20),
+            weather: { temperature: 20, source: { stale: true, age } },
+            airQuality: { aqi: 42, stale: true, age },
+        });
+        fetchWeatherData.mockResolvedValue(stale(30));
+
+        const listener = watch(43.53, 5.45);
+        await jest.advanceTimersByTimeAsync(0);
+        fetchWeatherData.mockResolvedValue(stale(60));
+        await jest.advanceTimersByTimeAsync(weatherStreamService.refreshInterval);
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener).toHaveBeenLastCalledWith({ type: 'heartbeat' });
+    });
+
+    test('should notify the clients of a failed refresh', async () => {
+        fetchWeatherData.mockRejectedValue(new Error('Upstream down'));
+
+        const listener = watch(43.53, 5.45);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(listener).toHaveBeenCalledWith({
+            type: 'error',
+            error: expect.objectContaining({ message: 'Upstream down' }),
+        });
+    });
+
+    test('should keep one loop per location', async () => {
+        watch(43.53, 5.45);
+        watch(48.86, 2.35);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(fetchWeatherData).toHaveBeenCalledTimes(2);
+        expect(weatherStreamService.getStats()).toEqual({ locations: 2, clients: 2 });
+    });
+
+    test('should stop the loop when the last client leaves', async () => {
+        const listener = jest.fn();
+        const unsubscribeFirst = weatherStreamService.subscribe(43.53, 5.45, listener);
+        const unsubscribeSecond = weatherStreamService.subscribe(43.53, 5.45, jest.fn());
+        await jest.advanceTimersByTimeAsync(0);
+
+        unsubscribeFirst();
+        expect(weatherStreamService.getStats()).toEqual({ locations: 1, clients: 1 });
+
+        unsubscribeSecond();
+        expect(weatherStreamService.getStats()).toEqual({ locations: 0, clients: 0 });
+
+        await jest.advanceTimersByTimeAsync(weatherStreamService.refreshInterval * 2);
+        expect(fetchWeatherData).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+});
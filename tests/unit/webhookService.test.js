@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+jest.mock('axios');
+const axios = require('axios');
+
+jest.mock('../../src/security/monitoring/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+}));
+
+const webhookService = require('../../src/services/webhookService');
+
+const subscription = {
+    id: 'c0ffee00-0000-4000-8000-000000000001',
+    label: 'Garden',
+    callback_url: 'https://hooks.example.com/weather',
+    secret: 'test-secret',
+};
+
+describe('Webhook Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // No real waiting between attempts
+        webhookService.retryBaseDelay = 0;
+    });
+
+    describe('deliver', () => {
+        test('should POST a payload signed with the subscription secret', async () => {
+            axios.post.mockResolvedValue({ status: 200 });
+
+            const delivery = await webhookService.deliver(subscription, 'alerts.triggered', {
+                alerts: [{ type: 'storm' }],
+            });
+
+            const [url, body, { headers }] = axios.post.mock.calls[0];
+            const expected = crypto
+                .createHmac('sha256', 'test-secret')
+                .update(`${headers['X-AtmoSphere-Timestamp']}.${body}`)
+                .digest('hex');
+
+            expect(url).toBe('https://hooks.example.com/weather');
+            expect(headers['X-AtmoSphere-Signature']).toBe(`sha256=${expected}`);
+            expect(JSON.parse(body)).toMatchObject({
+                id: delivery.id,
+                event: 'alerts.triggered',
+                subscription_id: subscription.id,
+                alerts: [{ type: 'storm' }],
+            });
+            expect(delivery).toMatchObject({
+                status: 'delivered',
+                attempts: 1,
+                response_status: 200,
+            });
+        });
+
+        test('should retry server errors until the delivery succeeds', async () => {
+            axios.post
+                .mockRejectedValueOnce({ response: { status: 503 } })
+                .mockRejectedValueOnce({ code: 'ECONNABORTED' })
+                .mockResolvedValueOnce({ status: 204 });
+
+            const delivery = await webhookService.deliver(subscription, 'alerts.triggered', {});
+
+            expect(axios.post).toHaveBeenCalledTimes(3);
+            expect(delivery).toMatchObject({ status: 'delivered', attempts: 3 });
+        });
+
+        test('should back off exponentially between attempts', async () => {
+            jest.useFakeTimers();
+            webhookService.retryBaseDelay = 1000;
+            axios.post.mockRejectedValue({ response: { status: 500 } });
+
+            const pending = webhookService.deliver(subscription, 'alerts.triggered', {});
+
+            await jest.advanceTimersByTimeAsync(999);
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            await jest.advanceTimersByTimeAsync(1);
+            expect(axios.post).toHaveBeenCalledTimes(2);
+            await jest.advanceTimersByTimeAsync(2000);
+            expect(axios.post).toHaveBeenCalledTimes(3);
+            await jest.advanceTimersByTimeAsync(4000);
+
+            const delivery = await pending;
+            jest.useRealTimers();
+
+            expect(delivery).toMatchObject({
+                status: 'failed',
+                attempts: 4,
+                response_status: 500,
+                error: 'HTTP 500',
+            });
+        });
+
+        test('should not retry client errors', async () => {
+            axios.post.mockRejectedValue({ response: { status: 410 } });
+
+            const delivery = await webhookService.deliver(subscription, 'alerts.triggered', {});
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(delivery).toMatchObject({ status: 'failed', response_status: 410 });
+        });
+    });
+});